@@ -7,11 +7,12 @@
  *
  * Mutar is both a toolkit to interact with typed arrays and 
  * "modify" them and a constructor of a special object. Or  let"s
- * say a kit to emulate modification. Each "mutation" actually 
- * creates a new array every time.
+ * say a kit to emulate modification. Each "mutation" of the toolkit
+ * actually creates a new array every time.
  * This comes to a price of course. Each time the array "changes",
  * a new array is allocated in memory. Keep that in mind when using
- * it.
+ * it. Mutar objects reserve capacity in advance, which makes
+ * pushing, splicing etc. considerably cheaper.
  * Mutar objects and tools on the other hand are a very convenient way 
  * to handle binary data. If constructed, the array behaves pretty 
  * much as a regular array. You can concatenate, pop, shift, unshift...
@@ -41,6 +42,97 @@ const Utils = {
         return Boolean(byteRepresentation.at(0));
     },
 
+    /**
+     * Test if the engine supports resizable ArrayBuffers
+     * (and therefore length tracking TypedArrays).
+     */
+    getResizableSupport: () => {
+        try {
+            const buffer = new ArrayBuffer(0, {maxByteLength: 1});
+            buffer.resize(1);
+            return new Uint8Array(buffer).length === 1;
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Rounds to the nearest integer. Ties are rounded
+     * to the nearest even integer.
+     */
+    roundHalfEven: (x) => {
+        const floor = Math.floor(x);
+        const diff = x - floor;
+        if (diff === 0.5) {
+            return (floor % 2) ? floor + 1 : floor;
+        }
+        return (diff < 0.5) ? floor : floor + 1;
+    },
+
+    /**
+     * Software encoder for half-precision floats.
+     * Converts a number into the 16 bits of an
+     * IEEE 754 binary16 (rounded half to even).
+     *
+     * Binary16 [ s eeeee mmmmmmmmmm ]
+     *          sign | exponent | mantissa
+     */
+    encodeFloat16: (value) => {
+        value = Number(value);
+        if (isNaN(value)) {
+            return 0x7E00;
+        }
+
+        const sign = (value < 0 || Object.is(value, -0)) ? 0x8000 : 0;
+        const abs = Math.abs(value);
+
+        // 65520 is the middle between the biggest
+        // finite value (65504) and 2^16
+        if (abs >= 65520) {
+            return sign + 0x7C00;
+        }
+
+        // subnormal numbers (a rounded up mantissa
+        // of 1024 results in the smallest normal)
+        if (abs < 2 ** -14) {
+            return sign + Utils.roundHalfEven(abs * (2 ** 24));
+        }
+
+        let exp = Math.floor(Math.log2(abs));
+        if (2 ** exp > abs) {
+            exp--;
+        } else if (2 ** (exp+1) <= abs) {
+            exp++;
+        }
+
+        let mantissa = Utils.roundHalfEven(((abs / (2 ** exp)) - 1) * 1024);
+        if (mantissa === 1024) {
+            exp++;
+            mantissa = 0;
+        }
+
+        return sign + ((exp+15) * 1024) + mantissa;
+    },
+
+    /**
+     * Software decoder for half-precision floats.
+     * Converts the 16 bits of an IEEE 754 binary16
+     * into a number.
+     */
+    decodeFloat16: (bits) => {
+        const sign = (bits >= 0x8000) ? -1 : 1;
+        const exp = Math.floor((bits % 0x8000) / 1024);
+        const mantissa = bits % 1024;
+
+        if (exp === 0) {
+            return sign * mantissa * (2 ** -24);
+        }
+        if (exp === 31) {
+            return (mantissa) ? NaN : sign * Infinity;
+        }
+        return sign * (2 ** (exp-15)) * (1 + (mantissa / 1024));
+    },
+
     /**
      * Object which contains all possible TypedArrays
      * and the according constructors.
@@ -53,6 +145,9 @@ const Utils = {
         Uint16Array: Uint16Array,
         Int32Array: Int32Array,
         Uint32Array: Uint32Array,
+        // If the engine does not provide Float16Arrays,
+        // a software fallback is set below
+        Float16Array: globalThis.Float16Array,
         Float32Array: Float32Array,
         Float64Array: Float64Array,
         BigInt64Array: BigInt64Array,
@@ -65,8 +160,13 @@ const Utils = {
         Clamped: "Uint8ClampedArray",
         Int16: "Int16Array",
         Uint16: "Uint16Array",
+        Int24: "Int24Array",
+        Uint24: "Uint24Array",
         Int32: "Int32Array",
         Uint32: "Uint32Array",
+        Int48: "Int48Array",
+        Uint48: "Uint48Array",
+        Float16: "Float16Array",
         Float32: "Float32Array",
         Float64: "Float64Array",
         BigInt: "BigInt64Array",
@@ -94,6 +194,14 @@ const Utils = {
             get: "getUint16",
             set: "setUint16",
         },
+        Int24Array: {
+            get: "getInt24",
+            set: "setInt24"
+        },
+        Uint24Array: {
+            get: "getUint24",
+            set: "setUint24"
+        },
         Int32Array: {
             get: "getInt32",
             set: "setInt32"
@@ -102,6 +210,18 @@ const Utils = {
             get: "getUint32",
             set: "setUint32"
         },
+        Int48Array: {
+            get: "getInt48",
+            set: "setInt48"
+        },
+        Uint48Array: {
+            get: "getUint48",
+            set: "setUint48"
+        },
+        Float16Array: {
+            get: "getFloat16",
+            set: "setFloat16"
+        },
         Float32Array: {
             get: "getFloat32",
             set: "setFloat32"
@@ -122,241 +242,1600 @@ const Utils = {
 }
 
 const SYS_LITTLE_ENDIAN = Utils.getSysEndianness();
+const RESIZABLE_SUPPORT = Utils.getResizableSupport();
+const FLOAT16_SUPPORT = typeof(globalThis.Float16Array) === "function";
+const FLOAT16_VIEW_SUPPORT = typeof(DataView.prototype.getFloat16) === "function";
+const DEFAULT_GROWTH_FACTOR = 2;
+
+// Types, which are not natively supported by the
+// engine. Their values can only be read and written
+// correctly via the (Element-)DataView methods.
+const SOFTWARE_TYPES = new Set(["Int24Array", "Uint24Array", "Int48Array", "Uint48Array"]);
+if (!FLOAT16_SUPPORT) {
+    SOFTWARE_TYPES.add("Float16Array");
+}
 
-class IntegrityError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = "IntegrityError";
+// Types, which were added via Mutar.registerType
+const REGISTERED_TYPES = new Set();
+
+// Types, which hold BigInts or floats. They are listed
+// explicitly, as registered types can have any name.
+const BIGINT_TYPES = new Set(["BigInt64Array", "BigUint64Array"]);
+const FLOAT_TYPES = new Set(["Float16Array", "Float32Array", "Float64Array"]);
+
+// Range [min, max] of the values, which each type can hold
+// (registered types can provide their range optionally)
+const TYPE_RANGES = {
+    Int8Array: [-128, 127],
+    Uint8Array: [0, 255],
+    Uint8ClampedArray: [0, 255],
+    Int16Array: [-32768, 32767],
+    Uint16Array: [0, 65535],
+    Int24Array: [-8388608, 8388607],
+    Uint24Array: [0, 16777215],
+    Int32Array: [-2147483648, 2147483647],
+    Uint32Array: [0, 4294967295],
+    Int48Array: [-140737488355328, 140737488355327],
+    Uint48Array: [0, 281474976710655],
+    Float16Array: [-65504, 65504],
+    Float32Array: [-3.4028234663852886e38, 3.4028234663852886e38],
+    Float64Array: [-Number.MAX_VALUE, Number.MAX_VALUE],
+    BigInt64Array: [-(2n ** 63n), (2n ** 63n) - 1n],
+    BigUint64Array: [0n, (2n ** 64n) - 1n]
+};
+
+const OVERFLOW_POLICIES = ["throw", "wrap", "saturate", "truncate"];
+
+// Rounding modes for the conversion of floats to integers
+const ROUNDING_MODES = {
+    trunc: Math.trunc,
+    "round-half-even": Utils.roundHalfEven,
+    floor: Math.floor,
+    ceil: Math.ceil
+};
+
+// Varints (LEB128) hold 64 bit values, 7 bits per byte
+const VARINT_ENCODINGS = ["unsigned", "signed", "zigzag"];
+const VARINT_MAX_BYTES = 10;
+
+// Hex and binary strings are grouped by bytes or by elements
+const STRING_GROUPINGS = ["byte", "element"];
+
+// Text encodings and their handling of errors
+const TEXT_ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "latin1", "ascii"];
+const TEXT_ERRORS = ["replace", "throw"];
+
+// Encodings of the data of serialized objects
+const JSON_ENCODINGS = ["base64", "values"];
+
+// Container format of Mutar.pack (the index of a type is its code)
+const PACK_MAGIC = "MUTR";
+const PACK_VERSION = 1;
+const PACK_TYPES = [
+    "Int8Array",
+    "Uint8Array",
+    "Uint8ClampedArray",
+    "Int16Array",
+    "Uint16Array",
+    "Int24Array",
+    "Uint24Array",
+    "Int32Array",
+    "Uint32Array",
+    "Int48Array",
+    "Uint48Array",
+    "Float16Array",
+    "Float32Array",
+    "Float64Array",
+    "BigInt64Array",
+    "BigUint64Array"
+];
+
+// NumPy .npy files: magic "\x93NUMPY" and the types of the
+// descr codes (booleans are read as Uint8)
+const NPY_MAGIC = [0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59];
+const NPY_TYPES = {
+    i1: "Int8Array",
+    u1: "Uint8Array",
+    i2: "Int16Array",
+    u2: "Uint16Array",
+    i4: "Int32Array",
+    u4: "Uint32Array",
+    i8: "BigInt64Array",
+    u8: "BigUint64Array",
+    f2: "Float16Array",
+    f4: "Float32Array",
+    f8: "Float64Array",
+    b1: "Uint8Array"
+};
+
+// Digit formats of hex and binary strings
+const DIGIT_FORMATS = {
+    hex: {
+        radix: 16,
+        digitsPerByte: 2,
+        prefix: /^0x/iu,
+        pattern: /^[0-9a-f]+$/iu
+    },
+    binary: {
+        radix: 2,
+        digitsPerByte: 8,
+        prefix: /^0b/iu,
+        pattern: /^[01]+$/u
     }
-}
+};
+
+// Alphabets of the text encodings of binary data
+const BASE_ALPHABETS = {
+    base64: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",
+    base64url: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_",
+    base32: "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567",
+    base58: "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz",
+    adobe: Array.from({length: 85}, (_, i) => String.fromCharCode(33 + i)).join(""),
+    z85: "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#"
+};
 
-class Mutar {
+/**
+ * DataView, which provides getters and setters for
+ * the element types, that are not (necessarily)
+ * supported natively by the engine.
+ */
+class ElementView extends DataView {
 
     /**
-     * Creates a special object. The actual array is located
-     * at obj.array, all methods are available at top level.
-     * Those are all available methods for typed arrays and
-     * most of the ones for regular arrays. Plus some bonus
-     * features.
-     * 
-     * @param {({ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; } | number[] | string)} input - Mut be set. Can be a TypedArray, a string or buffer and regular array
-     * @param {string|function} [type] - A string or TypedArray function that must be specified for buffer and regular arrays
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * Reads an unsigned integer of any byte length
+     * (up to 6 bytes, which is safe for numbers).
      */
-    constructor(input, type, littleEndian=SYS_LITTLE_ENDIAN, adjustEndianness=false) {
-
-        this.littleEndian = littleEndian; 
+    #getUint(byteOffset, byteLength, littleEndian) {
+        let value = 0;
+        for (let i=0; i<byteLength; i++) {
+            const byteIndex = (littleEndian) ? byteLength-1-i : i;
+            value = (value * 256) + this.getUint8(byteOffset + byteIndex);
+        }
+        return value;
+    }
 
-        // Strings are automatically converted to a Uint8Array.
-        if (typeof(input) === "string") {
-            input = new TextEncoder().encode(input);
+    /**
+     * Writes an integer of any byte length (up to 6
+     * bytes). Like the native setters the value gets
+     * truncated and wrapped around (modulo 2^bits).
+     */
+    #setUint(byteOffset, byteLength, value, littleEndian) {
+        const modulus = 2 ** (byteLength * 8);
+        value = Math.trunc(Number(value));
+        value = (Number.isFinite(value)) ? ((value % modulus) + modulus) % modulus : 0;
+
+        for (let i=0; i<byteLength; i++) {
+            const byteIndex = (littleEndian) ? i : byteLength-1-i;
+            this.setUint8(byteOffset + byteIndex, value % 256);
+            value = Math.floor(value / 256);
         }
-        
-        // If the input is a TypedArray, all information will
-        // get read from that object, if no type is specified.
-        if (this.constructor.isTypedArray(input)) {
-            if (type) {
-                type = Mutar.typeFromInput(type);
-                if (type !== input.constructor.name) {
-                    input = this.constructor.convert(input, type, "force", littleEndian);
-                }
-            }
-            if (adjustEndianness) {
-                input = this.constructor.flipEndianness(input, true);
-            }
-            this.updateArray = input;
+    }
 
-        // If not the type must be specified and a new typed
-        // array gets constructed based on the given information.
-        } else if (input instanceof ArrayBuffer || Array.isArray(input)) {
-            let error = true;
-            if (type) {
-                type = Mutar.typeFromInput(type);
-                const typeConstructor = Utils.ArrayTypes[type];
-                if (input instanceof ArrayBuffer || Array.isArray(input)) {
-                    this.updateArray = new typeConstructor(input);
-                    error = false;
-                }
-            }
-            if (error) throw new TypeError("For Array and ArrayBuffer the type needs to be specified as a second argument.");
+    #getInt(byteOffset, byteLength, littleEndian) {
+        const value = this.#getUint(byteOffset, byteLength, littleEndian);
+        const modulus = 2 ** (byteLength * 8);
+        return (value >= modulus / 2) ? value - modulus : value;
+    }
 
-        } else {
-            const emptyMsg = (input) ? "" : "An empty call is not possible.\n";
-            throw new TypeError(`${emptyMsg}Allowed input types are: TypedArray, ArrayBuffer, Array, String`);
-        }
+    getInt24(byteOffset, littleEndian) {
+        return this.#getInt(byteOffset, 3, littleEndian);
     }
 
-    
-    // -------------- > static methods | toolkit < -------------- //
+    setInt24(byteOffset, value, littleEndian) {
+        this.#setUint(byteOffset, 3, value, littleEndian);
+    }
 
+    getUint24(byteOffset, littleEndian) {
+        return this.#getUint(byteOffset, 3, littleEndian);
+    }
 
-    // -------------------- > type analysis < ------------------- //
+    setUint24(byteOffset, value, littleEndian) {
+        this.#setUint(byteOffset, 3, value, littleEndian);
+    }
 
-    /**
-     * Get Type from "obj.constructor.name"
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @returns {string} - Returns the name of the constructor (Uint8Array, Int16Array, ...) 
-     */
-    static getType(obj) {
-        return obj.constructor.name;
+    getInt48(byteOffset, littleEndian) {
+        return this.#getInt(byteOffset, 6, littleEndian);
     }
-  
-    /**
-     * Test if object is a typed array.
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @returns {boolean} - Only true if input object is a TypedArray
-     */
-    static isTypedArray(obj) {
-        return obj.constructor.name in Utils.ArrayTypes;
+
+    setInt48(byteOffset, value, littleEndian) {
+        this.#setUint(byteOffset, 6, value, littleEndian);
     }
 
-    /**
-     * Test if array is of type "type"
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Should be a TypedArray, but any object can get tested for the following name as string
-     * @param {string} type - The constructor name the former arg gets tested against. 
-     * @returns {boolean} - True if "obj.constructor.name" equals "type" 
-     */
-    static isTypeOf(obj, type) {
-        type = Mutar.typeFromInput(type);
-        return obj.constructor.name === type;
+    getUint48(byteOffset, littleEndian) {
+        return this.#getUint(byteOffset, 6, littleEndian);
     }
 
-    /** 
-     * Extract the type from a TypedArray constructor
-     * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
-     * @returns {string} - The name of the TypedArray constructor as string e.g. "Int8Array"
-     */ 
-    static typeFromInput(type) {
-        if (typeof(type) === "function") {
-            type = type.name;
+    setUint48(byteOffset, value, littleEndian) {
+        this.#setUint(byteOffset, 6, value, littleEndian);
+    }
+
+    getFloat16(byteOffset, littleEndian) {
+        if (FLOAT16_VIEW_SUPPORT) {
+            return super.getFloat16(byteOffset, littleEndian);
         }
-        if (!(type in Utils.ArrayTypes)) {
-            if (type in Utils.ArrayShortCuts) {
-                type = Utils.ArrayShortCuts[type];
-            } else {
-                throw new TypeError(`Unknown type: ${type}`);
-            }
+        return Utils.decodeFloat16(this.getUint16(byteOffset, littleEndian));
+    }
+
+    setFloat16(byteOffset, value, littleEndian) {
+        if (FLOAT16_VIEW_SUPPORT) {
+            super.setFloat16(byteOffset, value, littleEndian);
+        } else {
+            this.setUint16(byteOffset, Utils.encodeFloat16(value), littleEndian);
         }
-        return type;
     }
+}
 
+/**
+ * Creates the constructor of a virtual TypedArray
+ * with an element size, no native TypedArray has
+ * (e.g. 3 bytes for Int24). The storage is a
+ * Uint8Array, index access returns the raw bytes.
+ * Length, the element size and the methods Mutar
+ * relies on (copyWithin, fill, keys, reverse, set,
+ * slice, sort, subarray) are working per element.
+ * The actual values are read and written via the
+ * according ElementView methods.
+ * 
+ * @param {string} name - Name of the constructor (e.g. "Int24Array")
+ * @param {number} bytesPerElement - Byte length of a single element
+ * @returns {function} - The constructor of the virtual TypedArray
+ */
+function createVirtualType(name, bytesPerElement) {
 
-    // -------------------- > main tools < -------------------- //
+    // Normalizes a relative index, the way TypedArray methods do
+    function relIndex(index, len, fallback) {
+        if (index === undefined) {
+            return fallback;
+        }
+        index = Math.trunc(Number(index)) || 0;
+        return (index < 0) ? Math.max(len+index, 0) : Math.min(index, len);
+    }
 
-    /**
-     * Getter to determine the systems endianness
-     * @returns {boolean}
-     */
-    static get SYS_LITTLE_ENDIAN() {
-        return SYS_LITTLE_ENDIAN;
+    // Writes regular values in system endianness
+    function writeValues(array, values, start=0) {
+        const view = new ElementView(array.buffer, array.byteOffset, array.byteLength);
+        const set = Utils.ViewMethods[name].set;
+        values.forEach((val, i) => view[set]((start+i)*bytesPerElement, val, SYS_LITTLE_ENDIAN));
     }
 
+    // The object literal lends its key as the class name
+    const VirtualArray = {[name]: class extends Uint8Array {
 
-    /**
-     * Endian aware TypedArray.at
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @param {number} index - Positive or negative index key.
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false 
-     */
-    static at(obj, index, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
-        index = Number(index);
-        if (isNaN(index)) {
-            index = 0;
-        } else if (index < 0) {
-            index = obj.length + index;
-            if (index < 0) {
-                return undefined;
+        static BYTES_PER_ELEMENT = bytesPerElement;
+
+        static get [Symbol.species]() {
+            return Uint8Array;
+        }
+
+        /**
+         * Same signatures as the native TypedArray constructors,
+         * lengths are counted in elements. Arrays or iterables
+         * are treated as regular values.
+         */
+        constructor(input=0, byteOffset=0, length=undefined) {
+            if (typeof(input) === "number") {
+                super(input * bytesPerElement);
+            } else if (input instanceof ArrayBuffer || (typeof(SharedArrayBuffer) === "function" && input instanceof SharedArrayBuffer)) {
+                if (length !== undefined) {
+                    super(input, byteOffset, length * bytesPerElement);
+                } else if (!input.resizable && (input.byteLength - byteOffset) % bytesPerElement) {
+                    throw new RangeError(`The byte length of ${name} should be a multiple of ${bytesPerElement}`);
+                } else {
+                    super(input, byteOffset);
+                }
+            } else {
+                const values = Array.from(input);
+                super(values.length * bytesPerElement);
+                writeValues(this, values);
             }
-        } else if (index >= obj.length) {
-            return undefined;
         }
 
-        view = view || new DataView(obj.buffer);
-        const get = Utils.ViewMethods[obj.constructor.name].get;
-        const offset = index * obj.BYTES_PER_ELEMENT;
-        return view[get](offset, littleEndian);
-    }
+        get BYTES_PER_ELEMENT() {
+            return bytesPerElement;
+        }
 
+        get length() {
+            return Math.floor(this.byteLength / bytesPerElement);
+        }
 
-    /**
-     * Make a copy of the given array
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Should be a TypedArray, if you really want to u can clone regular arrays either
-     * @returns {{ buffer: ArrayBufferLike; }} - A unrelated copy of the input object
-     */
-    static clone(obj) {
-        return obj.slice();
-    }
+        copyWithin(target, start, end) {
+            const len = this.length;
+            target = relIndex(target, len, 0);
+            start = relIndex(start, len, 0);
+            end = relIndex(end, len, len);
+            return super.copyWithin(target*bytesPerElement, start*bytesPerElement, end*bytesPerElement);
+        }
 
+        fill(value, start, end) {
+            const len = this.length;
+            start = relIndex(start, len, 0);
+            end = relIndex(end, len, len);
+            writeValues(this, new Array(Math.max(end-start, 0)).fill(value), start);
+            return this;
+        }
 
-    /**
-     * Concatenates all given arrays into one. By default
-     * each array one must be of the same type but conversion
-     * to the type of the first element can be forced, by
-     * literally passing the string "force".
-     * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @param  {(buffer[]|string[])} args - At least one Typed array for concatenation must be handed over. Additionally it takes the strings "force", "trim", "purge", "intMode" and "intForce", which can be passed to force convert function on the elements
-     * @returns {{ buffer: ArrayBufferLike; }} - A concatenated new TypedArray of the input arrays
-     */
-    static concat(obj, ...args) {
+        keys() {
+            return new Array(this.length).keys();
+        }
 
-        // Test if argument is passed and remove it from "args"
-        function argsIncludes(arg) {
-            if (args.includes(arg)) {
-                args.splice(args.indexOf(arg), 1);
-                return true;
+        reverse() {
+            super.reverse();
+            for (let i=0; i<this.byteLength; i+=bytesPerElement) {
+                super.subarray(i, i+bytesPerElement).reverse();
             }
-            return false;
+            return this;
         }
 
-        // Error function
-        function throwTypeError(errorObj) {
-            throw new TypeError(`Your provided input is not a TypedArray: "${errorObj}" (${errorObj.constructor.name})`);
+        set(source, offset=0) {
+            if (!(source instanceof VirtualArray)) {
+                source = new VirtualArray(source);
+            }
+            super.set(new Uint8Array(source.buffer, source.byteOffset, source.byteLength), offset*bytesPerElement);
         }
 
-        // parameters for type conversion
-        let force = argsIncludes("force");
-
-        let trim = argsIncludes("trim");
-        if (argsIncludes("purge")) {
-            trim = "purge";
+        slice(start, end) {
+            const sub = this.subarray(start, end);
+            const copy = new VirtualArray(sub.length);
+            copy.set(sub);
+            return copy;
         }
-        
-        let intMode = false;
-        if (argsIncludes("intMode")) {
-            intMode = true;
+
+        sort(compareFunction) {
+            const view = new ElementView(this.buffer, this.byteOffset, this.byteLength);
+            const get = Utils.ViewMethods[name].get;
+            const values = Array.from({length: this.length}, (_, i) => view[get](i*bytesPerElement, SYS_LITTLE_ENDIAN));
+            writeValues(this, values.sort(compareFunction || ((a, b) => a - b)));
+            return this;
         }
-        if (argsIncludes("intForce")) {
-            intMode = "force";
+
+        subarray(start, end) {
+            const len = this.length;
+            start = relIndex(start, len, 0);
+            end = relIndex(end, len, len);
+            return new VirtualArray(this.buffer, this.byteOffset + (start*bytesPerElement), Math.max(end-start, 0));
         }
+    }}[name];
 
-        // if "intMode" is set force will be true if not already
-        if (!force) force = Boolean(intMode);
+    return VirtualArray;
+}
 
-        if (!Mutar.isTypedArray(obj)) {
-            throwTypeError(obj);
-        } else if (!args.length) {
-            return obj;
+Utils.ArrayTypes.Int24Array = createVirtualType("Int24Array", 3);
+Utils.ArrayTypes.Uint24Array = createVirtualType("Uint24Array", 3);
+Utils.ArrayTypes.Int48Array = createVirtualType("Int48Array", 6);
+Utils.ArrayTypes.Uint48Array = createVirtualType("Uint48Array", 6);
+
+// If the engine does not provide Float16Arrays, the raw bits
+// are stored in a Uint16Array subclass. Index access returns
+// the bits, fill and sort are working with the actual values.
+if (!FLOAT16_SUPPORT) {
+    Utils.ArrayTypes.Float16Array = class Float16Array extends Uint16Array {
+
+        fill(value, start, end) {
+            return super.fill(Utils.encodeFloat16(value), start, end);
         }
 
-        const type = obj.constructor.name;
+        sort(compareFunction) {
+            const values = Array.from(this, (bits) => Utils.decodeFloat16(bits));
 
-        // For starters use an ordinary array for concatenation
-        let precursor = [...obj];
+            // like the native sort, NaN is placed at the end
+            values.sort(compareFunction || ((a, b) => (Number.isNaN(a) - Number.isNaN(b)) || (a - b)));
+            this.set(values.map((value) => Utils.encodeFloat16(value)));
+            return this;
+        }
+    };
+}
 
-        // Walk through all provided arrays and collect
-        // them in "precursor"
+const ATOMIC_TYPES = [
+    "Int8Array",
+    "Uint8Array",
+    "Int16Array",
+    "Uint16Array",
+    "Int32Array",
+    "Uint32Array",
+    "BigInt64Array",
+    "BigUint64Array"
+];
+const ATOMIC_WAIT_TYPES = ["Int32Array", "BigInt64Array"];
 
-        args.forEach((nextObj) => {
-            if (!Mutar.isTypedArray(nextObj)) {
-                throwTypeError(nextObj);
-            }
+class IntegrityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "IntegrityError";
+    }
+}
 
-            let next = nextObj; 
-            if (nextObj.constructor.name !== type) {
-                if (force) {
-                    next = Mutar.convert(nextObj, type, intMode, trim);
-                } else {
+class SharedMemoryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SharedMemoryError";
+    }
+}
+
+class DecodingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "DecodingError";
+    }
+}
+
+/**
+ * Binary layout of a record with named fields, which
+ * is created by Mutar.struct. Plain objects can be read
+ * from and written to any buffer, TypedArray, DataView
+ * or Mutar object at a given byte offset.
+ */
+class MutarStruct {
+
+    /**
+     * @param {Object[]} fields - The computed layout {name, type, length, byteOffset, byteLength, littleEndian} of the fields
+     * @param {number} byteLength - Byte length of the struct (including padding)
+     * @param {number} alignment - Alignment of the struct
+     * @param {?boolean} littleEndian - Endianness of the struct (null for the endianness of the target or the system)
+     */
+    constructor(fields, byteLength, alignment, littleEndian) {
+        this.fields = fields;
+        this.byteLength = byteLength;
+        this.alignment = alignment;
+        this.littleEndian = littleEndian;
+        Object.freeze(this);
+    }
+
+
+    /**
+     * Creates a new Uint8Array, which holds the
+     * given object (padding bytes are zero).
+     * 
+     * @param {Object} obj - The values of the fields
+     * @param {boolean} [littleEndian=null] - Endianness of the fields, which are not set by the field or the struct (if not set, the endianness of the system is used)
+     * @returns {Uint8Array} - The bytes of the struct
+     */
+    encode(obj, littleEndian=null) {
+        const bytes = new Uint8Array(this.byteLength);
+        this.write(bytes, obj, 0, littleEndian);
+        return bytes;
+    }
+
+
+    /**
+     * Reads a struct from the target.
+     * 
+     * @param {(ArrayBufferLike|Object)} source - ArrayBuffer, TypedArray, DataView or Mutar object
+     * @param {number} [byteOffset=0] - Byte offset of the struct (relative to the view of the source)
+     * @param {boolean} [littleEndian=null] - Endianness of the fields, which are not set by the field or the struct (if not set, the endianness of a Mutar object or the system is used)
+     * @returns {Object} - Plain object with the values of the fields
+     */
+    read(source, byteOffset=0, littleEndian=null) {
+        const [view, defaultLittleEndian] = this.#prepareAccess(source, byteOffset, littleEndian);
+        const obj = {};
+
+        for (const field of this.fields) {
+            const fieldLittleEndian = this.#fieldEndianness(field, defaultLittleEndian);
+            const get = Utils.ViewMethods[field.type].get;
+            const bytesPerElem = Utils.ArrayTypes[field.type].BYTES_PER_ELEMENT;
+            const offset = byteOffset + field.byteOffset;
+
+            if (field.length === null) {
+                obj[field.name] = view[get](offset, fieldLittleEndian);
+            } else {
+                obj[field.name] = Array.from({length: field.length}, (_, i) => view[get](offset + (i*bytesPerElem), fieldLittleEndian));
+            }
+        }
+
+        return obj;
+    }
+
+
+    /**
+     * Writes an object as struct to the target. Fields,
+     * which are missing in the object, are left untouched.
+     * Array fields can be shorter than the defined length.
+     * 
+     * @param {(ArrayBufferLike|Object)} target - ArrayBuffer, TypedArray, DataView or Mutar object
+     * @param {Object} obj - The values of the fields
+     * @param {number} [byteOffset=0] - Byte offset of the struct (relative to the view of the target)
+     * @param {boolean} [littleEndian=null] - Endianness of the fields, which are not set by the field or the struct (if not set, the endianness of a Mutar object or the system is used)
+     * @returns {number} - The byte offset after the struct
+     */
+    write(target, obj, byteOffset=0, littleEndian=null) {
+        const [view, defaultLittleEndian] = this.#prepareAccess(target, byteOffset, littleEndian);
+
+        // The array fields are tested before anything is written
+        for (const field of this.fields) {
+            const val = obj[field.name];
+            if (field.length !== null && val !== undefined && (typeof(val) !== "object" || val.length > field.length)) {
+                throw new RangeError(`Field "${field.name}" takes an array of up to ${field.length} values. Received: ${val}`);
+            }
+        }
+
+        for (const field of this.fields.filter((f) => obj[f.name] !== undefined)) {
+            const val = obj[field.name];
+            const fieldLittleEndian = this.#fieldEndianness(field, defaultLittleEndian);
+            const set = Utils.ViewMethods[field.type].set;
+            const bytesPerElem = Utils.ArrayTypes[field.type].BYTES_PER_ELEMENT;
+            const offset = byteOffset + field.byteOffset;
+
+            if (field.length === null) {
+                view[set](offset, val, fieldLittleEndian);
+            } else {
+                Array.from(val).forEach((v, i) => view[set](offset + (i*bytesPerElem), v, fieldLittleEndian));
+            }
+        }
+
+        return byteOffset + this.byteLength;
+    }
+
+
+    /**
+     * Returns the endianness of a field. The setting
+     * of the field has priority over the struct setting,
+     * which has priority over the default of the target.
+     * 
+     * @param {Object} field - Layout of the field
+     * @param {boolean} defaultLittleEndian - Endianness of the target
+     * @returns {boolean} - Endianness of the field
+     */
+    #fieldEndianness(field, defaultLittleEndian) {
+        if (field.littleEndian !== null) {
+            return field.littleEndian;
+        }
+        return (this.littleEndian !== null) ? this.littleEndian : defaultLittleEndian;
+    }
+
+
+    /**
+     * Creates a view of the target and tests if the
+     * struct fits in at the given byte offset. Mutar
+     * objects provide their own endianness as default.
+     * 
+     * @param {(ArrayBufferLike|Object)} target - ArrayBuffer, TypedArray, DataView or Mutar object
+     * @param {number} byteOffset - Byte offset of the struct
+     * @param {?boolean} defaultLittleEndian - Default endianness, which has priority over the one of the target
+     * @returns {Array} - The view and the default endianness
+     */
+    #prepareAccess(target, byteOffset, defaultLittleEndian) {
+        let view;
+        let littleEndian = SYS_LITTLE_ENDIAN;
+
+        if (target instanceof ArrayBuffer || (typeof(SharedArrayBuffer) !== "undefined" && target instanceof SharedArrayBuffer)) {
+            view = new ElementView(target);
+        } else if (ArrayBuffer.isView(target)) {
+            view = new ElementView(target.buffer, target.byteOffset, target.byteLength);
+        } else if (target && ArrayBuffer.isView(target.array) && typeof(target.littleEndian) === "boolean") {
+            view = new ElementView(target.array.buffer, target.array.byteOffset, target.array.byteLength);
+            ({littleEndian} = target);
+        } else {
+            throw new TypeError(`A struct can only be read from or written to an ArrayBuffer, a TypedArray, a DataView or a Mutar object. Received: ${target}`);
+        }
+
+        if (!Number.isInteger(byteOffset) || byteOffset < 0 || byteOffset + this.byteLength > view.byteLength) {
+            throw new RangeError(`The struct (${this.byteLength} bytes) does not fit into the target (${view.byteLength} bytes) at byte offset ${byteOffset}`);
+        }
+
+        return [view, (defaultLittleEndian === null) ? littleEndian : defaultLittleEndian];
+    }
+}
+
+/**
+ * Indexed view of consecutive records, which are
+ * described by a struct, over the bytes of a Mutar
+ * object (of type Uint8Array). It is created by
+ * Mutar.records. Records can be read and written as
+ * plain objects, appended and removed, the values of
+ * a single field can be iterated as column.
+ */
+class MutarRecords {
+
+    /**
+     * @param {Object} struct - The struct of the records (see Mutar.struct)
+     * @param {Object} mutar - Mutar object of type Uint8Array, which holds the records
+     */
+    constructor(struct, mutar) {
+        this.struct = struct;
+        this.mutar = mutar;
+    }
+
+
+    /**
+     * Number of records
+     */
+    get length() {
+        return Math.floor(this.mutar.byteLength / this.struct.byteLength);
+    }
+
+
+    /**
+     * Iterates over all records.
+     * @returns {Object} - An iterator
+     */
+    *[Symbol.iterator]() {
+        for (let i=0; i<this.length; i++) {
+            yield this.get(i);
+        }
+    }
+
+
+    /**
+     * Iterates over the values of one field of all
+     * records. The bytes are read with the stride of
+     * the struct, in the endianness of the field (or the
+     * given one).
+     * 
+     * @param {string} name - Name of the field
+     * @param {boolean} [littleEndian=null] - If set, this endianness is used instead of the one of the field
+     * @returns {Object} - An iterator
+     */
+    *column(name, littleEndian=null) {
+        const field = this.struct.fields.find((f) => f.name === name);
+        if (!field) {
+            throw new TypeError(`Unknown field "${name}". Available fields are: ${this.struct.fields.map((f) => f.name).join(", ")}`);
+        }
+
+        if (littleEndian === null) {
+            littleEndian = [field.littleEndian, this.struct.littleEndian, this.mutar.littleEndian].find((le) => le !== null);
+        }
+
+        const {array} = this.mutar;
+        const view = new ElementView(array.buffer, array.byteOffset, array.byteLength);
+        const get = Utils.ViewMethods[field.type].get;
+        const bytesPerElem = Utils.ArrayTypes[field.type].BYTES_PER_ELEMENT;
+        const stride = this.struct.byteLength;
+        const len = this.length;
+
+        for (let i=0; i<len; i++) {
+            const offset = (i*stride) + field.byteOffset;
+            if (field.length === null) {
+                yield view[get](offset, littleEndian);
+            } else {
+                yield Array.from({length: field.length}, (_, n) => view[get](offset + (n*bytesPerElem), littleEndian));
+            }
+        }
+    }
+
+
+    /**
+     * Reads a record.
+     * @param {number} index - Positive or negative index of the record
+     * @returns {Object} - The record as plain object (undefined if the index is out of range)
+     */
+    get(index) {
+        index = this.#recordIndex(index);
+        if (index === null) {
+            return undefined;
+        }
+        return this.struct.read(this.mutar, index*this.struct.byteLength);
+    }
+
+
+    /**
+     * Appends records to the end.
+     * @param  {Object[]} records - Records as plain objects
+     * @returns {number} - The new number of records
+     */
+    push(...records) {
+        this.#insert(this.mutar.length, this.#encode(records));
+        return this.length;
+    }
+
+
+    /**
+     * Writes a record (fields, which are missing in
+     * the object, are left untouched).
+     * 
+     * @param {number} index - Positive or negative index of the record
+     * @param {Object} record - The record as plain object
+     */
+    set(index, record) {
+        const recordIndex = this.#recordIndex(index);
+        if (recordIndex === null) {
+            throw new RangeError(`Index ${index} is out of range for ${this.length} records`);
+        }
+        this.struct.write(this.mutar, record, recordIndex*this.struct.byteLength);
+    }
+
+
+    /**
+     * Removes and inserts records, the way
+     * "Array.splice()" does.
+     * 
+     * @param {number} start - Positive or negative index of the first record
+     * @param {number} [deleteCount] - Number of records to remove
+     * @param  {Object[]} records - Records to insert
+     * @returns {Object[]} - The removed records
+     */
+    splice(start, deleteCount, ...records) {
+        const len = this.length;
+        start = Math.trunc(Number(start)) || 0;
+        start = (start < 0) ? Math.max(len+start, 0) : Math.min(start, len);
+        if (deleteCount === undefined) {
+            deleteCount = len-start;
+        } else {
+            deleteCount = Math.min(Math.max(Math.trunc(Number(deleteCount)) || 0, 0), len-start);
+        }
+
+        const stride = this.struct.byteLength;
+        const removed = Array.from({length: deleteCount}, (_, i) => this.get(start+i));
+        this.mutar.splice(start*stride, deleteCount*stride);
+        this.#insert(start*stride, this.#encode(records));
+
+        return removed;
+    }
+
+
+    /**
+     * Encodes records to bytes.
+     * @param {Object[]} records - Records as plain objects
+     * @returns {Uint8Array} - The bytes of all records
+     */
+    #encode(records) {
+        const stride = this.struct.byteLength;
+        const bytes = new Uint8Array(records.length * stride);
+        records.forEach((record, i) => this.struct.write(bytes, record, i*stride, this.mutar.littleEndian));
+        return bytes;
+    }
+
+
+    /**
+     * Inserts encoded records at a byte position. The
+     * array grows once and the bytes are copied in bulk
+     * (any number of records can be inserted).
+     * @param {number} byteOffset - Byte position to insert at
+     * @param {Uint8Array} bytes - The encoded records
+     */
+    #insert(byteOffset, bytes) {
+        const len = this.mutar.length;
+        this.mutar.resize(len + bytes.length);
+        const {array} = this.mutar;
+        array.copyWithin(byteOffset + bytes.length, byteOffset, len);
+        array.set(bytes, byteOffset);
+    }
+
+
+    /**
+     * Normalizes a positive or negative record index.
+     * @param {number} index - Positive or negative index of the record
+     * @returns {?number} - The index or null if it is out of range
+     */
+    #recordIndex(index) {
+        const len = this.length;
+        index = Math.trunc(Number(index)) || 0;
+        if (index < 0) {
+            index += len;
+        }
+        return (index >= 0 && index < len) ? index : null;
+    }
+}
+
+/**
+ * Tests if the array of a Mutar object reaches up to
+ * the given byte position. If "grow" is set, the array
+ * grows (by whole elements, which are zero), otherwise
+ * a RangeError is thrown.
+ * 
+ * @param {Object} mutar - The Mutar object
+ * @param {number} end - Byte position
+ * @param {boolean} grow - If true, the array grows
+ */
+function ensureByteLength(mutar, end, grow) {
+    const {byteLength} = mutar;
+    if (end <= byteLength) {
+        return;
+    }
+    if (!grow) {
+        throw new RangeError(`The cursor exceeds the end of the array (byte ${end} of ${byteLength})`);
+    }
+
+    const count = Math.ceil((end - byteLength) / mutar.BYTES_PER_ELEMENT);
+    mutar.resize(mutar.length + count);
+}
+
+/**
+ * Sequential reader and writer, which keeps a byte
+ * position over the array of a Mutar object. It is
+ * created by "mutar.reader()" or "mutar.writer()".
+ * Every element type has a read and a write method
+ * (e.g. readUint8, writeFloat64, readBigUint64). The
+ * endianness of the Mutar object is used, unless it
+ * is passed to the call. A writer grows the array of
+ * the Mutar object automatically, a reader throws a
+ * RangeError, if it exceeds the end of the array.
+ */
+class MutarCursor {
+
+    #array = null;
+
+    #view = null;
+
+    /**
+     * @param {Object} mutar - The Mutar object
+     * @param {number} [position=0] - Byte position to start at
+     * @param {boolean} [grow=false] - If true, the array grows, if the cursor exceeds its end (writer)
+     */
+    constructor(mutar, position=0, grow=false) {
+        this.mutar = mutar;
+        this.grow = grow;
+        this.position = 0;
+        this.seek(position);
+    }
+
+
+    /**
+     * Number of bytes between the position and
+     * the end of the array
+     */
+    get remaining() {
+        return this.mutar.byteLength - this.position;
+    }
+
+
+    /**
+     * Moves the position forward to the next multiple
+     * of the given number of bytes (relative to the start
+     * of the array). A writer pads with zeros.
+     * 
+     * @param {number} bytes - The alignment in bytes
+     * @returns {Object} - The cursor
+     */
+    align(bytes) {
+        if (!Number.isInteger(bytes) || bytes < 1) {
+            throw new RangeError(`The alignment must be a positive integer. Received: ${bytes}`);
+        }
+        return this.seek(Math.ceil(this.position / bytes) * bytes);
+    }
+
+
+    /**
+     * Reads a value of the given type and moves
+     * the position behind it.
+     * 
+     * @param {(string|function)} type - TypedArray constructor, its name or a shortcut
+     * @param {boolean} [littleEndian=null] - A boolean that sets little endian to true/false (default is the endianness of the Mutar object)
+     * @returns {(number|bigint)} - The value
+     */
+    read(type, littleEndian=null) {
+        type = MutarCursor.#typeName(type);
+        const offset = this.#advance(Utils.ArrayTypes[type].BYTES_PER_ELEMENT);
+        return this.#getView()[Utils.ViewMethods[type].get](offset, this.#endianness(littleEndian));
+    }
+
+
+    /**
+     * Reads the given number of bytes.
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} - A copy of the bytes
+     */
+    readBytes(length) {
+        const offset = this.#advance(length);
+        const {array} = this.mutar;
+        return new Uint8Array(array.buffer, array.byteOffset + offset, length).slice();
+    }
+
+
+    /**
+     * Sets the position. Negative positions count
+     * from the end of the array. A writer grows the
+     * array (with zeros), if the position exceeds it.
+     * Positions before the start or (for a reader)
+     * behind the end throw a RangeError.
+     * 
+     * @param {number} position - The new byte position
+     * @returns {Object} - The cursor
+     */
+    seek(position) {
+        if (!Number.isInteger(position)) {
+            throw new RangeError(`The position must be an integer. Received: ${position}`);
+        }
+        if (position < 0) {
+            position += this.mutar.byteLength;
+        }
+        if (position < 0) {
+            throw new RangeError(`The position is before the start of the array (byte ${position})`);
+        }
+        this.#ensure(position);
+        this.position = position;
+        return this;
+    }
+
+
+    /**
+     * Moves the position by the given number of bytes
+     * (backwards for negative numbers).
+     * 
+     * @param {number} bytes - Number of bytes
+     * @returns {Object} - The cursor
+     */
+    skip(bytes) {
+        if (!Number.isInteger(bytes)) {
+            throw new RangeError(`The number of bytes must be an integer. Received: ${bytes}`);
+        }
+        return this.seek(Math.max(this.position + bytes, 0));
+    }
+
+
+    /**
+     * Writes a value of the given type and moves
+     * the position behind it.
+     * 
+     * @param {(string|function)} type - TypedArray constructor, its name or a shortcut
+     * @param {(number|bigint)} value - The value
+     * @param {boolean} [littleEndian=null] - A boolean that sets little endian to true/false (default is the endianness of the Mutar object)
+     * @returns {Object} - The cursor
+     */
+    write(type, value, littleEndian=null) {
+        type = MutarCursor.#typeName(type);
+        const offset = this.#advance(Utils.ArrayTypes[type].BYTES_PER_ELEMENT);
+        this.#getView()[Utils.ViewMethods[type].set](offset, value, this.#endianness(littleEndian));
+        return this;
+    }
+
+
+    /**
+     * Writes bytes.
+     * @param {(number[]|Uint8Array)} bytes - The bytes
+     * @returns {Object} - The cursor
+     */
+    writeBytes(bytes) {
+        const offset = this.#advance(bytes.length);
+        const {array} = this.mutar;
+        new Uint8Array(array.buffer, array.byteOffset + offset, bytes.length).set(bytes);
+        return this;
+    }
+
+
+    /**
+     * Returns the current position and moves it
+     * by the given number of bytes.
+     * 
+     * @param {number} length - Number of bytes
+     * @returns {number} - The byte offset to read or write at
+     */
+    #advance(length) {
+        if (!Number.isInteger(length) || length < 0) {
+            throw new RangeError(`The number of bytes must be a positive integer. Received: ${length}`);
+        }
+        const offset = this.position;
+        this.#ensure(offset + length);
+        this.position += length;
+        return offset;
+    }
+
+
+    /**
+     * Returns the endianness of a call.
+     * @param {?boolean} littleEndian - Endianness of the call
+     * @returns {boolean} - The given endianness or the one of the Mutar object
+     */
+    #endianness(littleEndian) {
+        return (littleEndian === null) ? this.mutar.littleEndian : Boolean(littleEndian);
+    }
+
+
+    /**
+     * Tests if the array reaches up to the given
+     * byte position (see ensureByteLength).
+     * @param {number} end - Byte position
+     */
+    #ensure(end) {
+        ensureByteLength(this.mutar, end, this.grow);
+    }
+
+
+    /**
+     * Returns a view of the array, which is renewed
+     * if the array of the Mutar object has changed.
+     * @returns {Object} - ElementView of the array
+     */
+    #getView() {
+        const {array} = this.mutar;
+        if (array !== this.#array || this.#view.byteLength !== array.byteLength) {
+            this.#array = array;
+            this.#view = new ElementView(array.buffer, array.byteOffset, array.byteLength);
+        }
+        return this.#view;
+    }
+
+
+    /**
+     * Returns the name of a type (the way
+     * Mutar.typeFromInput does).
+     * 
+     * @param {(string|function)} type - TypedArray constructor, its name or a shortcut
+     * @returns {string} - Name of the TypedArray constructor
+     */
+    static #typeName(type) {
+        if (typeof(type) === "function") {
+            type = type.name;
+        }
+        if (type in Utils.ArrayShortCuts) {
+            return Utils.ArrayShortCuts[type];
+        } else if (type in Utils.ArrayTypes) {
+            return type;
+        }
+        throw new TypeError(`Unknown type: ${type}`);
+    }
+}
+
+/**
+ * Reader and writer of values with arbitrary bit
+ * widths (up to 64 bits), which keeps a bit position
+ * over the array of a Mutar object. It is created by
+ * "mutar.bitReader()" or "mutar.bitWriter()".
+ * The bits of a byte are either processed from the
+ * most significant bit ("msb") or from the least
+ * significant bit ("lsb"). By default the bit order
+ * follows the endianness of the Mutar object (big
+ * endian -> "msb", little endian -> "lsb"), which
+ * makes byte aligned reads of 16, 32 or 64 bits equal
+ * to the according integers in that endianness.
+ */
+class MutarBitCursor {
+
+    /**
+     * @param {Object} mutar - The Mutar object
+     * @param {number} [position=0] - Bit position to start at
+     * @param {?string} [bitOrder=null] - "msb" or "lsb" (default depends on the endianness of the Mutar object)
+     * @param {boolean} [grow=false] - If true, the array grows, if the cursor exceeds its end (writer)
+     */
+    constructor(mutar, position=0, bitOrder=null, grow=false) {
+        if (bitOrder === null) {
+            bitOrder = (mutar.littleEndian) ? "lsb" : "msb";
+        } else if (bitOrder !== "msb" && bitOrder !== "lsb") {
+            throw new TypeError(`The bit order must be "msb" or "lsb". Received: ${bitOrder}`);
+        }
+        this.mutar = mutar;
+        this.bitOrder = bitOrder;
+        this.grow = grow;
+        this.position = 0;
+        this.seek(position);
+    }
+
+
+    /**
+     * Number of bits between the position and
+     * the end of the array
+     */
+    get remaining() {
+        return (this.mutar.byteLength * 8) - this.position;
+    }
+
+
+    /**
+     * Moves the position forward to the next byte
+     * boundary. A writer pads with zeros.
+     * @returns {Object} - The cursor
+     */
+    align() {
+        return this.seek(Math.ceil(this.position / 8) * 8);
+    }
+
+
+    /**
+     * Reads a value without moving the position.
+     * @param {number} bits - Number of bits (1-64)
+     * @param {boolean} [signed=false] - If true, the value is read as two's complement
+     * @returns {(number|bigint)} - The value (a BigInt for more than 53 bits)
+     */
+    peekBits(bits, signed=false) {
+        MutarBitCursor.#testBits(bits);
+        ensureByteLength(this.mutar, Math.ceil((this.position + bits) / 8), false);
+
+        const bytes = this.#bytes();
+        const msb = this.bitOrder === "msb";
+        let value = 0n;
+
+        for (let i=0; i<bits; i++) {
+            const bitPos = this.position + i;
+            const shift = (msb) ? 7 - (bitPos % 8) : bitPos % 8;
+            const bit = BigInt(Math.floor(bytes[Math.floor(bitPos / 8)] / (2 ** shift)) % 2);
+
+            // MSB first: the first bit is the most significant one
+            // LSB first: the first bit is the least significant one
+            value = (msb) ? (value * 2n) + bit : value + (bit * (2n ** BigInt(i)));
+        }
+
+        if (signed) {
+            value = BigInt.asIntN(bits, value);
+        }
+        return (bits > 53) ? value : Number(value);
+    }
+
+
+    /**
+     * Reads a value and moves the position behind it.
+     * @param {number} bits - Number of bits (1-64)
+     * @param {boolean} [signed=false] - If true, the value is read as two's complement
+     * @returns {(number|bigint)} - The value (a BigInt for more than 53 bits)
+     */
+    readBits(bits, signed=false) {
+        const value = this.peekBits(bits, signed);
+        this.position += bits;
+        return value;
+    }
+
+
+    /**
+     * Sets the position. Negative positions count
+     * from the end of the array. A writer grows the
+     * array (with zeros), if the position exceeds it.
+     * Positions before the start or (for a reader)
+     * behind the end throw a RangeError.
+     * 
+     * @param {number} position - The new bit position
+     * @returns {Object} - The cursor
+     */
+    seek(position) {
+        if (!Number.isInteger(position)) {
+            throw new RangeError(`The position must be an integer. Received: ${position}`);
+        }
+        if (position < 0) {
+            position += this.mutar.byteLength * 8;
+        }
+        if (position < 0) {
+            throw new RangeError(`The position is before the start of the array (bit ${position})`);
+        }
+        ensureByteLength(this.mutar, Math.ceil(position / 8), this.grow);
+        this.position = position;
+        return this;
+    }
+
+
+    /**
+     * Moves the position by the given number of bits
+     * (backwards for negative numbers).
+     * 
+     * @param {number} bits - Number of bits
+     * @returns {Object} - The cursor
+     */
+    skip(bits) {
+        if (!Number.isInteger(bits)) {
+            throw new RangeError(`The number of bits must be an integer. Received: ${bits}`);
+        }
+        return this.seek(Math.max(this.position + bits, 0));
+    }
+
+
+    /**
+     * Writes a value and moves the position behind
+     * it. Values, which exceed the number of bits, are
+     * cut (negative values are written as two's
+     * complement).
+     * 
+     * @param {(number|bigint)} value - Integer to write
+     * @param {number} bits - Number of bits (1-64)
+     * @returns {Object} - The cursor
+     */
+    writeBits(value, bits) {
+        MutarBitCursor.#testBits(bits);
+        if (typeof(value) !== "bigint" && !Number.isInteger(value)) {
+            throw new TypeError(`Only integers can be written. Received: ${value}`);
+        }
+        ensureByteLength(this.mutar, Math.ceil((this.position + bits) / 8), this.grow);
+
+        const bytes = this.#bytes();
+        const msb = this.bitOrder === "msb";
+        value = BigInt.asUintN(bits, BigInt(value));
+
+        for (let i=0; i<bits; i++) {
+            const bitPos = this.position + i;
+            const index = Math.floor(bitPos / 8);
+            const shift = (msb) ? 7 - (bitPos % 8) : bitPos % 8;
+            const bitIndex = (msb) ? bits - 1 - i : i;
+            const bit = Number((value / (2n ** BigInt(bitIndex))) % 2n);
+            const current = Math.floor(bytes[index] / (2 ** shift)) % 2;
+            bytes[index] += (bit - current) * (2 ** shift);
+        }
+
+        this.position += bits;
+        return this;
+    }
+
+
+    /**
+     * Returns the bytes of the array.
+     * @returns {Uint8Array} - The bytes of the array of the Mutar object
+     */
+    #bytes() {
+        const {array} = this.mutar;
+        return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    }
+
+
+    /**
+     * Tests the number of bits of a value.
+     * @param {number} bits - Number of bits
+     */
+    static #testBits(bits) {
+        if (!Number.isInteger(bits) || bits < 1 || bits > 64) {
+            throw new RangeError(`The number of bits must be an integer between 1 and 64. Received: ${bits}`);
+        }
+    }
+}
+
+/**
+ * Defines the read and write methods of a type
+ * on the prototype of MutarCursor (e.g. readInt16
+ * and writeInt16 for "Int16Array").
+ * 
+ * @param {string} type - Name of the TypedArray constructor
+ */
+function defineCursorMethods(type) {
+    const name = type.replace(/Array$/u, "");
+    MutarCursor.prototype[`read${name}`] = function readValue(littleEndian=null) {
+        return this.read(type, littleEndian);
+    };
+    MutarCursor.prototype[`write${name}`] = function writeValue(value, littleEndian=null) {
+        return this.write(type, value, littleEndian);
+    };
+}
+
+Object.keys(Utils.ViewMethods).forEach(defineCursorMethods);
+
+class Mutar {
+
+    #reserved;
+
+    #head = 0;
+
+    #growthFactor;
+
+    #deque;
+
+    #resizable;
+
+    #ownsResizable = false;
+
+    #borrowed = false;
+
+    #shared = false;
+
+    /**
+     * Creates a special object. The actual array is located
+     * at obj.array, all methods are available at top level.
+     * Those are all available methods for typed arrays and
+     * most of the ones for regular arrays. Plus some bonus
+     * features.
+     * 
+     * A TypedArray or buffer input is used directly at first
+     * (values which are set are also set on the input). The
+     * input gets copied, before the length changes the first
+     * time, the input itself never grows or shrinks. Shared
+     * objects keep the SharedArrayBuffer of the input.
+     * 
+     * @param {({ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; } | number[] | string)} input - Mut be set. Can be a TypedArray, a string or buffer (ArrayBuffer or SharedArrayBuffer) and regular array
+     * @param {string|function} [type] - A string or TypedArray function that must be specified for buffer and regular arrays
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @param {boolean} [adjustEndianness=false] - If true, the endianness of the input bytes are getting flipped
+     * @param {Object} [options] - Optional settings for the object
+     * @param {number} [options.capacity] - Number of elements to reserve memory for in advance
+     * @param {number} [options.growthFactor=2] - Factor by which the reserved capacity grows, if it is exhausted
+     * @param {boolean} [options.deque=false] - If true, free capacity is also kept in front of the array, which makes shift and unshift O(1)
+     * @param {boolean} [options.resizable] - Forces (true) or prevents (false) the use of resizable ArrayBuffers. By default they are used, if the engine supports them
+     * @param {boolean} [options.shared=false] - If true, the array is kept on a SharedArrayBuffer (of fixed capacity), resizable buffers are not used
+     */
+    constructor(input, type, littleEndian=SYS_LITTLE_ENDIAN, adjustEndianness=false, options={}) {
+
+        this.littleEndian = littleEndian; 
+        this.growthFactor = options.growthFactor ?? DEFAULT_GROWTH_FACTOR;
+        this.#deque = Boolean(options.deque);
+
+        // Strings are automatically converted to a Uint8Array.
+        // Like arrays of values they need no copy later on.
+        const ownedInput = typeof(input) === "string" || Array.isArray(input);
+        if (typeof(input) === "string") {
+            input = new TextEncoder().encode(input);
+        }
+        
+        // If the input is a TypedArray, all information will
+        // get read from that object, if no type is specified.
+        if (this.constructor.isTypedArray(input)) {
+            if (type) {
+                type = Mutar.typeFromInput(type);
+                if (type !== input.constructor.name) {
+                    input = this.constructor.convert(input, type, "force", littleEndian);
+                }
+            }
+            if (adjustEndianness) {
+                input = this.constructor.flipEndianness(input, true);
+            }
+            this.updateArray = input;
+
+        // If not the type must be specified and a new typed
+        // array gets constructed based on the given information.
+        // A SharedArrayBuffer is used directly (not copied).
+        } else if (Mutar.#isBuffer(input) || Array.isArray(input)) {
+            let error = true;
+            if (type) {
+                type = Mutar.typeFromInput(type);
+                const typeConstructor = Utils.ArrayTypes[type];
+                if (Mutar.#isBuffer(input)) {
+                    this.updateArray = new typeConstructor(input);
+                    error = false;
+                } else if (Array.isArray(input)) {
+                    this.updateArray = Mutar.#fromValues(type, input);
+                    error = false;
+                }
+            }
+            if (error) throw new TypeError("For Array, ArrayBuffer and SharedArrayBuffer the type needs to be specified as a second argument.");
+
+        } else {
+            const emptyMsg = (input) ? "" : "An empty call is not possible.\n";
+            throw new TypeError(`${emptyMsg}Allowed input types are: TypedArray, ArrayBuffer, SharedArrayBuffer, Array, String`);
+        }
+
+        if (ownedInput) {
+            this.#borrowed = false;
+        }
+        this.#initMemory(options);
+    }
+
+    
+    // -------------- > static methods | toolkit < -------------- //
+
+
+    // -------------------- > type analysis < ------------------- //
+
+    /**
+     * Get Type from "obj.constructor.name"
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @returns {string} - Returns the name of the constructor (Uint8Array, Int16Array, ...) 
+     */
+    static getType(obj) {
+        return obj.constructor.name;
+    }
+  
+    /**
+     * Test if object is a typed array.
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @returns {boolean} - Only true if input object is a TypedArray
+     */
+    static isTypedArray(obj) {
+        return obj.constructor.name in Utils.ArrayTypes;
+    }
+
+    /**
+     * Test if array is of type "type"
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Should be a TypedArray, but any object can get tested for the following name as string
+     * @param {string} type - The constructor name the former arg gets tested against. 
+     * @returns {boolean} - True if "obj.constructor.name" equals "type" 
+     */
+    static isTypeOf(obj, type) {
+        type = Mutar.typeFromInput(type);
+        return obj.constructor.name === type;
+    }
+
+    /**
+     * Registers a custom element type, which can be used like
+     * the built-in types (with the constructor, convert, concat
+     * and all other functions). Like the virtual types Int24 etc.,
+     * the storage is a Uint8Array, the values are read and
+     * written by the given functions.
+     * 
+     * @param {string} name - Name of the type (e.g. "Q15"), the constructor is named "Q15Array". Both can be used as type
+     * @param {Object} definition - Definition of the type
+     * @param {number} definition.bytesPerElement - Byte length of a single element
+     * @param {function} definition.get - Reads a value: get(view, byteOffset, littleEndian) => value
+     * @param {function} definition.set - Writes a value: set(view, byteOffset, value, littleEndian)
+     * @param {(string|string[])} [definition.shortcuts] - Additional names for the type
+     * @param {number} [definition.min] - Smallest value of the type (required for the overflow policy "saturate")
+     * @param {number} [definition.max] - Biggest value of the type (required for the overflow policy "saturate")
+     * @returns {function} - The constructor of the new type
+     */
+    static registerType(name, {bytesPerElement, get, set, shortcuts=[], min, max}={}) {
+        if (typeof(name) !== "string" || !(/^[A-Za-z$][\w$]*$/u).test(name)) {
+            throw new TypeError(`The name of a type must be a string, which is a valid identifier (e.g. "Q15"). Received: ${name}`);
+        }
+        if (!Number.isInteger(bytesPerElement) || bytesPerElement < 1) {
+            throw new RangeError(`bytesPerElement of type "${name}" must be a positive integer. Received: ${bytesPerElement}`);
+        }
+        if (typeof(get) !== "function" || typeof(set) !== "function") {
+            throw new TypeError(`Type "${name}" requires a "get" and a "set" function.`);
+        }
+
+        const baseName = name.replace(/Array$/u, "");
+        const type = `${baseName}Array`;
+        const names = [...new Set([type, baseName].concat(shortcuts))];
+        const methods = {
+            get: `get${baseName}`,
+            set: `set${baseName}`
+        };
+
+        for (const typeName of names) {
+            if (typeName in Utils.ArrayTypes || typeName in Utils.ArrayShortCuts) {
+                throw new TypeError(`The type name or shortcut "${typeName}" is already in use.`);
+            }
+        }
+        if (methods.get in ElementView.prototype || methods.set in ElementView.prototype) {
+            throw new TypeError(`The type name "${baseName}" conflicts with the DataView methods.`);
+        }
+
+        ElementView.prototype[methods.get] = function getValue(byteOffset, littleEndian) {
+            return get(this, byteOffset, littleEndian);
+        };
+        ElementView.prototype[methods.set] = function setValue(byteOffset, value, littleEndian) {
+            set(this, byteOffset, value, littleEndian);
+        };
+
+        Utils.ViewMethods[type] = methods;
+        Utils.ArrayTypes[type] = createVirtualType(type, bytesPerElement);
+        defineCursorMethods(type);
+        names.slice(1).forEach((shortcut) => {
+            Utils.ArrayShortCuts[shortcut] = type;
+        });
+        SOFTWARE_TYPES.add(type);
+        REGISTERED_TYPES.add(type);
+        if (min !== undefined && max !== undefined) {
+            TYPE_RANGES[type] = [min, max];
+        }
+
+        return Utils.ArrayTypes[type];
+    }
+
+
+    /** 
+     * Extract the type from a TypedArray constructor
+     * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
+     * @returns {string} - The name of the TypedArray constructor as string e.g. "Int8Array"
+     */ 
+    static typeFromInput(type) {
+        if (typeof(type) === "function") {
+            type = type.name;
+        }
+        if (!(type in Utils.ArrayTypes)) {
+            if (type in Utils.ArrayShortCuts) {
+                type = Utils.ArrayShortCuts[type];
+            } else {
+                const known = Object.keys(Utils.ArrayTypes).join(", ");
+                throw new TypeError(`Unknown type: ${type}\nKnown types are: ${known} (or their shortcuts)`);
+            }
+        }
+        return type;
+    }
+
+
+    // -------------------- > main tools < -------------------- //
+
+    /**
+     * Getter to determine the systems endianness
+     * @returns {boolean}
+     */
+    static get SYS_LITTLE_ENDIAN() {
+        return SYS_LITTLE_ENDIAN;
+    }
+
+
+    /**
+     * Getter to determine if the engine supports
+     * Float16Arrays natively (otherwise the raw
+     * bits are stored in a Uint16Array subclass)
+     * @returns {boolean}
+     */
+    static get FLOAT16_SUPPORT() {
+        return FLOAT16_SUPPORT;
+    }
+
+
+    /**
+     * Getter to determine if the engine supports
+     * resizable ArrayBuffers
+     * @returns {boolean}
+     */
+    static get RESIZABLE_SUPPORT() {
+        return RESIZABLE_SUPPORT;
+    }
+
+
+    /**
+     * Endian aware TypedArray.at
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {number} index - Positive or negative index key.
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false 
+     * @param {Object} [view] - If a view of the array is already defined, pass it here 
+     * @param {boolean} [asNumber=false] - If true, BigInts are returned as numbers (an IntegrityError is thrown, if the value cannot be represented exactly)
+     */
+    static at(obj, index, littleEndian=SYS_LITTLE_ENDIAN, view=null, asNumber=false) {
+        index = Number(index);
+        if (isNaN(index)) {
+            index = 0;
+        } else if (index < 0) {
+            index = obj.length + index;
+            if (index < 0) {
+                return undefined;
+            }
+        } else if (index >= obj.length) {
+            return undefined;
+        }
+
+        view = view || new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+        const get = Utils.ViewMethods[obj.constructor.name].get;
+        const offset = index * obj.BYTES_PER_ELEMENT;
+        const value = view[get](offset, littleEndian);
+        return (asNumber) ? Mutar.#toSafeNumber(value, index) : value;
+    }
+
+
+    /**
+     * Make a copy of the given array
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Should be a TypedArray, if you really want to u can clone regular arrays either
+     * @returns {{ buffer: ArrayBufferLike; }} - A unrelated copy of the input object
+     */
+    static clone(obj) {
+        return obj.slice();
+    }
+
+
+    /**
+     * Concatenates all given arrays into one. By default
+     * each array one must be of the same type but conversion
+     * to the type of the first element can be forced, by
+     * literally passing the string "force".
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param  {(buffer[]|string[])} args - At least one Typed array for concatenation must be handed over. Additionally it takes the strings "force", "trim", "purge", "intMode" and "intForce" or an overflow policy ("throw", "wrap", "saturate", "truncate"), which can be passed to force convert function on the elements
+     * @returns {{ buffer: ArrayBufferLike; }} - A concatenated new TypedArray of the input arrays
+     */
+    static concat(obj, ...args) {
+
+        // Test if argument is passed and remove it from "args"
+        function argsIncludes(arg) {
+            if (args.includes(arg)) {
+                args.splice(args.indexOf(arg), 1);
+                return true;
+            }
+            return false;
+        }
+
+        // Error function
+        function throwTypeError(errorObj) {
+            throw new TypeError(`Your provided input is not a TypedArray: "${errorObj}" (${errorObj.constructor.name})`);
+        }
+
+        // parameters for type conversion
+        let force = argsIncludes("force");
+
+        let trim = argsIncludes("trim");
+        if (argsIncludes("purge")) {
+            trim = "purge";
+        }
+        
+        let intMode = false;
+        if (argsIncludes("intMode")) {
+            intMode = true;
+        }
+        if (argsIncludes("intForce")) {
+            intMode = "force";
+        }
+        for (const policy of OVERFLOW_POLICIES) {
+            if (argsIncludes(policy)) {
+                intMode = policy;
+            }
+        }
+
+        // if "intMode" is set force will be true if not already
+        if (!force) force = Boolean(intMode);
+
+        if (!Mutar.isTypedArray(obj)) {
+            throwTypeError(obj);
+        } else if (!args.length) {
+            return obj;
+        }
+
+        const type = obj.constructor.name;
+
+        // Walk through all provided arrays and collect
+        // them in "precursor" (the bytes are copied
+        // afterwards, which keeps the raw storage of
+        // types, which are not natively supported)
+        const precursor = [obj];
+
+        args.forEach((nextObj) => {
+            if (!Mutar.isTypedArray(nextObj)) {
+                throwTypeError(nextObj);
+            }
+
+            let next = nextObj; 
+            if (nextObj.constructor.name !== type) {
+                if (force) {
+                    next = Mutar.convert(nextObj, type, intMode, trim);
+                } else {
                     throw new TypeError(`
                         You are trying to concatenate different types of arrays:
                         > "${type}" and "${nextObj.constructor.name}" <
@@ -364,495 +1843,3192 @@ class Mutar {
                     `.replace(/ +/ug, " "));
                 }
             }
-            precursor = precursor.concat([...next]);
-        });
-        
-        return Utils.ArrayTypes[type].from(precursor);
+            precursor.push(next);
+        });
+
+        const byteLen = precursor.reduce((sum, array) => sum + array.byteLength, 0);
+        const newArray = new Utils.ArrayTypes[type](byteLen / obj.BYTES_PER_ELEMENT);
+        const bytes = new Uint8Array(newArray.buffer);
+
+        let byteOffset = 0;
+        for (const array of precursor) {
+            bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffset);
+            byteOffset += array.byteLength;
+        }
+        
+        return newArray;
+    }
+
+
+    /**
+     * Converts a given TypedArray to another type.
+     * By default, missing zeros are appended to the
+     * start or end of the array (depending on the 
+     * endianness).
+     * Null bytes can get removed (trimmed) directly 
+     * in the process. 
+     * It is also possible to stretch the array, and
+     * zero pad the individual integers, by setting
+     * "preserveIntegers" to true.
+     * 
+     * In intMode values, which do not fit into the new
+     * type, are handled according to an overflow policy:
+     * "throw" (an IntegrityError, the default for true),
+     * "wrap" (wrap around modulo 2^bits), "saturate" (clamp
+     * to the range of the new type) or "truncate" (cut the
+     * surplus bits, also available as "force"). Instead of
+     * a string, an object {overflow, rounding, normalize,
+     * precision, report} can be passed. Floats are rounded to integers
+     * with "rounding" ("trunc", "round-half-even", "floor"
+     * or "ceil"), if it is set. "normalize" maps floats in
+     * the range [-1, 1] to the full range of the integer
+     * type and vice versa. For integer types NaN becomes
+     * zero and ±Infinity is treated like any other value
+     * out of range (zero for "wrap" and "truncate", the
+     * limits of the type for "saturate", an IntegrityError
+     * for "throw"). Values, which fit into the range of a
+     * new float type, but lose precision (e.g. BigInts above
+     * Number.MAX_SAFE_INTEGER), cause an IntegrityError for
+     * "throw", unless "precision" is set to "report". If
+     * "report" is true (which is implied by "precision"),
+     * an array with the new TypedArray and a report
+     * {overflow, affected, total, precisionLoss} is returned,
+     * precisionLoss lists these values as {index, value}.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
+     * @param {(boolean|string|Object)} [intMode=false] - If true the individual integers keep the same (if they fit). If data loss is intended pass an overflow policy ("wrap", "saturate", "truncate" or "force") or an options object {overflow, rounding, normalize, precision, report}
+     * @param {(boolean|string)} [trim=false] - If true padded zeros according to the endianness get trimmed, if set to string "purge" all null bytes get discarded
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false 
+     * @param {Object} [view] - If a view of the array is already defined, pass it here 
+     * @returns {({ buffer: ArrayBufferLike; }|Array)} - The converted TypedArray (or the TypedArray and the report, if it was requested)
+     */
+    static convert(obj, type, intMode=false, trim=false, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
+
+        type = Mutar.typeFromInput(type);
+        intMode = Mutar.#intModeOptions(intMode);
+        let newArray;
+
+        // The following mode is looking at the individual
+        // integers. Take a look at th following example
+        // (big endian byte order, cause easier to read)
+        //
+        //      Uint16Array(2) [               200               400 ]
+        //      Uint8Array(4)  [        0      200        1      144 ]
+        //      Binary         [ 00000000 11001000 00000001 10010000 ]
+        //
+        // Converted to Uint32:
+        //      Binary         [ 00000000 00000000 00000000 11001000 00000000 00000000 00000001 10010000 ]
+        //      Uint8Array(8)  [        0        0        0      200        0        0        1      144 ]
+        //      Uint32Array(2) [                                 200                                 400 ]        
+        // 
+        // The ArrayBuffer has now doubled in size, but the view (Uint32) has the same two values as the
+        // initial Uint16Array.
+        // There is no issue going up, the other direction can be problematic
+
+        if (intMode) {
+            
+            view = view || new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+
+            newArray = new Utils.ArrayTypes[type](obj.length);
+            const nView = new ElementView(newArray.buffer);
+
+            const stats = Mutar.#convertInts(view, obj.constructor.name, nView, type, obj.length, intMode, littleEndian);
+            if (intMode.report) {
+                return [newArray, Mutar.#intModeReport(intMode, stats, obj.length)];
+            }
+
+        
+        // The following regular mode is not changing the buffer
+        // if not necessary. If conversion is not possible, zeros
+        // are added to the end or the beginning of the buffer
+        // (depending on the endianness).
+        // 
+        // Example (Again BE):
+        // Uint8Array(3)  [   1 234 56 ]
+        // Uint32Array(1) [ 0 1 234 56 ] = 125496
+        //
+        // If the former Unit32Array is converted (back) to a
+        // Unit8Array the null byte can get trimmed.
+        } else {
+            const byteLen = obj.byteLength;
+            const byteDiff = byteLen % Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
+            
+
+            // zero padding is not needed
+            if (!byteDiff) {
+
+                // the new view must start at a multiple of its
+                // element size, otherwise a copy is required
+                if (obj.byteOffset % Utils.ArrayTypes[type].BYTES_PER_ELEMENT) {
+                    obj = obj.slice();
+                }
+                newArray = new Utils.ArrayTypes[type](obj.buffer, obj.byteOffset, byteLen / Utils.ArrayTypes[type].BYTES_PER_ELEMENT);
+                if (trim) {
+                    newArray = Mutar.trim(newArray, (trim === "purge"), littleEndian);
+                }
+            
+            // zero padding is necessary
+            } else {    
+                const missingBytes = Utils.ArrayTypes[type].BYTES_PER_ELEMENT - byteDiff;
+                const newLen = byteLen + missingBytes;
+                
+                // initialize a new Uint8Array of the required byte length
+                let Uint8 = new Uint8Array(newLen);
+
+                // create the requested view
+                newArray = new Utils.ArrayTypes[type](Uint8.buffer);
+                
+                // create a Uint8View if necessary
+                const Uint8ViewOrig = (obj.BYTES_PER_ELEMENT > 1) ? new Uint8Array(obj.buffer, obj.byteOffset, byteLen) : obj;
+                
+                // Define offset, based on the endianness
+                const offset = (littleEndian) ? 0 : missingBytes;
+                Uint8.set(Uint8ViewOrig, offset);
+            }
+        }
+
+        return newArray;
+    }
+
+
+    /**
+     * Returns a new TypedArray from the given obj,
+     * the element of the given index is excluded
+     * and also returned.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param {number} index - Positive or negative index key. Over- or underflow cannot happen.
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @returns {Array} - Returns the new TypedArray and the detached value
+     */
+    static detach(obj, index, littleEndian=SYS_LITTLE_ENDIAN) {
+
+        index = Math.min(index, obj.length-1);
+        let detachedArray, newArray;
+        [newArray, detachedArray] = Mutar.splice(obj, index, 1, littleEndian);
+
+        if (littleEndian !== SYS_LITTLE_ENDIAN) {
+            Mutar.flipEndianness(detachedArray);
+        }
+
+        return [newArray, detachedArray.at(0)];
+    }
+
+
+    /**
+     * Takes an object, reverses the individual integers
+     * and returns it.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {boolean} [clone=false] - If true, a copy of the array is made before manipulation
+     * @returns {{ buffer: ArrayBufferLike; }} - A new TypedArray with reversed integers
+     */
+    static flipEndianness(obj, clone=false) {
+
+        if (clone) {
+            obj = obj.slice();
+        }
+
+        const bytesPerElem = obj.constructor.BYTES_PER_ELEMENT 
+        if (bytesPerElem > 1) {
+            const singleBytesView = new Uint8Array(obj.buffer, obj.byteOffset, obj.byteLength);
+            for (let i=0; i<obj.byteLength; i+=bytesPerElem) {
+                singleBytesView.subarray(i, i+bytesPerElem).reverse();
+            }
+        }
+        return obj;
+    }
+
+
+    /**
+     * Switches a single integer between little and big endian
+     * @param {number} - A regular integer 
+     * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
+     * @returns {number} - The flipped integer
+     */
+    static flipEndiannessInt(int, type) {
+
+        type = Mutar.typeFromInput(type);
+        const array = Mutar.#fromValues(type, [int]);
+        Mutar.flipEndianness(array);
+        return Mutar.at(array, 0, SYS_LITTLE_ENDIAN);
+    }
+
+
+    /**
+     * Creates a new Mutar object from various inputs
+     * (equivalent to "new Mutar")
+     * 
+     * @param {({ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; } | number[] | string)} input - Mut be set. Can be a TypedArray, a string or buffer and regular array
+     * @param {string|function} [type] - A string or TypedArray function that must be specified for buffer and regular arrays
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Optional. A boolean that sets little endian to true/false 
+     * @param {boolean} [adjustEndianness=false] - Optional. If true, the endianness of the input bytes are getting flipped    
+     * @param {Object} [options] - Optional. Settings for the object (see constructor)
+     * @returns {Object} - A new Mutar object
+     */
+    static from(input, type, littleEndian=SYS_LITTLE_ENDIAN, adjustEndianness=false, options={}) {
+        return new Mutar(input, type, littleEndian, adjustEndianness, options);
+    }
+
+
+    /**
+     * Inserts a value at the given index.
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {number} index - Positive or negative index key. Over- or underflow cannot happen. 
+     * @param {number} integer - Positive or negative integer.
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false 
+     * @returns {Array} - Returns the new TypedArray and the new array length
+     */
+    static insert(obj, index, integer, littleEndian=SYS_LITTLE_ENDIAN) {
+
+        if (index < 0) {
+            // -1 Is the end of the new array
+            index = Math.max(obj.length+index+1, 0);
+        } else if (index > obj.length) {
+            // The index has to stop at the new last index.
+            // (splice handles this anyway, but "index"
+            // changes in that case.)
+            index = obj.length;
+        }
+        const newArray = Mutar.splice(obj, index, 0, integer, littleEndian)[0];
+        return [newArray, newArray.length];
+    }
+
+
+    /**
+     * Pops one integer from a given array.
+     * Returns the new array and the removed
+     * int.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @param {Object} [view] - If a view of the array is already defined, pass it here
+     * @returns {Array} - Returns the new TypedArray and the new array length
+     * 
+     */
+    static pop(obj, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
+        view = view || new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+        const get = Utils.ViewMethods[obj.constructor.name].get;
+        const lastIntIndex = (obj.length-1) * obj.BYTES_PER_ELEMENT;
+        const popped = view[get](lastIntIndex, littleEndian);
+        return [obj.slice(0, -1), popped];
+    }
+
+
+    /**
+     * Pushes values to the end of a given array.
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param  {(number[]|boolean)} args - Positive or negative integers, last element can be the endianness bool
+     * @returns {Array} - Returns the new TypedArray and the new array length
+     */
+    static push(obj, ...args) {
+        
+        const newArray = Mutar.splice(obj, obj.length, 0, ...args)[0];
+        return [newArray, newArray.length];
+    }
+
+
+    /**
+     * Changes one value from the array at the given index.
+     * Endian aware.
+     *  
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param {number} index - Positive or negative index key. Over- or underflow cannot happen
+     * @param {number} integer - Positive or negative integer
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @param {Object} [view] - If a view of the array is already defined, pass it here 
+     */
+    static setAt(obj, index, integer, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
+        
+        if (index < 0) {
+            index = Math.max(obj.length+index, 0);
+        } else if (index >= obj.length) {
+            index = obj.length-1;
+        }
+
+        const type = obj.constructor.name;
+        view = view || new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+        const set = Utils.ViewMethods[type].set;
+
+        view[set](index*obj.BYTES_PER_ELEMENT, integer, littleEndian);
+    } 
+
+
+    /**
+     * Shifts one integer from a given array.
+     * Returns the new array and the removed
+     * int.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @param {Object} [view] - If a view of the array is already defined, pass it here
+     * @returns {Array} - Returns the new TypedArray and the new array length
+     * 
+     */
+    static shift(obj, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
+        view = view || new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+        const get = Utils.ViewMethods[obj.constructor.name].get;
+        const shifted = view[get](0, littleEndian);
+
+        return [obj.slice(1), shifted];
+    }
+
+
+    /**
+     * Works basically as "Array.splice()". Endianness
+     * is taken into account. Gets called by many other
+     * functions (push, unshift...)
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj 
+     * @param {number} start - Positive or negative index key. Over- or underflow cannot happen.  
+     * @param {number} deleteCount - Positive number (count) 
+     * @param  {(number[]|boolean)} items - Integers for insertion. The last item can be a boolean, which indicates if little endian is true/false 
+     * @returns {Array} - Returns the new array and the array of items, that were spliced
+     * 
+     */
+    static splice(obj, start, deleteCount, ...items) {
+
+        const type = obj.constructor.name;
+        const len = obj.length;
+
+        [start, deleteCount] = Mutar.#spliceRange(len, start, deleteCount);
+
+        const littleEndian = (typeof(items.at(-1)) === "boolean") ? items.splice(-1, 1)[0] : SYS_LITTLE_ENDIAN;
+        const end = start + deleteCount; 
+        
+        const startArray = obj.subarray(0, start);
+        const spliced = obj.slice(start, end);
+        const endArray = obj.subarray(end, len);
+
+        let newArray;
+        const set = Utils.ViewMethods[type].set;
+
+        if (items.length) {
+            const ins = new Utils.ArrayTypes[type](items.length);
+            const view = new ElementView(ins.buffer);
+            const bytesPerElem = ins.BYTES_PER_ELEMENT;
+            for (let i=0, l=items.length; i<l; i++) {
+                view[set](i*bytesPerElem, items[i], littleEndian);
+            }
+            newArray = Mutar.concat(startArray, ins, endArray);
+        } else {
+            newArray = Mutar.concat(startArray, endArray);
+        }
+
+        return [newArray, spliced];
+    }
+
+
+    /**
+     * Can safely remove zero padding, if purge
+     * is true, all null bytes get removed. This
+     * will destroy data integrity in most cases.
+     *  
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param {boolean} [purge=false] - Set to true for removing all zero bytes
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness decides where zero padding can get removed (start or end of array) 
+     * @returns {{ buffer: ArrayBufferLike; }} - A trimmed TypedArray, probably smaller than the input
+     * 
+     */
+    static trim(obj, purge=false, littleEndian=SYS_LITTLE_ENDIAN) {
+
+        if (purge) {
+            const bytes = new Uint8Array(obj.buffer, obj.byteOffset, obj.byteLength);
+            const bytesPerElem = obj.BYTES_PER_ELEMENT;
+            const kept = [];
+            for (let i=0; i<obj.length; i++) {
+                if (!Mutar.#isNullElement(bytes, i, bytesPerElem)) {
+                    kept.push(bytes.subarray(i*bytesPerElem, (i+1)*bytesPerElem));
+                }
+            }
+
+            const newArray = new Utils.ArrayTypes[obj.constructor.name](kept.length);
+            const newBytes = new Uint8Array(newArray.buffer);
+            kept.forEach((elemBytes, i) => newBytes.set(elemBytes, i*bytesPerElem));
+            return newArray;
+        }
+
+        const [start, end] = Mutar.#trimRange(obj, littleEndian);
+        return obj.slice(start, end);
+    }
+
+
+    /**
+     * Unshifts bytes to the beginning of a given array.
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
+     * @param  {(number[]|boolean)} args - Positive or negative integers, last element can be the endianness bool
+     * @returns {Array} - Returns the new TypedArray and the new array length
+     */
+    static unshift(obj, ...args) {
+        const newArray = Mutar.splice(obj, 0, 0, ...args)[0];
+        return [newArray, newArray.length];
+    }
+
+
+    // ---------------------- > atomics < ---------------------- //
+
+    /**
+     * Endian aware Atomics.add. If the endianness differs
+     * from the system, the addition is done in a loop of
+     * Atomics.compareExchange calls.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be an integer TypedArray
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} value - The value to add
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The old value at the given index
+     */
+    static atomicAdd(obj, index, value, littleEndian=SYS_LITTLE_ENDIAN) {
+        index = Mutar.#atomicIndex(obj, index);
+        if (littleEndian === SYS_LITTLE_ENDIAN) {
+            return Atomics.add(obj, index, value);
+        }
+
+        const type = obj.constructor.name;
+        let raw = Atomics.load(obj, index);
+        for (;;) {
+            const oldVal = Mutar.flipEndiannessInt(raw, type);
+            const newRaw = Mutar.flipEndiannessInt(oldVal + value, type);
+            const prevRaw = Atomics.compareExchange(obj, index, raw, newRaw);
+            if (prevRaw === raw) {
+                return oldVal;
+            }
+            raw = prevRaw;
+        }
+    }
+
+
+    /**
+     * Endian aware Atomics.load
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be an integer TypedArray
+     * @param {number} index - Positive or negative index key
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The value at the given index
+     */
+    static atomicLoad(obj, index, littleEndian=SYS_LITTLE_ENDIAN) {
+        index = Mutar.#atomicIndex(obj, index);
+        const value = Atomics.load(obj, index);
+        return Mutar.#atomicFlip(value, obj, littleEndian);
+    }
+
+
+    /**
+     * Endian aware Atomics.store
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be an integer TypedArray
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} value - The value to store
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The stored value
+     */
+    static atomicStore(obj, index, value, littleEndian=SYS_LITTLE_ENDIAN) {
+        index = Mutar.#atomicIndex(obj, index);
+        Atomics.store(obj, index, Mutar.#atomicFlip(value, obj, littleEndian));
+        return value;
+    }
+
+
+    /**
+     * Endian aware Atomics.compareExchange
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be an integer TypedArray
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} expectedValue - The value to test for equality
+     * @param {(number|bigint)} replacementValue - The value to store, if the test was successful
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The old value at the given index
+     */
+    static compareExchange(obj, index, expectedValue, replacementValue, littleEndian=SYS_LITTLE_ENDIAN) {
+        index = Mutar.#atomicIndex(obj, index);
+        const oldVal = Atomics.compareExchange(
+            obj,
+            index,
+            Mutar.#atomicFlip(expectedValue, obj, littleEndian),
+            Mutar.#atomicFlip(replacementValue, obj, littleEndian)
+        );
+        return Mutar.#atomicFlip(oldVal, obj, littleEndian);
+    }
+
+
+    /**
+     * Atomics.notify (Int32Array and BigInt64Array only)
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a Int32Array or BigInt64Array on a SharedArrayBuffer
+     * @param {number} index - Positive or negative index key
+     * @param {number} [count=Infinity] - Number of waiting agents to notify
+     * @returns {number} - The number of woken up agents
+     */
+    static notify(obj, index, count=Infinity) {
+        index = Mutar.#atomicIndex(obj, index, true);
+        return Atomics.notify(obj, index, count);
+    }
+
+
+    /**
+     * Endian aware Atomics.wait (Int32Array and BigInt64Array only)
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a Int32Array or BigInt64Array on a SharedArrayBuffer
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} value - The expected value at the given index
+     * @param {number} [timeout=Infinity] - Time to wait in milliseconds 
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
+     * @returns {string} - "ok", "not-equal" or "timed-out"
+     */
+    static wait(obj, index, value, timeout=Infinity, littleEndian=SYS_LITTLE_ENDIAN) {
+        index = Mutar.#atomicIndex(obj, index, true);
+        return Atomics.wait(obj, index, Mutar.#atomicFlip(value, obj, littleEndian), timeout);
+    }
+
+
+    // ---------------------- > structs < ---------------------- //
+
+    /**
+     * Creates an indexed view of consecutive records,
+     * which are described by a struct. The records are
+     * stored in a Mutar object of type Uint8Array, which
+     * grows and shrinks, if records are pushed or spliced.
+     * 
+     * const points = Mutar.records(Mutar.struct({x: "Float32", y: "Float32"}), 2);
+     * points.set(0, {x: 1, y: 2});
+     * points.push({x: 3, y: 4});
+     * [...points.column("x")] -> [1, 0, 3]
+     * 
+     * @param {Object} struct - The struct of the records (see Mutar.struct)
+     * @param {(number|Object)} [input=0] - Number of (zeroed) records, an ArrayBuffer, TypedArray or DataView (the bytes are used as records) or a Mutar object of type Uint8Array (which is used directly)
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the new Mutar object (if a Mutar object is passed, its endianness is used)
+     * @returns {Object} - The records
+     */
+    static records(struct, input=0, littleEndian=SYS_LITTLE_ENDIAN) {
+        if (!(struct instanceof MutarStruct)) {
+            throw new TypeError("The first argument must be a struct, created by Mutar.struct.");
+        }
+
+        let mutar;
+        if (input instanceof Mutar) {
+            if (input.type !== "Uint8Array") {
+                throw new TypeError(`Records can only be stored in a Mutar object of type Uint8Array. Received: ${input.type} (convert the object with "convert('Uint8')")`);
+            }
+            mutar = input;
+        } else if (typeof(input) === "number") {
+            if (!Number.isInteger(input) || input < 0) {
+                throw new RangeError(`The number of records must be a positive integer. Received: ${input}`);
+            }
+            mutar = new Mutar(new Uint8Array(input * struct.byteLength), "Uint8", littleEndian);
+        } else if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+            const bytes = (input instanceof ArrayBuffer) ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+            mutar = new Mutar(bytes, null, littleEndian);
+        } else {
+            throw new TypeError(`Allowed input types for records are: Number, ArrayBuffer, TypedArray, DataView, Mutar object. Received: ${input}`);
+        }
+
+        if (mutar.byteLength % struct.byteLength) {
+            throw new RangeError(`The byte length of the input (${mutar.byteLength}) must be a multiple of the byte length of the struct (${struct.byteLength})`);
+        }
+
+        return new MutarRecords(struct, mutar);
+    }
+
+
+    /**
+     * Creates the binary layout of a record with named
+     * fields, which can be read from and written to a
+     * buffer with the returned struct:
+     * 
+     * const header = Mutar.struct({
+     *     magic: "Uint32",
+     *     version: "Uint16",
+     *     data: ["Float32", 4]
+     * });
+     * header.read(obj, byteOffset) -> {magic, version, data}
+     * header.write(obj, {magic, version, data}, byteOffset)
+     * 
+     * A field is defined by its type, an array [type, length]
+     * or an object {type, length, littleEndian}. The fields
+     * follow each other without gaps, unless "align" is set.
+     * In this case each field is aligned to its element size
+     * (the largest power of two, which divides it) and the
+     * struct gets padded to the biggest alignment of its
+     * fields, like structs in C.
+     * 
+     * @param {Object} fields - Object with the names of the fields as keys and their definitions as values
+     * @param {Object} [options] - Options of the struct
+     * @param {boolean} [options.align=false] - If true, the fields are aligned and the struct gets padded
+     * @param {?boolean} [options.littleEndian=null] - Endianness of the struct (if not set, the endianness of a Mutar object or the system is used)
+     * @returns {Object} - The struct
+     */
+    static struct(fields, {align=false, littleEndian=null}={}) {
+        if (!fields || typeof(fields) !== "object" || !Object.keys(fields).length) {
+            throw new TypeError("A struct must be defined by an object with at least one field.");
+        }
+        if (littleEndian !== null && typeof(littleEndian) !== "boolean") {
+            throw new TypeError(`The endianness of a struct must be a boolean or null. Received: ${littleEndian}`);
+        }
+
+        const layout = [];
+        let byteOffset = 0;
+        let alignment = 1;
+
+        for (const name of Object.keys(fields)) {
+            const field = Mutar.#structField(name, fields[name]);
+            const bytesPerElem = Utils.ArrayTypes[field.type].BYTES_PER_ELEMENT;
+
+            if (align) {
+                let fieldAlignment = 1;
+                while (bytesPerElem % (fieldAlignment*2) === 0) {
+                    fieldAlignment *= 2;
+                }
+                byteOffset = Math.ceil(byteOffset / fieldAlignment) * fieldAlignment;
+                alignment = Math.max(alignment, fieldAlignment);
+            }
+
+            const byteLength = bytesPerElem * (field.length || 1);
+            layout.push(Object.freeze({
+                name,
+                ...field,
+                byteOffset,
+                byteLength
+            }));
+            byteOffset += byteLength;
+        }
+
+        const byteLength = Math.ceil(byteOffset / alignment) * alignment;
+        return new MutarStruct(Object.freeze(layout), byteLength, alignment, littleEndian);
+    }
+
+
+    // --------------------- > encodings < --------------------- //
+
+    /**
+     * Decodes a sequence of varints (LEB128) into a
+     * TypedArray of the given type (see encodeVarint).
+     * Each value must fit into the type, otherwise an
+     * IntegrityError is thrown. A DecodingError is
+     * thrown for truncated input (the last byte has
+     * the continuation bit set) or overlong varints,
+     * which take more than 10 bytes or hold a value
+     * beyond 64 bits.
+     * 
+     * @param {(Object|number[])} input - Encoded bytes as Uint8Array (any ArrayBuffer, TypedArray, DataView, Mutar object or array of bytes is accepted)
+     * @param {(string|function)} type - Type of the decoded array (a TypedArray function or its name or shortcut)
+     * @param {string} [encoding="unsigned"] - "unsigned", "signed" or "zigzag" (see encodeVarint)
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the decoded array
+     * @returns {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} - The decoded TypedArray
+     */
+    static decodeVarint(input, type, encoding="unsigned", littleEndian=SYS_LITTLE_ENDIAN) {
+        Mutar.#testVarintEncoding(encoding);
+        type = Mutar.typeFromInput(type);
+        const bytes = Mutar.#byteView(input);
+        const values = [];
+
+        let start = 0;
+        while (start < bytes.length) {
+            let value = 0n;
+            let byte = 0x80;
+            let end = start;
+
+            while (byte >= 0x80) {
+                if (end === bytes.length) {
+                    throw new DecodingError(`Truncated varint at byte ${start}: the input ends after byte ${end-1}, which has the continuation bit set`);
+                }
+                if (end - start === VARINT_MAX_BYTES) {
+                    throw new DecodingError(`Overlong varint at byte ${start}: a varint of 64 bits takes at most ${VARINT_MAX_BYTES} bytes`);
+                }
+                byte = bytes[end];
+                value += BigInt(byte % 0x80) * (0x80n ** BigInt(end - start));
+                end++;
+            }
+
+            // the sign bit is the highest bit of the last group
+            if (encoding === "signed" && byte >= 0x40) {
+                value -= 0x80n ** BigInt(end - start);
+            }
+
+            const [min, max] = (encoding === "signed") ? TYPE_RANGES.BigInt64Array : TYPE_RANGES.BigUint64Array;
+            if (value < min || value > max) {
+                throw new DecodingError(`Overlong varint at byte ${start}: the value ${value} exceeds 64 bits`);
+            }
+
+            if (encoding === "zigzag") {
+                value = (value % 2n) ? -(value + 1n) / 2n : value / 2n;
+            }
+
+            values.push(value);
+            start = end;
+        }
+
+        return Mutar.#fitValues(type, values, littleEndian);
+    }
+
+
+    /**
+     * Encodes all values of an array as a compact
+     * sequence of varints (LEB128). Each byte holds
+     * 7 bits of a value, the highest bit is set if
+     * another byte follows. Small values take less
+     * space, regardless of the type of the array.
+     * 
+     * Encodings:
+     *  - "unsigned": ULEB128 for positive values (up to 2^64 - 1)
+     *  - "signed": SLEB128 (two's complement, -2^63 to 2^63 - 1)
+     *  - "zigzag": ULEB128 of ZigZag mapped values (0, -1, 1, -2 -> 0, 1, 2, 3),
+     *    which keeps small negative values short (same range as "signed")
+     * 
+     * const bytes = Mutar.encodeVarint(new BigInt64Array([1n, -300n]), "zigzag");
+     * -> Uint8Array [2, 215, 4]
+     * Mutar.decodeVarint(bytes, "Int16", "zigzag") -> Int16Array [1, -300]
+     * 
+     * @param {(Object|Array)} obj - TypedArray, Mutar object or regular array of integers (numbers or BigInts)
+     * @param {string} [encoding="unsigned"] - "unsigned", "signed" or "zigzag"
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the input array (if a Mutar object is passed, its endianness is used)
+     * @returns {Uint8Array} - The encoded bytes
+     */
+    static encodeVarint(obj, encoding="unsigned", littleEndian=SYS_LITTLE_ENDIAN) {
+        Mutar.#testVarintEncoding(encoding);
+        if (obj instanceof Mutar) {
+            littleEndian = obj.littleEndian;
+            obj = obj.array;
+        }
+
+        let values;
+        if (Array.isArray(obj)) {
+            values = obj;
+        } else if (obj && Mutar.isTypedArray(obj)) {
+            const view = new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+            values = [];
+            for (let i=0; i<obj.length; i++) {
+                values.push(Mutar.at(obj, i, littleEndian, view));
+            }
+        } else {
+            throw new TypeError(`Allowed input types for varint encoding are: TypedArray, Mutar object, Array. Received: ${obj}`);
+        }
+
+        const bytes = [];
+        values.forEach((val, i) => {
+            let value = Mutar.#varintValue(val, i, encoding);
+
+            if (encoding === "signed") {
+                let more = true;
+                while (more) {
+                    const byte = Number(BigInt.asUintN(7, value));
+                    value = (value - BigInt(byte)) / 0x80n;
+                    more = !((value === 0n && byte < 0x40) || (value === -1n && byte >= 0x40));
+                    bytes.push((more) ? byte + 0x80 : byte);
+                }
+            } else {
+                if (encoding === "zigzag") {
+                    value = (value < 0n) ? (-2n * value) - 1n : 2n * value;
+                }
+                while (value >= 0x80n) {
+                    bytes.push(Number(value % 0x80n) + 0x80);
+                    value /= 0x80n;
+                }
+                bytes.push(Number(value));
+            }
+        });
+
+        return Uint8Array.from(bytes);
+    }
+
+
+    /**
+     * Creates a new Mutar object from an Ascii85 string.
+     * 
+     * variant "adobe": The "<~" and "~>" delimiters are
+     * optional, "z" stands for four zero bytes and the
+     * last group can be incomplete.
+     * 
+     * variant "z85": The string must consist of complete
+     * groups of 5 characters (ZeroMQ RFC 32).
+     * 
+     * Whitespace is ignored for both variants.
+     * 
+     * @param {string} str - Ascii85 string
+     * @param {(string|function)} [type="Uint8"] - Type of the Mutar object
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the Mutar object
+     * @param {Object} [options] - Decoding options
+     * @param {string} [options.variant="adobe"] - "adobe" or "z85"
+     * @returns {Object} - A new Mutar object
+     */
+    static fromAscii85(str, type="Uint8", littleEndian=SYS_LITTLE_ENDIAN, {variant="adobe"}={}) {
+        const chars = Mutar.#ascii85Alphabet(variant);
+        if (typeof(str) !== "string") {
+            throw new TypeError(`The input for decoding must be a string. Received: ${str}`);
+        }
+
+        str = str.replace(/\s+/gu, "");
+        if (variant === "adobe") {
+            str = str.replace(/^<~/u, "").replace(/~>$/u, "");
+        }
+
+        const bytes = [];
+        let group = [];
+
+        // Decodes a group of 5 digits to "length" bytes
+        function flush(position, length=4) {
+            const value = group.reduce((acc, digit) => (acc * 85) + digit, 0);
+            if (value > 0xFFFFFFFF) {
+                throw new DecodingError(`The ${variant} group ending at position ${position} exceeds 32 bits`);
+            }
+            for (let i=3; i>=4-length; i--) {
+                bytes.push(Math.floor(value / (256 ** i)) % 256);
+            }
+            group = [];
+        }
+
+        for (let i=0; i<str.length; i++) {
+            if (variant === "adobe" && str[i] === "z") {
+                if (group.length) {
+                    throw new DecodingError(`The character "z" at position ${i} is only allowed between groups`);
+                }
+                bytes.push(0, 0, 0, 0);
+            } else {
+                const digit = chars.indexOf(str[i]);
+                if (digit < 0) {
+                    throw new DecodingError(`Invalid ${variant} character "${str[i]}" at position ${i}`);
+                }
+                group.push(digit);
+                if (group.length === 5) {
+                    flush(i);
+                }
+            }
+        }
+
+        if (group.length) {
+            if (variant === "z85" || group.length === 1) {
+                throw new DecodingError(`The ${variant} string is truncated: the last group consists of ${group.length} character${(group.length > 1) ? "s" : ""}`);
+            }
+            const length = group.length - 1;
+            while (group.length < 5) {
+                group.push(84);
+            }
+            flush(str.length - 1, length);
+        }
+
+        return Mutar.#fromBytes(Uint8Array.from(bytes), type, littleEndian);
+    }
+
+
+    /**
+     * Creates a new Mutar object from a Base32 string
+     * (RFC 4648). Padding is optional, whitespace is
+     * ignored and lowercase letters are accepted.
+     * 
+     * @param {string} str - Base32 string
+     * @param {(string|function)} [type="Uint8"] - Type of the Mutar object
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the Mutar object
+     * @returns {Object} - A new Mutar object
+     */
+    static fromBase32(str, type="Uint8", littleEndian=SYS_LITTLE_ENDIAN) {
+        if (typeof(str) === "string") {
+            str = str.toUpperCase();
+        }
+        const bytes = Mutar.#decodeBits(str, "base32", 5, 8);
+        return Mutar.#fromBytes(bytes, type, littleEndian);
+    }
+
+
+    /**
+     * Creates a new Mutar object from a Base58 string
+     * (Bitcoin alphabet). Whitespace is ignored.
+     * 
+     * @param {string} str - Base58 string
+     * @param {(string|function)} [type="Uint8"] - Type of the Mutar object
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the Mutar object
+     * @returns {Object} - A new Mutar object
+     */
+    static fromBase58(str, type="Uint8", littleEndian=SYS_LITTLE_ENDIAN) {
+        if (typeof(str) !== "string") {
+            throw new TypeError(`The input for decoding must be a string. Received: ${str}`);
+        }
+
+        str = str.replace(/\s+/gu, "");
+        const digits = Array.from(str, (char, i) => {
+            const digit = BASE_ALPHABETS.base58.indexOf(char);
+            if (digit < 0) {
+                throw new DecodingError(`Invalid base58 character "${char}" at position ${i}`);
+            }
+            return digit;
+        });
+
+        // leading ones stand for leading zero bytes
+        const zeros = digits.findIndex((digit) => digit > 0);
+        const leading = (zeros < 0) ? digits.length : zeros;
+        const bytes = Mutar.#changeRadix(digits.slice(leading), 58, 256);
+
+        return Mutar.#fromBytes(Uint8Array.from([...new Array(leading).fill(0), ...bytes]), type, littleEndian);
+    }
+
+
+    /**
+     * Creates a new Mutar object from a Base64 string
+     * (RFC 4648). Padding is optional, whitespace (like
+     * line breaks) is ignored. The bytes are taken as
+     * they are, so the payload of a Float32 object
+     * decodes straight back into a Float32 object of
+     * the same endianness:
+     * 
+     * const payload = obj.toBase64();
+     * Mutar.fromBase64(payload, obj.type, obj.littleEndian)
+     * 
+     * @param {string} str - Base64 string
+     * @param {(string|function)} [type="Uint8"] - Type of the Mutar object
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the Mutar object
+     * @param {Object} [options] - Decoding options
+     * @param {string} [options.alphabet="base64"] - "base64" or "base64url" (url and filename safe)
+     * @returns {Object} - A new Mutar object
+     */
+    static fromBase64(str, type="Uint8", littleEndian=SYS_LITTLE_ENDIAN, {alphabet="base64"}={}) {
+        Mutar.#testBase64Alphabet(alphabet);
+        const bytes = Mutar.#decodeBits(str, alphabet, 6, 4);
+        return Mutar.#fromBytes(bytes, type, littleEndian);
+    }
+
+
+    /**
+     * Creates a new Mutar object from a string of binary
+     * digits. Whitespace, colons, commas, brackets and "0b"
+     * prefixes are ignored between the tokens, so layouts
+     * like "[00000001 10010000]" can be parsed.
+     * 
+     * grouping "byte": Each token holds one or more bytes
+     * (8 digits each) in the order of memory.
+     * 
+     * grouping "element": Each token holds the value of an
+     * element with the most significant bit first. Short
+     * tokens are padded with zeros ("0b1 0b10" of type
+     * Uint16 -> [1, 2]). The bytes are written with the
+     * given endianness.
+     * 
+     * @param {string} str - Binary string
+     * @param {(string|function)} [type="Uint8"] - Type of the Mutar object
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the Mutar object
+     * @param {string} [grouping="byte"] - "byte" or "element" (see above)
+     * @returns {Object} - A new Mutar object
+     */
+    static fromBinaryString(str, type="Uint8", littleEndian=SYS_LITTLE_ENDIAN, grouping="byte") {
+        return Mutar.#parseDigits(str, "binary", type, littleEndian, grouping);
+    }
+
+
+    /**
+     * Creates a new Mutar object from a string of
+     * hexadecimal digits. Whitespace, colons, commas,
+     * brackets and "0x" prefixes are ignored between the
+     * tokens, so hex dumps and lists of literals can be
+     * parsed.
+     * 
+     * groupBy "byte": Each token holds one or more bytes in
+     * the order of memory ("01:90:00:00", "01900000").
+     * 
+     * groupBy "element": Each token holds the value of an
+     * element with the most significant byte first (like
+     * a number literal). Short tokens are padded with zeros
+     * ("0x190 0x0" of type Uint16 -> [400, 0]). The bytes
+     * are written with the given endianness.
+     * 
+     * @param {string} str - Hex string
+     * @param {(string|function)} [type="Uint8"] - Type of the Mutar object
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the Mutar object
+     * @param {string} [groupBy="byte"] - "byte" or "element" (see above)
+     * @returns {Object} - A new Mutar object
+     */
+    static fromHex(str, type="Uint8", littleEndian=SYS_LITTLE_ENDIAN, groupBy="byte") {
+        return Mutar.#parseDigits(str, "hex", type, littleEndian, groupBy);
+    }
+
+
+    /**
+     * Restores a Mutar object, which was serialized with
+     * "toJSON" (or JSON.stringify). The input can be the
+     * JSON string or the parsed object {type, littleEndian,
+     * encoding, data}. To restore objects, which are nested
+     * in a payload, use Mutar.reviver with JSON.parse.
+     * 
+     * @param {(string|Object)} json - JSON string or parsed object
+     * @returns {Object} - A new Mutar object
+     */
+    static fromJSON(json) {
+        if (typeof(json) === "string") {
+            try {
+                json = JSON.parse(json);
+            } catch (e) {
+                throw new DecodingError(`Invalid JSON: ${e.message}`);
+            }
+        }
+        if (!json || typeof(json) !== "object") {
+            throw new TypeError(`The input for fromJSON must be a JSON string or an object. Received: ${json}`);
+        }
+
+        const {littleEndian, encoding, data} = json;
+        const type = Mutar.typeFromInput(json.type);
+        if (typeof(littleEndian) !== "boolean") {
+            throw new DecodingError(`The serialized object has no valid endianness. Received: ${littleEndian}`);
+        }
+
+        if (encoding === "base64" && typeof(data) === "string") {
+            return Mutar.fromBase64(data, type, littleEndian);
+        }
+        if (encoding === "values" && Array.isArray(data)) {
+            const isBigInt = BIGINT_TYPES.has(type);
+            const values = data.map((val, i) => Mutar.#jsonValue(val, i, isBigInt));
+            return new Mutar(Mutar.#fitValues(type, values, littleEndian), null, littleEndian);
+        }
+        throw new DecodingError(`The data of the serialized object must be a string for the encoding "base64" or an array for "values". Received encoding: ${encoding}`);
+    }
+
+
+    /**
+     * Creates a Mutar object from the bytes of a NumPy
+     * .npy file (versions 1.0, 2.0 and 3.0). The type and
+     * the endianness are taken from the "descr" of the
+     * header ("<u2", ">f8", "|i1", ...). Arrays in Fortran
+     * order are rearranged to C order (row major), so that
+     * the elements are always in the order of NumPy's
+     * "ravel". Multidimensional arrays are flattened, the
+     * shape is available with the option "withShape".
+     * 
+     * const obj = Mutar.fromNpy(new Uint8Array(await file.arrayBuffer()));
+     * 
+     * @param {Object} input - Bytes of the file as Uint8Array (any ArrayBuffer, TypedArray, DataView or Mutar object is accepted)
+     * @param {Object} [options] - Parsing options
+     * @param {boolean} [options.withShape=false] - If true, an object {mutar, shape} is returned
+     * @returns {Object} - A new Mutar object (or an object {mutar, shape})
+     */
+    static fromNpy(input, {withShape=false}={}) {
+        const bytes = Mutar.#byteView(input);
+        if (bytes.length < 10 || NPY_MAGIC.some((byte, i) => bytes[i] !== byte)) {
+            throw new DecodingError("The input is not a .npy file (magic \"\\x93NUMPY\" is missing)");
+        }
+
+        const major = bytes[6];
+        if (major < 1 || major > 3) {
+            throw new DecodingError(`Unsupported .npy version ${major}.${bytes[7]} (supported: 1.0, 2.0, 3.0)`);
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const headerStart = (major === 1) ? 10 : 12;
+        const headerLength = (major === 1) ? view.getUint16(8, true) : view.getUint32(8, true);
+        const dataStart = headerStart + headerLength;
+        if (dataStart > bytes.length) {
+            throw new DecodingError(`The .npy file is truncated: the header takes ${dataStart} bytes, received ${bytes.length} bytes`);
+        }
+
+        const header = Mutar.#npyHeader(new TextDecoder().decode(bytes.slice(headerStart, dataStart)));
+        const bytesPerElem = Utils.ArrayTypes[header.type].BYTES_PER_ELEMENT;
+        const byteLength = header.shape.reduce((product, dim) => product * dim, bytesPerElem);
+        if (bytes.length - dataStart !== byteLength) {
+            const problem = (bytes.length - dataStart < byteLength) ? "truncated" : "corrupt";
+            throw new DecodingError(`The .npy file is ${problem}: the shape (${header.shape.join(", ")}) takes ${byteLength} bytes of data, received ${bytes.length - dataStart} bytes`);
+        }
+
+        let data = bytes.slice(dataStart);
+        if (header.fortranOrder) {
+            data = Mutar.#npyRowMajor(data, header.shape, bytesPerElem);
+        }
+
+        const mutar = Mutar.#fromBytes(data, header.type, header.littleEndian);
+        if (!withShape) {
+            return mutar;
+        }
+        return {
+            mutar,
+            shape: header.shape
+        };
+    }
+
+
+    /**
+     * Creates a new Mutar object from text in one of the
+     * following encodings:
+     * 
+     *  - "utf-8": Uint8 object (like the constructor does)
+     *  - "utf-16le", "utf-16be": Uint16 object of code units,
+     *    which is little or big endian accordingly
+     *  - "latin1": Uint8 object, each character is a byte
+     *  - "ascii": Uint8 object of 7 bit characters
+     * 
+     * Characters, which cannot be encoded (like "€" in Latin-1,
+     * or lone surrogates in UTF-8), are replaced with "?"
+     * (U+FFFD in UTF-8) or throw a RangeError, if errors is
+     * set to "throw".
+     * 
+     * @param {string} str - Text to encode
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.encoding="utf-8"] - "utf-8", "utf-16le", "utf-16be", "latin1" or "ascii"
+     * @param {boolean} [options.bom=false] - If true, a byte order mark is prepended (only UTF encodings)
+     * @param {string} [options.errors="replace"] - "replace" or "throw"
+     * @returns {Object} - A new Mutar object
+     */
+    static fromText(str, {encoding="utf-8", bom=false, errors="replace"}={}) {
+        if (typeof(str) !== "string") {
+            throw new TypeError(`The input for fromText must be a string. Received: ${str}`);
+        }
+        encoding = Mutar.#textEncoding(encoding, errors);
+
+        if (bom) {
+            if (!encoding.startsWith("utf")) {
+                throw new TypeError(`A byte order mark is only available for UTF encodings. Received: ${encoding}`);
+            }
+            str = `\uFEFF${str}`;
+        }
+
+        if (encoding === "utf-8") {
+            const loneSurrogate = (/\p{Cs}/u).exec(str);
+            if (loneSurrogate && errors === "throw") {
+                throw new RangeError(`The lone surrogate at index ${loneSurrogate.index} cannot be encoded as utf-8`);
+            }
+            return new Mutar(new TextEncoder().encode(str));
+        }
+
+        if (encoding.startsWith("utf-16")) {
+            const littleEndian = encoding === "utf-16le";
+            const view = new DataView(new ArrayBuffer(str.length * 2));
+            for (let i=0; i<str.length; i++) {
+                view.setUint16(i*2, str.charCodeAt(i), littleEndian);
+            }
+            return new Mutar(view.buffer, "Uint16", littleEndian);
+        }
+
+        const max = (encoding === "latin1") ? 0xFF : 0x7F;
+        const bytes = Array.from(str, (char, i) => {
+            const codePoint = char.codePointAt(0);
+            if (codePoint <= max) {
+                return codePoint;
+            }
+            if (errors === "throw") {
+                throw new RangeError(`The character "${char}" (U+${codePoint.toString(16).toUpperCase()}) at position ${i} cannot be encoded as ${encoding}`);
+            }
+            return 0x3F;
+        });
+
+        return new Mutar(Uint8Array.from(bytes));
+    }
+
+
+    /**
+     * Formats the bytes of a TypedArray as hex dump in
+     * the layout of xxd. Each line shows the offset of
+     * its first byte, the bytes in hex (in the order of
+     * memory) and the printable ASCII characters:
+     * 
+     * 00000000: 4865 6c6c 6f20 576f 726c 6421 0a00 0000  Hello World!....
+     * 
+     * If "collapse" is set, repeated lines are replaced by
+     * a single "*" (the last line is always shown). With
+     * "showValues" the elements of each line are appended,
+     * read with the given endianness.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {Object} [options] - Formatting options
+     * @param {number} [options.width=16] - Number of bytes per line
+     * @param {number} [options.offset=0] - Byte to start at
+     * @param {?number} [options.length=null] - Number of bytes to show (by default all bytes after the offset)
+     * @param {boolean} [options.showAscii=true] - If true, the ASCII gutter is shown
+     * @param {number} [options.group=2] - Number of bytes per group of hex digits
+     * @param {boolean} [options.collapse=false] - If true, repeated lines are collapsed to "*"
+     * @param {boolean} [options.showValues=false] - If true, the values of the elements are shown (width and offset must be multiples of the element size)
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the array (only relevant for the values)
+     * @returns {string} - The hex dump
+     */
+    static hexdump(obj, {width=16, offset=0, length=null, showAscii=true, group=2, collapse=false, showValues=false}={}, littleEndian=SYS_LITTLE_ENDIAN) {
+        const bytes = new Uint8Array(obj.buffer, obj.byteOffset, obj.byteLength);
+        const end = Mutar.#hexdumpEnd(bytes.length, width, group, offset, length);
+
+        const bytesPerElem = obj.BYTES_PER_ELEMENT;
+        if (showValues && (width % bytesPerElem || offset % bytesPerElem)) {
+            throw new RangeError(`To show the values, the width (${width}) and the offset (${offset}) must be multiples of the element size (${bytesPerElem})`);
+        }
+        const view = new ElementView(obj.buffer, obj.byteOffset, obj.byteLength);
+        const get = Utils.ViewMethods[obj.constructor.name].get;
+        const hexWidth = (width * 2) + Math.ceil(width / group) - 1;
+
+        function formatLine(position, chunk) {
+            const groups = [];
+            for (let i=0; i<chunk.length; i+=group) {
+                groups.push(Array.from(chunk.subarray(i, i+group), (byte) => byte.toString(16).padStart(2, "0")).join(""));
+            }
+            let line = `${position.toString(16).padStart(8, "0")}: ${groups.join(" ").padEnd(hexWidth)}`;
+
+            if (showAscii) {
+                const ascii = Array.from(chunk, (byte) => ((byte >= 0x20 && byte < 0x7F) ? String.fromCharCode(byte) : "."));
+                line += `  ${ascii.join("").padEnd((showValues) ? width : 0)}`;
+            }
+            if (showValues) {
+                const values = [];
+                for (let i=0; i<Math.floor(chunk.length / bytesPerElem); i++) {
+                    values.push(view[get](position + (i*bytesPerElem), littleEndian));
+                }
+                line += `  ${values.join(" ")}`;
+            }
+            return line.trimEnd();
+        }
+
+        // Only complete lines are compared
+        function isRepeated(chunk, lastChunk) {
+            return collapse && lastChunk !== null && chunk.length === width && chunk.every((byte, i) => byte === lastChunk[i]);
+        }
+
+        const lines = [];
+        let previous = null;
+        let skipping = false;
+
+        for (let position=offset; position<end; position+=width) {
+            const chunk = bytes.subarray(position, Math.min(position+width, end));
+            const repeated = isRepeated(chunk, previous);
+            previous = chunk;
+
+            if (!repeated) {
+                skipping = false;
+                lines.push(formatLine(position, chunk));
+            } else {
+                if (!skipping) {
+                    lines.push("*");
+                    skipping = true;
+                }
+                if (position + width >= end) {
+                    lines.push(formatLine(position, chunk));
+                }
+            }
+        }
+
+        return lines.join("\n");
+    }
+
+
+    /**
+     * Packs Mutar objects into a single self-describing
+     * Uint8Array, which can be restored with Mutar.unpack.
+     * All fields of the container are little endian:
+     * 
+     * header:  magic "MUTR" (4 bytes), version (Uint16), count (Uint32)
+     * entry:   type code (Uint8), little endian flag (Uint8),
+     *          name length (Uint16), byte length (Uint32),
+     *          name (UTF-8), bytes of the array
+     * trailer: Adler-32 checksum of all preceding bytes (Uint32)
+     * 
+     * An entry can be a Mutar object, a TypedArray (which is
+     * treated as system endian) or an object {name, mutar}
+     * to store a name with it. Registered types cannot be
+     * packed.
+     * 
+     * const bytes = Mutar.pack(obj, {name: "samples", mutar: samples});
+     * 
+     * @param {...Object} entries - Mutar objects, TypedArrays or objects {name, mutar}
+     * @returns {Uint8Array} - The container
+     */
+    static pack(...entries) {
+        const encoder = new TextEncoder();
+
+        entries = entries.map((entry, i) => {
+            let name = "";
+            if (entry && typeof entry === "object" && !(entry instanceof Mutar) && "mutar" in entry) {
+                name = String(entry.name ?? "");
+                entry = entry.mutar;
+            }
+            const mutar = (entry instanceof Mutar) ? entry : null;
+            const array = (mutar) ? mutar.array : entry;
+
+            if (!array || !Mutar.isTypedArray(array)) {
+                throw new TypeError(`Entry ${i} cannot be packed. Allowed entries are: Mutar object, TypedArray, {name, mutar}`);
+            }
+            const code = PACK_TYPES.indexOf(array.constructor.name);
+            if (code < 0) {
+                throw new TypeError(`Entry ${i} of type ${array.constructor.name} cannot be packed (registered types are not supported)`);
+            }
+
+            const nameBytes = encoder.encode(name);
+            if (nameBytes.length > 0xFFFF || array.byteLength > 0xFFFFFFFF) {
+                throw new RangeError(`Entry ${i} exceeds the limits of the container (name: 65535 bytes, array: 4294967295 bytes)`);
+            }
+
+            return {
+                code,
+                littleEndian: (mutar) ? mutar.littleEndian : SYS_LITTLE_ENDIAN,
+                nameBytes,
+                bytes: new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+            };
+        });
+
+        const byteLength = entries.reduce((sum, entry) => sum + 8 + entry.nameBytes.length + entry.bytes.length, 14);
+        const container = new Uint8Array(byteLength);
+        const view = new DataView(container.buffer);
+
+        container.set(encoder.encode(PACK_MAGIC));
+        view.setUint16(4, PACK_VERSION, true);
+        view.setUint32(6, entries.length, true);
+
+        let offset = 10;
+        for (const entry of entries) {
+            view.setUint8(offset, entry.code);
+            view.setUint8(offset+1, Number(entry.littleEndian));
+            view.setUint16(offset+2, entry.nameBytes.length, true);
+            view.setUint32(offset+4, entry.bytes.length, true);
+            container.set(entry.nameBytes, offset+8);
+            container.set(entry.bytes, offset + 8 + entry.nameBytes.length);
+            offset += 8 + entry.nameBytes.length + entry.bytes.length;
+        }
+
+        view.setUint32(offset, Mutar.#checksum(container.subarray(0, offset)), true);
+        return container;
+    }
+
+
+    /**
+     * Reviver for JSON.parse, which restores all serialized
+     * Mutar objects of a payload (see fromJSON). Objects,
+     * which consist of exactly the keys type, littleEndian,
+     * encoding and data, are treated as Mutar objects.
+     * 
+     * const payload = JSON.parse(str, Mutar.reviver);
+     * 
+     * @param {string} key - Key of the value
+     * @param {*} value - Parsed value
+     * @returns {*} - A Mutar object or the value
+     */
+    static reviver(key, value) {
+        return (Mutar.#isMutarJSON(value)) ? Mutar.fromJSON(value) : value;
+    }
+
+
+    /**
+     * Encodes the bytes of an array as Ascii85 string,
+     * in the order of memory. Each group of 4 bytes is
+     * represented by 5 characters.
+     * 
+     * variant "adobe": The string is enclosed by "<~" and
+     * "~>", four zero bytes are abbreviated with "z" and
+     * the last group can be incomplete.
+     * 
+     * variant "z85": ZeroMQ alphabet (safe for source code
+     * and configs), the byte length must be a multiple of 4.
+     * 
+     * @param {Object} obj - TypedArray, ArrayBuffer, DataView or Mutar object
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.variant="adobe"] - "adobe" or "z85"
+     * @returns {string} - The Ascii85 string
+     */
+    static toAscii85(obj, {variant="adobe"}={}) {
+        const chars = Mutar.#ascii85Alphabet(variant);
+        const bytes = Mutar.#byteView(obj);
+        if (variant === "z85" && bytes.length % 4) {
+            throw new RangeError(`Z85 can only encode a multiple of 4 bytes. Received: ${bytes.length} bytes`);
+        }
+
+        let str = "";
+        for (let i=0; i<bytes.length; i+=4) {
+            const group = bytes.subarray(i, i+4);
+            const value = [0, 1, 2, 3].reduce((acc, j) => (acc * 256) + (group[j] || 0), 0);
+
+            if (variant === "adobe" && value === 0 && group.length === 4) {
+                str += "z";
+            } else {
+                let digits = "";
+                for (let j=4; j>=0; j--) {
+                    digits += chars[Math.floor(value / (85 ** j)) % 85];
+                }
+                str += digits.slice(0, group.length + 1);
+            }
+        }
+
+        return (variant === "adobe") ? `<~${str}~>` : str;
+    }
+
+
+    /**
+     * Encodes the bytes of an array as Base32 string
+     * (RFC 4648), in the order of memory.
+     * 
+     * @param {Object} obj - TypedArray, ArrayBuffer, DataView or Mutar object
+     * @param {Object} [options] - Encoding options
+     * @param {boolean} [options.omitPadding=false] - If true, the trailing "=" characters are omitted
+     * @returns {string} - The Base32 string
+     */
+    static toBase32(obj, {omitPadding=false}={}) {
+        return Mutar.#encodeBits(Mutar.#byteView(obj), "base32", 5, 8, omitPadding);
+    }
+
+
+    /**
+     * Encodes the bytes of an array as Base58 string
+     * (Bitcoin alphabet), in the order of memory. The
+     * bytes are treated as one big-endian number, every
+     * leading zero byte is represented by a "1".
+     * 
+     * @param {Object} obj - TypedArray, ArrayBuffer, DataView or Mutar object
+     * @returns {string} - The Base58 string
+     */
+    static toBase58(obj) {
+        const bytes = Mutar.#byteView(obj);
+        const zeros = bytes.findIndex((byte) => byte > 0);
+        const leading = (zeros < 0) ? bytes.length : zeros;
+        const digits = Mutar.#changeRadix(bytes.subarray(leading), 256, 58);
+        return "1".repeat(leading) + digits.map((digit) => BASE_ALPHABETS.base58[digit]).join("");
+    }
+
+
+    /**
+     * Encodes the bytes of an array as Base64 string
+     * (RFC 4648), in the order of memory.
+     * 
+     * Mutar.toBase64(new Uint8Array([251, 255])) -> "+/8="
+     * Mutar.toBase64(new Uint8Array([251, 255]), {alphabet: "base64url", omitPadding: true}) -> "-_8"
+     * 
+     * @param {Object} obj - TypedArray, ArrayBuffer, DataView or Mutar object
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.alphabet="base64"] - "base64" or "base64url" (url and filename safe)
+     * @param {boolean} [options.omitPadding=false] - If true, the trailing "=" characters are omitted
+     * @returns {string} - The Base64 string
+     */
+    static toBase64(obj, {alphabet="base64", omitPadding=false}={}) {
+        Mutar.#testBase64Alphabet(alphabet);
+        return Mutar.#encodeBits(Mutar.#byteView(obj), alphabet, 6, 4, omitPadding);
+    }
+
+
+    /**
+     * Formats the bytes of a TypedArray as string of
+     * binary digits.
+     * 
+     * grouping "byte": Each byte is a group, the bytes are
+     * written in the order of memory.
+     * 
+     * grouping "element": Each element is a group, which is
+     * written with the most significant bit first, with
+     * respect to the given endianness.
+     * 
+     * Mutar.toBinaryString(new Uint8Array([1, 144])) -> "00000001 10010000"
+     * Mutar.toBinaryString(new Uint16Array([400]), {grouping: "element"}) -> "0000000110010000"
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {Object} [options] - Formatting options
+     * @param {string} [options.grouping="byte"] - "byte" or "element"
+     * @param {string} [options.separator=" "] - String between the groups
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the array (only relevant for elements)
+     * @returns {string} - The binary string
+     */
+    static toBinaryString(obj, {grouping="byte", separator=" "}={}, littleEndian=SYS_LITTLE_ENDIAN) {
+        return Mutar.#formatDigits(obj, "binary", separator, false, grouping, littleEndian);
+    }
+
+
+    /**
+     * Formats the bytes of a TypedArray as hex string.
+     * 
+     * groupBy "byte": Each byte is a group, the bytes are
+     * written in the order of memory.
+     * 
+     * groupBy "element": Each element is a group, which is
+     * written with the most significant byte first, with
+     * respect to the given endianness.
+     * 
+     * Mutar.toHex(new Uint16Array([400]), {separator: " "}, true) -> "90 01"
+     * Mutar.toHex(new Uint16Array([400]), {groupBy: "element"}, true) -> "0190"
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {Object} [options] - Formatting options
+     * @param {string} [options.separator=""] - String between the groups
+     * @param {boolean} [options.uppercase=false] - If true, the digits a-f are uppercase
+     * @param {string} [options.groupBy="byte"] - "byte" or "element"
+     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness of the array (only relevant for elements)
+     * @returns {string} - The hex string
+     */
+    static toHex(obj, {separator="", uppercase=false, groupBy="byte"}={}, littleEndian=SYS_LITTLE_ENDIAN) {
+        return Mutar.#formatDigits(obj, "hex", separator, uppercase, groupBy, littleEndian);
+    }
+
+
+    /**
+     * Decodes the bytes of an array as text (see
+     * Mutar.fromText for the encodings). A leading byte
+     * order mark of the encoding is removed. Invalid
+     * bytes (or lone surrogates in UTF-16) are replaced
+     * with U+FFFD or throw a DecodingError, if errors is
+     * set to "throw".
+     * 
+     * @param {Object} obj - TypedArray, ArrayBuffer, DataView or Mutar object
+     * @param {Object} [options] - Decoding options
+     * @param {string} [options.encoding="utf-8"] - "utf-8", "utf-16le", "utf-16be", "latin1" or "ascii"
+     * @param {string} [options.errors="replace"] - "replace" or "throw"
+     * @returns {string} - The decoded text
+     */
+    static toText(obj, {encoding="utf-8", errors="replace"}={}) {
+        encoding = Mutar.#textEncoding(encoding, errors);
+        const fatal = errors === "throw";
+        let bytes = Mutar.#byteView(obj);
+
+        if (encoding === "utf-8") {
+            // TextDecoder does not accept views of shared memory
+            if (!(bytes.buffer instanceof ArrayBuffer)) {
+                bytes = bytes.slice();
+            }
+            try {
+                return new TextDecoder("utf-8", {fatal}).decode(bytes);
+            } catch (e) {
+                throw new DecodingError(`The bytes are not valid utf-8: ${e.message}`);
+            }
+        }
+
+        const chars = [];
+
+        if (encoding.startsWith("utf-16")) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const littleEndian = encoding === "utf-16le";
+            const length = Math.floor(bytes.length / 2);
+            let i = (length && view.getUint16(0, littleEndian) === 0xFEFF) ? 1 : 0;
+
+            for (; i<length; i++) {
+                const unit = view.getUint16(i*2, littleEndian);
+                const next = (i+1 < length) ? view.getUint16((i+1)*2, littleEndian) : 0;
+
+                if (unit >= 0xD800 && unit <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+                    chars.push(String.fromCharCode(unit, next));
+                    i++;
+                } else if (unit >= 0xD800 && unit <= 0xDFFF) {
+                    if (fatal) {
+                        throw new DecodingError(`Lone surrogate 0x${unit.toString(16).toUpperCase()} at byte ${i*2}`);
+                    }
+                    chars.push("\uFFFD");
+                } else {
+                    chars.push(String.fromCharCode(unit));
+                }
+            }
+
+            if (bytes.length % 2) {
+                if (fatal) {
+                    throw new DecodingError(`The ${encoding} input is truncated: the last code unit consists of a single byte`);
+                }
+                chars.push("\uFFFD");
+            }
+        } else {
+            bytes.forEach((byte, i) => {
+                if (encoding === "ascii" && byte > 0x7F) {
+                    if (fatal) {
+                        throw new DecodingError(`The byte 0x${byte.toString(16).toUpperCase()} at position ${i} is not an ascii character`);
+                    }
+                    chars.push("\uFFFD");
+                } else {
+                    chars.push(String.fromCharCode(byte));
+                }
+            });
+        }
+
+        return chars.join("");
+    }
+
+
+    /**
+     * Restores the Mutar objects of a container, which
+     * was created by Mutar.pack. Each object gets the type
+     * and endianness it was packed with. A DecodingError
+     * is thrown for input, which is not a container, is
+     * truncated or corrupt (checksum mismatch).
+     * 
+     * @param {Object} input - The container as Uint8Array (any ArrayBuffer, TypedArray, DataView or Mutar object is accepted)
+     * @param {Object} [options] - Unpacking options
+     * @param {boolean} [options.names=false] - If true, objects {name, mutar} are returned (name is null, if not set)
+     * @returns {Object[]} - The Mutar objects (or objects {name, mutar})
+     */
+    static unpack(input, {names=false}={}) {
+        const bytes = Mutar.#byteView(input);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        if (bytes.length < 14) {
+            throw new DecodingError(`The container is truncated: it has ${bytes.length} bytes, the header and the checksum take 14 bytes`);
+        }
+        if (decoder.decode(bytes.slice(0, 4)) !== PACK_MAGIC) {
+            throw new DecodingError(`The input is not a Mutar container (magic "${PACK_MAGIC}" is missing)`);
+        }
+        const version = view.getUint16(4, true);
+        if (version !== PACK_VERSION) {
+            throw new DecodingError(`Unsupported container version ${version} (supported: ${PACK_VERSION})`);
+        }
+
+        // The entries are located first, so that truncated
+        // input is distinguished from corrupt input
+        const count = view.getUint32(6, true);
+        const entries = [];
+        let offset = 10;
+        for (let i=0; i<count; i++) {
+            if (offset + 8 > bytes.length - 4) {
+                throw new DecodingError(`The container is truncated: entry ${i} of ${count} is missing`);
+            }
+            const nameLength = view.getUint16(offset+2, true);
+            const byteLength = view.getUint32(offset+4, true);
+            entries.push({
+                code: view.getUint8(offset),
+                littleEndian: view.getUint8(offset+1),
+                nameStart: offset + 8,
+                dataStart: offset + 8 + nameLength,
+                byteLength
+            });
+            offset += 8 + nameLength + byteLength;
+        }
+
+        if (offset + 4 !== bytes.length) {
+            const problem = (offset + 4 > bytes.length) ? "truncated" : "corrupt";
+            throw new DecodingError(`The container is ${problem}: the entries take ${offset + 4} bytes including the checksum, received ${bytes.length} bytes`);
+        }
+        if (Mutar.#checksum(bytes.subarray(0, offset)) !== view.getUint32(offset, true)) {
+            throw new DecodingError("The container is corrupt: the checksum does not match");
+        }
+
+        return entries.map((entry, i) => {
+            const type = PACK_TYPES[entry.code];
+            if (!type || entry.littleEndian > 1) {
+                throw new DecodingError(`Entry ${i} of the container is corrupt: unknown type code ${entry.code} or endianness flag ${entry.littleEndian}`);
+            }
+            const data = bytes.slice(entry.dataStart, entry.dataStart + entry.byteLength);
+            const mutar = Mutar.#fromBytes(data, type, Boolean(entry.littleEndian));
+            if (!names) {
+                return mutar;
+            }
+            const name = decoder.decode(bytes.slice(entry.nameStart, entry.dataStart));
+            return {
+                name: name || null,
+                mutar
+            };
+        });
+    }
+
+
+    // --------------- > private static helpers < --------------- //
+
+    /**
+     * @param {string} variant - Ascii85 variant to test
+     * @returns {string} - The alphabet of the variant
+     */
+    static #ascii85Alphabet(variant) {
+        if (variant !== "adobe" && variant !== "z85") {
+            throw new TypeError(`Unknown Ascii85 variant "${variant}". Allowed variants are: adobe, z85`);
+        }
+        return BASE_ALPHABETS[variant];
+    }
+
+
+    /**
+     * Helper function for the atomic operations. Tests
+     * if the type of the array allows atomic operations
+     * and converts negative indices.
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be an integer TypedArray
+     * @param {number} index - Positive or negative index key
+     * @param {boolean} [waitable=false] - If true, only types which can be used for wait and notify are allowed
+     * @returns {number} - The positive index
+     */
+    static #atomicIndex(obj, index, waitable=false) {
+        const type = obj.constructor.name;
+        const types = (waitable) ? ATOMIC_WAIT_TYPES : ATOMIC_TYPES;
+        if (!types.includes(type)) {
+            throw new TypeError(`Atomic operations${(waitable) ? " wait and notify" : ""} are only available for the following types: ${types.join(", ")} (got: ${type})`);
+        }
+        return (index < 0) ? obj.length+index : index;
+    }
+
+
+    /**
+     * Helper function for the atomic operations. Flips
+     * the endianness of a value, if it differs from the
+     * system.
+     * 
+     * @param {(number|bigint)} value - The value to adjust
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - The TypedArray the value belongs to
+     * @param {boolean} littleEndian - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The adjusted value
+     */
+    static #atomicFlip(value, obj, littleEndian) {
+        if (littleEndian !== SYS_LITTLE_ENDIAN) {
+            return Mutar.flipEndiannessInt(value, obj.constructor.name);
+        }
+        return value;
+    }
+
+
+    /**
+     * Creates a Uint8Array view of the bytes of any
+     * binary input (without copying, except for
+     * regular arrays, which must consist of bytes).
+     * 
+     * @param {(Object|number[])} input - ArrayBuffer, TypedArray, DataView, Mutar object or array of bytes
+     * @returns {Uint8Array} - The bytes of the input
+     */
+    static #byteView(input) {
+        if (input instanceof Mutar) {
+            input = input.array;
+        }
+        if (input instanceof ArrayBuffer || (typeof(SharedArrayBuffer) !== "undefined" && input instanceof SharedArrayBuffer)) {
+            return new Uint8Array(input);
+        }
+        if (ArrayBuffer.isView(input)) {
+            return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        }
+        if (Array.isArray(input)) {
+            const invalid = input.findIndex((byte) => !Number.isInteger(byte) || byte < 0 || byte > 255);
+            if (invalid > -1) {
+                throw new TypeError(`Arrays of bytes may only contain integers from 0 to 255. Received: ${input[invalid]} at index ${invalid}`);
+            }
+            return Uint8Array.from(input);
+        }
+        throw new TypeError(`Allowed input types for bytes are: ArrayBuffer, TypedArray, DataView, Mutar object, Array. Received: ${input}`);
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.fromBase58
+     * Mutar.toBase58
+     * 
+     * Converts the digits of a number from one radix to
+     * another (most significant digit first).
+     * 
+     * @param {(number[]|Uint8Array)} digits - Digits of the number
+     * @param {number} from - Radix of the input digits
+     * @param {number} to - Radix of the output digits
+     * @returns {number[]} - The converted digits (without leading zeros)
+     */
+    static #changeRadix(digits, from, to) {
+        // the result is collected least significant digit first
+        const result = [];
+        for (const digit of digits) {
+            let carry = digit;
+            for (let i=0; i<result.length; i++) {
+                carry += result[i] * from;
+                result[i] = carry % to;
+                carry = Math.floor(carry / to);
+            }
+            while (carry > 0) {
+                result.push(carry % to);
+                carry = Math.floor(carry / to);
+            }
+        }
+        return result.reverse();
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.pack
+     * Mutar.unpack
+     * 
+     * Calculates the Adler-32 checksum of bytes.
+     * 
+     * @param {Uint8Array} bytes - Bytes to check
+     * @returns {number} - The checksum (unsigned 32 bit integer)
+     */
+    static #checksum(bytes) {
+        let a = 1;
+        let b = 0;
+        for (const byte of bytes) {
+            a = (a + byte) % 65521;
+            b = (b + a) % 65521;
+        }
+        return (b * 65536) + a;
+    }
+
+
+    /**
+     * Helper function for the intMode of:
+     * 
+     * Mutar.convert
+     * obj.convert
+     * 
+     * Reads "len" integers of type "curType" from "view" and
+     * writes them as type "type" to "newView". Both views can
+     * be the same, if the conversion happens in place. In this
+     * case the direction matters. If the integers are growing,
+     * the array must be processed backwards.
+     * Values, which do not fit into the new type are treated
+     * according to the overflow policy.
+     * 
+     * @param {Object} view - DataView of the current array
+     * @param {string} curType - Current type (name of the TypedArray constructor)
+     * @param {Object} newView - DataView to write the converted integers to
+     * @param {string} type - New type (name of the TypedArray constructor)
+     * @param {number} len - Number of integers
+     * @param {Object} intMode - Normalized intMode options (see #intModeOptions)
+     * @param {boolean} littleEndian - A boolean that sets little endian to true/false
+     * @param {boolean} [backwards=false] - If true, the last integer gets converted first
+     * @returns {Object} - The number of values, which were changed by the conversion and the values, which lost precision {affected, precisionLoss}
+     */
+    static #convertInts(view, curType, newView, type, len, intMode, littleEndian, backwards=false) {
+
+        const curBytesPerElem = Utils.ArrayTypes[curType].BYTES_PER_ELEMENT;
+        const newBytesPerElem = Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
+
+        const getCur = Utils.ViewMethods[curType].get;
+        const getNew = Utils.ViewMethods[type].get;
+        const set = Utils.ViewMethods[type].set;
+
+        const prepare = Mutar.#valuePreparer(curType, type, intMode);
+        const toNew = Mutar.#valueConverter(type, intMode.overflow);
+
+        // If the range of the new type covers the current
+        // one, no data loss is to be feared and the values
+        // are not tested. (The same applies to normalized
+        // integers, which always fit into a float.)
+        const normalizedToFloat = intMode.normalize && FLOAT_TYPES.has(type) && !FLOAT_TYPES.has(curType);
+        const testValues = !normalizedToFloat && !Mutar.#isLossless(curType, type);
+
+        // Values, which are in the range of a float type, but
+        // cannot be represented exactly (e.g. BigInts above
+        // Number.MAX_SAFE_INTEGER), are only reported if the
+        // precision option is set to "report"
+        const reportPrecision = intMode.precision === "report";
+
+        // For the policy "throw" the integrity is tested for all
+        // integers before the first one gets written, which keeps
+        // the array intact if an error is thrown during an in
+        // place conversion.
+        if (testValues && intMode.overflow === "throw") {
+            const testView = new ElementView(new ArrayBuffer(newBytesPerElem));
+            for (let i=0; i<len; i++) {
+                const val = prepare(view[getCur](i*curBytesPerElem, littleEndian));
+
+                // Every value is written to a test view and
+                // read again as the new type.
+                //
+                // Valid:
+                // Uint16Array(2) [ 00000000 11001000 ] = 200
+                // Uint8Array(1)  [ -------- 11001000 ] = 200
+                //
+                // Invalid:
+                // Uint16Array(2) [ 00000001 10010000 ] = 400
+                // Uint8Array(1)  [ -------- 10010000 ] = 144
+                testView[set](0, toNew(val), littleEndian);
+                const isEqual = Mutar.#sameValue(val, testView[getNew](0, littleEndian));
+                if (!isEqual && !(reportPrecision && Mutar.#isPrecisionLoss(val, type))) {
+                    throw new IntegrityError(`Converting the array will cause data loss (value ${val} at index ${i} does not fit into ${type}). If you explicitly want this, pass an overflow policy ("wrap", "saturate", "truncate" or "force") to param intMode`);
+                }
+            }
+        }
+        
+        const stats = {
+            affected: 0,
+            precisionLoss: []
+        };
+        for (let n=0; n<len; n++) {
+            const i = (backwards) ? len-1-n : n;
+            const val = prepare(view[getCur](i*curBytesPerElem, littleEndian));
+            newView[set](i*newBytesPerElem, toNew(val), littleEndian);
+            if (testValues && !Mutar.#sameValue(val, newView[getNew](i*newBytesPerElem, littleEndian))) {
+                stats.affected++;
+                if (reportPrecision && Mutar.#isPrecisionLoss(val, type)) {
+                    stats.precisionLoss.push({
+                        index: i,
+                        value: val
+                    });
+                }
+            }
+        }
+
+        // The loop runs backwards for growing in place conversions
+        if (backwards) stats.precisionLoss.reverse();
+
+        return stats;
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.fromBase32
+     * Mutar.fromBase64
+     * 
+     * Decodes a string of an alphabet, which holds a
+     * fixed number of bits per character. The string
+     * consists of blocks, which can be padded with "=".
+     * 
+     * @param {string} str - Encoded string
+     * @param {string} alphabet - Name of the alphabet (see BASE_ALPHABETS)
+     * @param {number} bitsPerChar - Number of bits of a character
+     * @param {number} blockSize - Number of characters of a padded block
+     * @returns {Uint8Array} - The decoded bytes
+     */
+    static #decodeBits(str, alphabet, bitsPerChar, blockSize) {
+        if (typeof(str) !== "string") {
+            throw new TypeError(`The input for decoding must be a string. Received: ${str}`);
+        }
+
+        str = str.replace(/\s+/gu, "");
+        const data = str.replace(/[=]+$/u, "");
+        if (data.length < str.length && str.length !== Math.ceil(data.length / blockSize) * blockSize) {
+            throw new DecodingError(`Invalid padding: the padded ${alphabet} string must consist of blocks of ${blockSize} characters. Received ${data.length} characters and ${str.length - data.length} padding characters`);
+        }
+
+        const chars = BASE_ALPHABETS[alphabet];
+        const bytes = new Uint8Array(Math.floor((data.length * bitsPerChar) / 8));
+        let buffer = 0;
+        let bits = 0;
+        let index = 0;
+
+        for (let i=0; i<data.length; i++) {
+            const value = chars.indexOf(data[i]);
+            if (value < 0) {
+                throw new DecodingError(`Invalid ${alphabet} character "${data[i]}" at position ${i}`);
+            }
+            buffer = (buffer * (2 ** bitsPerChar)) + value;
+            bits += bitsPerChar;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[index++] = Math.floor(buffer / (2 ** bits));
+                buffer %= 2 ** bits;
+            }
+        }
+
+        // a character, which does not complete a byte, cannot be the last one
+        const remainder = data.length % blockSize;
+        if ((remainder * bitsPerChar) % 8 >= bitsPerChar) {
+            throw new DecodingError(`The ${alphabet} string is truncated: the last block of ${remainder} characters does not complete a byte`);
+        }
+
+        return bytes;
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.toBase32
+     * Mutar.toBase64
+     * 
+     * Encodes bytes with an alphabet, which holds a
+     * fixed number of bits per character (the last
+     * character is filled with zero bits).
+     * 
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @param {string} alphabet - Name of the alphabet (see BASE_ALPHABETS)
+     * @param {number} bitsPerChar - Number of bits of a character
+     * @param {number} blockSize - Number of characters of a padded block
+     * @param {boolean} omitPadding - If true, the last block does not get padded with "="
+     * @returns {string} - The encoded string
+     */
+    static #encodeBits(bytes, alphabet, bitsPerChar, blockSize, omitPadding) {
+        const chars = BASE_ALPHABETS[alphabet];
+        let str = "";
+        let buffer = 0;
+        let bits = 0;
+
+        for (const byte of bytes) {
+            buffer = (buffer * 256) + byte;
+            bits += 8;
+            while (bits >= bitsPerChar) {
+                bits -= bitsPerChar;
+                str += chars[Math.floor(buffer / (2 ** bits))];
+                buffer %= 2 ** bits;
+            }
+        }
+
+        if (bits) {
+            str += chars[buffer * (2 ** (bitsPerChar - bits))];
+        }
+        if (!omitPadding && str.length % blockSize) {
+            str = str.padEnd(str.length + blockSize - (str.length % blockSize), "=");
+        }
+
+        return str;
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.decodeVarint
+     * Mutar.fromJSON
+     * 
+     * Writes values to a new TypedArray with the given
+     * endianness and tests, if each value fits into it.
+     * 
+     * @param {string} type - Type of the array (name of the TypedArray constructor)
+     * @param {(number[]|bigint[])} values - Values to write
+     * @param {boolean} littleEndian - Endianness of the array
+     * @returns {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} - The new TypedArray
+     */
+    static #fitValues(type, values, littleEndian) {
+        const array = new Utils.ArrayTypes[type](values.length);
+        const view = new ElementView(array.buffer);
+        const {get, set} = Utils.ViewMethods[type];
+        const isBigInt = BIGINT_TYPES.has(type);
+
+        values.forEach((val, i) => {
+            const offset = i * array.BYTES_PER_ELEMENT;
+            view[set](offset, (isBigInt) ? val : Number(val), littleEndian);
+            if (!Mutar.#sameValue(view[get](offset, littleEndian), val)) {
+                throw new IntegrityError(`The decoded value ${val} at index ${i} does not fit into ${type}`);
+            }
+        });
+
+        return array;
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.toBinaryString
+     * Mutar.toHex
+     * 
+     * Formats the bytes of a TypedArray as digits of a
+     * format (see DIGIT_FORMATS), grouped by bytes (in
+     * the order of memory) or by elements (most significant
+     * byte first, with respect to the endianness).
+     * 
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
+     * @param {string} format - "hex" or "binary"
+     * @param {string} separator - String between the groups
+     * @param {boolean} uppercase - If true, the digits a-f are uppercase
+     * @param {string} grouping - "byte" or "element"
+     * @param {boolean} littleEndian - Endianness of the array
+     * @returns {string} - The formatted string
+     */
+    static #formatDigits(obj, format, separator, uppercase, grouping, littleEndian) {
+        Mutar.#testGrouping(grouping);
+        const {radix, digitsPerByte} = DIGIT_FORMATS[format];
+        const bytes = new Uint8Array(obj.buffer, obj.byteOffset, obj.byteLength);
+        const groupSize = (grouping === "element") ? obj.BYTES_PER_ELEMENT : 1;
+        const groups = [];
+
+        for (let i=0; i<bytes.length; i+=groupSize) {
+            const digits = Array.from(bytes.subarray(i, i+groupSize), (byte) => byte.toString(radix).padStart(digitsPerByte, "0"));
+            if (littleEndian) {
+                digits.reverse();
+            }
+            const group = digits.join("");
+            groups.push((uppercase) ? group.toUpperCase() : group);
+        }
+
+        return groups.join(separator);
+    }
+
+
+    /**
+     * Creates a Mutar object from decoded bytes.
+     * 
+     * @param {Uint8Array} bytes - Decoded bytes (are used as the buffer of the object)
+     * @param {(string|function)} type - Type of the Mutar object
+     * @param {boolean} littleEndian - Endianness of the Mutar object
+     * @returns {Object} - A new Mutar object
+     */
+    static #fromBytes(bytes, type, littleEndian) {
+        type = Mutar.typeFromInput(type);
+        const bytesPerElem = Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
+        if (bytes.length % bytesPerElem) {
+            throw new DecodingError(`The number of decoded bytes (${bytes.length}) is not a multiple of the element size of ${type} (${bytesPerElem})`);
+        }
+        return new Mutar(bytes.buffer, type, littleEndian);
+    }
+
+
+    /**
+     * Creates a TypedArray of the given type from regular
+     * values (in system endianness). Types, which are not
+     * natively supported, are encoded via the view.
+     * 
+     * @param {string} type - Name of the TypedArray constructor
+     * @param {(number[]|bigint[])} values - Regular array of values
+     * @returns {{ buffer: ArrayBufferLike; }} - The new TypedArray
+     */
+    static #fromValues(type, values) {
+        if (!SOFTWARE_TYPES.has(type)) {
+            return new Utils.ArrayTypes[type](values);
+        }
+
+        const array = new Utils.ArrayTypes[type](values.length);
+        const view = new ElementView(array.buffer);
+        const set = Utils.ViewMethods[type].set;
+        values.forEach((val, i) => view[set](i*array.BYTES_PER_ELEMENT, val, SYS_LITTLE_ENDIAN));
+        return array;
+    }
+
+
+    /**
+     * Tests the options of a hex dump.
+     * 
+     * @param {number} byteLength - Byte length of the array
+     * @param {number} width - Number of bytes per line
+     * @param {number} group - Number of bytes per group
+     * @param {number} offset - Byte to start at
+     * @param {?number} length - Number of bytes to show
+     * @returns {number} - The byte to end at (exclusive)
+     */
+    static #hexdumpEnd(byteLength, width, group, offset, length) {
+        if (!Number.isInteger(width) || width < 1 || !Number.isInteger(group) || group < 1) {
+            throw new RangeError(`The width and the group of a hex dump must be positive integers. Received: width ${width}, group ${group}`);
+        }
+        if (!Number.isInteger(offset) || offset < 0 || offset > byteLength) {
+            throw new RangeError(`The offset of a hex dump must be an integer from 0 to ${byteLength}. Received: ${offset}`);
+        }
+        if (length !== null && (!Number.isInteger(length) || length < 0)) {
+            throw new RangeError(`The length of a hex dump must be a positive integer. Received: ${length}`);
+        }
+        return (length === null) ? byteLength : Math.min(byteLength, offset + length);
+    }
+
+
+    /**
+     * Normalizes the intMode parameter of the conversion
+     * functions to an options object.
+     * 
+     * @param {(boolean|string|Object)} intMode - false, true, "force", an overflow policy or an options object {overflow, rounding, normalize, precision, report}
+     * @returns {(Object|boolean)} - False if intMode is not active, the options {overflow, rounding, normalize, precision, report} otherwise
+     */
+    static #intModeOptions(intMode) {
+        if (!intMode) {
+            return false;
+        }
+
+        let options;
+        if (intMode === true) {
+            options = {overflow: "throw"};
+        } else if (intMode === "force") {
+            options = {overflow: "truncate"};
+        } else if (typeof(intMode) === "string") {
+            options = {overflow: intMode};
+        } else {
+            options = {...intMode};
+            if (options.overflow === undefined || options.overflow === "force") {
+                options.overflow = (options.overflow) ? "truncate" : "throw";
+            }
+        }
+
+        if (!OVERFLOW_POLICIES.includes(options.overflow)) {
+            throw new TypeError(`Unknown overflow policy for intMode: ${options.overflow}\nAvailable policies are: ${OVERFLOW_POLICIES.join(", ")} (or "force")`);
+        }
+        if (options.rounding !== undefined && !Object.hasOwn(ROUNDING_MODES, options.rounding)) {
+            throw new TypeError(`Unknown rounding mode for intMode: ${options.rounding}\nAvailable modes are: ${Object.keys(ROUNDING_MODES).join(", ")}`);
+        }
+        if (options.precision === undefined) {
+            options.precision = "throw";
+        } else if (!["throw", "report"].includes(options.precision)) {
+            throw new TypeError(`Unknown precision option for intMode: ${options.precision}\nAvailable options are: throw, report`);
+        }
+        options.normalize = Boolean(options.normalize);
+        options.report = Boolean(options.report) || options.precision === "report";
+
+        return options;
+    }
+
+
+    /**
+     * Creates the report of an intMode conversion.
+     * 
+     * @param {Object} intMode - Normalized intMode options
+     * @param {Object} stats - Statistics of the conversion {affected, precisionLoss}
+     * @param {number} total - Number of converted values
+     * @returns {Object} - The report {overflow, affected, total, precisionLoss}
+     */
+    static #intModeReport(intMode, {affected, precisionLoss}, total) {
+        return {
+            overflow: intMode.overflow,
+            affected,
+            total,
+            precisionLoss
+        };
+    }
+
+
+    /**
+     * Tests if the input is an ArrayBuffer or (where
+     * available) a SharedArrayBuffer.
+     * 
+     * @param {*} input - Any value
+     * @returns {boolean} - True for both kinds of buffers
+     */
+    static #isBuffer(input) {
+        return input instanceof ArrayBuffer || (typeof(SharedArrayBuffer) === "function" && input instanceof SharedArrayBuffer);
+    }
+
+
+    /**
+     * Tests if the range of a type is covered by another
+     * type, which means each value can be converted without
+     * data loss. Floats are only compared with floats
+     * (Float16 -> Float32 -> Float64), registered types
+     * are never considered lossless.
+     * 
+     * @param {string} curType - Current type (name of the TypedArray constructor)
+     * @param {string} type - New type (name of the TypedArray constructor)
+     * @returns {boolean} - True if no data loss is possible
+     */
+    static #isLossless(curType, type) {
+        const curRange = TYPE_RANGES[curType];
+        const newRange = TYPE_RANGES[type];
+
+        if (!curRange || !newRange || REGISTERED_TYPES.has(curType) || REGISTERED_TYPES.has(type)) {
+            return false;
+        }
+        if (FLOAT_TYPES.has(curType) !== FLOAT_TYPES.has(type)) {
+            return false;
+        }
+        return curRange[0] >= newRange[0] && curRange[1] <= newRange[1];
+    }
+
+
+    /**
+     * @param {*} value - Value to test
+     * @returns {boolean} - True if the value has the shape of a serialized Mutar object
+     */
+    static #isMutarJSON(value) {
+        if (!value || typeof(value) !== "object" || Array.isArray(value)) {
+            return false;
+        }
+        const keys = Object.keys(value);
+        const complete = keys.length === 4 && ["type", "littleEndian", "encoding", "data"].every((key) => keys.includes(key));
+        return complete && typeof(value.type) === "string" && JSON_ENCODINGS.includes(value.encoding);
+    }
+
+
+    /**
+     * Tests if all bytes of an element are zero.
+     * 
+     * @param {Uint8Array} bytes - Byte view of the array
+     * @param {number} index - Index of the element
+     * @param {number} bytesPerElem - Byte length of a single element
+     * @returns {boolean} - True if the element consists of null bytes only
+     */
+    static #isNullElement(bytes, index, bytesPerElem) {
+        const start = index * bytesPerElem;
+        for (let i=start; i<start+bytesPerElem; i++) {
+            if (bytes[i]) {
+                return false;
+            }
+        }
+        return true;
     }
 
 
     /**
-     * Converts a given TypedArray to another type.
-     * By default, missing zeros are appended to the
-     * start or end of the array (depending on the 
-     * endianness).
-     * Null bytes can get removed (trimmed) directly 
-     * in the process. 
-     * It is also possible to stretch the array, and
-     * zero pad the individual integers, by setting
-     * "preserveIntegers" to true.
+     * Tests if a value, which was changed by a conversion,
+     * lost precision (in contrast to an overflow). This is
+     * the case, if the new type is a float type and the
+     * value is in its range.
      * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
-     * @param {(boolean|string)} [trim=false] - If true padded zeros according to the endianness get trimmed, if set to string "purge" all null bytes get discarded
-     * @param {(boolean|string)} [intMode=false] - If true the individual integers keep the same (if they fit). If data loss is intended pass the string "force" 
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false 
-     * @param {Object} [view] - If a view of the array is already defined, pass it here 
-     * @returns {{ buffer: ArrayBufferLike; }} - The converted TypedArray
+     * @param {(number|bigint)} val - The original value
+     * @param {string} type - New type (name of the TypedArray constructor)
+     * @returns {boolean} - True if the value only lost precision
      */
-    static convert(obj, type, intMode=false, trim=false, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
+    static #isPrecisionLoss(val, type) {
+        if (!FLOAT_TYPES.has(type) || typeof(val) === "boolean") {
+            return false;
+        }
+        const [min, max] = TYPE_RANGES[type];
+        return val >= min && val <= max;
+    }
 
-        function num(n, bigInt) {
-            return (bigInt) ? BigInt(n) : Number(n);
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.fromJSON
+     * 
+     * Restores a value of the encoding "values". BigInts
+     * are stored as strings, non-finite floats and -0 as
+     * "NaN", "Infinity", "-Infinity" and "-0".
+     * 
+     * @param {(number|string)} val - Serialized value
+     * @param {number} index - Index of the value (for the error message)
+     * @param {boolean} isBigInt - True if the type holds BigInts
+     * @returns {(number|bigint)} - The value
+     */
+    static #jsonValue(val, index, isBigInt) {
+        if (isBigInt) {
+            if ((typeof(val) === "number" && Number.isInteger(val)) || (typeof(val) === "string" && (/^-?\d+$/u).test(val))) {
+                return BigInt(val);
+            }
+        } else if (typeof(val) === "number" || ["NaN", "Infinity", "-Infinity", "-0"].includes(val)) {
+            return Number(val);
         }
+        throw new DecodingError(`Invalid value ${JSON.stringify(val)} at index ${index} of the serialized data`);
+    }
 
-        type = Mutar.typeFromInput(type);
-        let newArray;
 
-        // The following mode is looking at the individual
-        // integers. Take a look at th following example
-        // (big endian byte order, cause easier to read)
-        //
-        //      Uint16Array(2) [               200               400 ]
-        //      Uint8Array(4)  [        0      200        1      144 ]
-        //      Binary         [ 00000000 11001000 00000001 10010000 ]
-        //
-        // Converted to Uint32:
-        //      Binary         [ 00000000 00000000 00000000 11001000 00000000 00000000 00000001 10010000 ]
-        //      Uint8Array(8)  [        0        0        0      200        0        0        1      144 ]
-        //      Uint32Array(2) [                                 200                                 400 ]        
-        // 
-        // The ArrayBuffer has now doubled in size, but the view (Uint32) has the same two values as the
-        // initial Uint16Array.
-        // There is no issue going up, the other direction can be problematic
+    /**
+     * Helper function for:
+     * 
+     * Mutar.fromNpy
+     * 
+     * Parses the header dictionary of a .npy file, which
+     * is a Python literal like:
+     * {'descr': '<f4', 'fortran_order': False, 'shape': (2, 3), }
+     * 
+     * @param {string} header - The header dictionary
+     * @returns {Object} - The parsed header {type, littleEndian, fortranOrder, shape}
+     */
+    static #npyHeader(header) {
+        const descr = header.match(/['"]descr['"]\s*:\s*['"](?<value>[^'"]*)['"]/u);
+        const fortranOrder = header.match(/['"]fortran_order['"]\s*:\s*(?<value>True|False)/u);
+        const shape = header.match(/['"]shape['"]\s*:\s*\((?<value>[^)]*)\)/u);
+        if (!descr || !fortranOrder || !shape) {
+            throw new DecodingError(`The .npy header is malformed or has a structured descr, which is not supported: ${header.trim()}`);
+        }
 
-        if (intMode) {
-            
-            const curBytesPerElem = obj.BYTES_PER_ELEMENT;
-            const newBytesPerElem = Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
+        const {byteOrder, code} = descr.groups.value.match(/^(?<byteOrder>[<>|=]?)(?<code>.*)$/u).groups;
+        if (!(code in NPY_TYPES)) {
+            throw new TypeError(`Unsupported .npy descr "${descr.groups.value}". Supported codes are: ${Object.keys(NPY_TYPES).join(", ")}`);
+        }
 
-            // Set the byte difference. A negative value
-            // means, that the new array is bigger and no
-            // data loss is to be feared, therefore byteDiff
-            // is set to zero (false).
-            const byteDiff = Math.max(curBytesPerElem-newBytesPerElem, 0);
-            const testIntegrity = (intMode !== "force" && byteDiff);
-            
-            view = view || new DataView(obj.buffer);
+        const dims = shape.groups.value.split(",").map((dim) => dim.trim());
+        if (dims.at(-1) === "") {
+            // Tuples of one dimension have a trailing comma
+            dims.pop();
+        }
+        if (dims.some((dim) => !(/^\d+L?$/u).test(dim))) {
+            throw new DecodingError(`The shape of the .npy header is invalid: (${shape.groups.value})`);
+        }
 
-            newArray = new Utils.ArrayTypes[type](obj.length);
-            const nView = new DataView(newArray.buffer);
+        return {
+            type: NPY_TYPES[code],
+            littleEndian: (byteOrder === "<" || byteOrder === ">") ? byteOrder === "<" : SYS_LITTLE_ENDIAN,
+            fortranOrder: fortranOrder.groups.value === "True",
+            shape: dims.map((dim) => parseInt(dim, 10))
+        };
+    }
 
-            const getCur = Utils.ViewMethods[obj.constructor.name].get;
-            const getNew = Utils.ViewMethods[type].get;
-            const set = Utils.ViewMethods[type].set;
 
-            const bigInt = (newBytesPerElem > 7);
-            
-            for (let i=0; i<obj.length; i++) {
-                const curOffset = i * curBytesPerElem;
-                const val = num(view[getCur](curOffset, littleEndian), bigInt);
-
-                if (testIntegrity) {
-                    // Valid:
-                    // Uint16Array(2) [ 00000000 11001000 ] = 200
-                    // Uint8Array(1)  [ -------- 11001000 ] = 200
-                    //
-                    // Invalid:
-                    // Uint16Array(2) [ 00000001 10010000 ] = 400
-                    // Uint8Array(1)  [ -------- 10010000 ] = 144
-                    const expectedVal = num(view[getNew](curOffset, littleEndian), bigInt);
-                    if (val !== expectedVal) throw new IntegrityError("Converting the array will cause data loss. If you explicitly want this, pass the string 'force' to param intMode");
+    /**
+     * Helper function for:
+     * 
+     * Mutar.fromNpy
+     * 
+     * Rearranges the elements of a multidimensional array
+     * from Fortran order (column major) to C order (row
+     * major).
+     * 
+     * @param {Uint8Array} data - Bytes of the array in Fortran order
+     * @param {number[]} shape - Shape of the array
+     * @param {number} bytesPerElem - Byte size of an element
+     * @returns {Uint8Array} - Bytes of the array in C order
+     */
+    static #npyRowMajor(data, shape, bytesPerElem) {
+        const result = new Uint8Array(data.length);
+
+        // In Fortran order the first index has the smallest stride
+        const strides = [];
+        let stride = 1;
+        for (const dim of shape) {
+            strides.push(stride);
+            stride *= dim;
+        }
+
+        for (let i=0, len=data.length/bytesPerElem; i<len; i++) {
+            let rest = i;
+            let source = 0;
+            for (let d=shape.length-1; d>=0; d--) {
+                source += (rest % shape[d]) * strides[d];
+                rest = Math.floor(rest / shape[d]);
+            }
+            result.set(data.subarray(source * bytesPerElem, (source + 1) * bytesPerElem), i * bytesPerElem);
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Helper function for:
+     * 
+     * Mutar.fromBinaryString
+     * Mutar.fromHex
+     * 
+     * Parses a string of digits of a format (see
+     * DIGIT_FORMATS). Whitespace, colons, commas and
+     * brackets separate the tokens, the prefix of the
+     * format ("0x", "0b") is ignored.
+     * 
+     * @param {string} str - String of digits
+     * @param {string} format - "hex" or "binary"
+     * @param {(string|function)} type - Type of the Mutar object
+     * @param {boolean} littleEndian - Endianness of the Mutar object
+     * @param {string} grouping - "byte" (tokens of bytes in the order of memory) or "element" (a value per token)
+     * @returns {Object} - A new Mutar object
+     */
+    static #parseDigits(str, format, type, littleEndian, grouping) {
+        if (typeof(str) !== "string") {
+            throw new TypeError(`The input for decoding must be a string. Received: ${str}`);
+        }
+        Mutar.#testGrouping(grouping);
+        type = Mutar.typeFromInput(type);
+        const bytesPerElem = Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
+        const {radix, digitsPerByte, prefix, pattern} = DIGIT_FORMATS[format];
+
+        const tokens = str.split(/[\s:,[\]]+/u).filter(Boolean);
+        const bytes = [];
+
+        tokens.forEach((token, i) => {
+            token = token.replace(prefix, "");
+            if (!pattern.test(token)) {
+                throw new DecodingError(`Invalid ${format} token "${token}" at position ${i}`);
+            }
+
+            if (grouping === "element") {
+                if (token.length > bytesPerElem*digitsPerByte) {
+                    throw new DecodingError(`The ${format} token "${token}" at position ${i} exceeds the size of an element of ${type} (${bytesPerElem*digitsPerByte} digits)`);
                 }
+                token = token.padStart(bytesPerElem*digitsPerByte, "0");
+            } else if (token.length % digitsPerByte) {
+                throw new DecodingError(`The ${format} token "${token}" at position ${i} does not consist of whole bytes (${digitsPerByte} digits each)`);
+            }
+
+            const tokenBytes = [];
+            for (let j=0; j<token.length; j+=digitsPerByte) {
+                tokenBytes.push(parseInt(token.slice(j, j+digitsPerByte), radix));
+            }
+            if (grouping === "element" && littleEndian) {
+                tokenBytes.reverse();
+            }
+            bytes.push(...tokenBytes);
+        });
+
+        return Mutar.#fromBytes(Uint8Array.from(bytes), type, littleEndian);
+    }
 
-                const newOffset = i * newBytesPerElem;
-                nView[set](newOffset, val, littleEndian);
+
+    /**
+     * Compares two values, which can be numbers or
+     * BigInts. NaN is equal to NaN.
+     * 
+     * @param {(number|bigint|boolean)} a - First value
+     * @param {(number|bigint|boolean)} b - Second value
+     * @returns {boolean} - True if both values are mathematically the same
+     */
+    static #sameValue(a, b) {
+        function toBigInt(n) {
+            if (typeof(n) === "bigint") {
+                return n;
             }
+            n = Number(n);
+            return (Number.isInteger(n)) ? BigInt(n) : null;
+        }
+
+        if (typeof(a) === "bigint" || typeof(b) === "bigint") {
+            const bigA = toBigInt(a);
+            return bigA !== null && bigA === toBigInt(b);
+        }
+        a = Number(a);
+        b = Number(b);
+        return a === b || (Number.isNaN(a) && Number.isNaN(b));
+    }
 
+
+    /**
+     * Normalizes the start index and the delete count
+     * of a splice call, the way "Array.splice()" does.
+     * 
+     * @param {number} len - Length of the array to splice
+     * @param {number} start - Positive or negative index key
+     * @param {number} deleteCount - Positive number (count)
+     * @returns {number[]} - The sanitized start index and delete count
+     */
+    static #spliceRange(len, start, deleteCount) {
+        if (!Number.isInteger(start)) {
+            start = len;
+        } else if (start < 0) {
+            start = Math.max(len+start, 0);
+        }
+        start = Math.min(start, len);
         
-        // The following regular mode is not changing the buffer
-        // if not necessary. If conversion is not possible, zeros
-        // are added to the end or the beginning of the buffer
-        // (depending on the endianness).
-        // 
-        // Example (Again BE):
-        // Uint8Array(3)  [   1 234 56 ]
-        // Uint32Array(1) [ 0 1 234 56 ] = 125496
-        //
-        // If the former Unit32Array is converted (back) to a
-        // Unit8Array the null byte can get trimmed.
+        if (start === len) {
+            deleteCount = 0;
+        } else if (!Number.isInteger(deleteCount) || deleteCount >= len-start) {
+            deleteCount = len-start;
         } else {
-            const byteLen = obj.byteLength;
-            const byteDiff = byteLen % Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
-            
+            deleteCount = Math.max(deleteCount, 0);
+        }
 
-            // zero padding is not needed
-            if (!byteDiff) {
-                newArray = new Utils.ArrayTypes[type](obj.buffer);
-                if (trim) {
-                    newArray = Mutar.trim(newArray, (trim === "purge"), littleEndian);
-                }
-            
-            // zero padding is necessary
-            } else {    
-                const missingBytes = Utils.ArrayTypes[type].BYTES_PER_ELEMENT - byteDiff;
-                const newLen = byteLen + missingBytes;
-                
-                // initialize a new Uint8Array of the required byte length
-                let Uint8 = new Uint8Array(newLen);
+        return [start, deleteCount];
+    }
 
-                // create the requested view
-                newArray = new Utils.ArrayTypes[type](Uint8.buffer);
-                
-                // create a Uint8View if necessary
-                const Uint8ViewOrig = (obj.BYTES_PER_ELEMENT > 1) ? new Uint8Array(obj.buffer) : obj;
-                
-                // Define offset, based on the endianness
-                const offset = (littleEndian) ? 0 : missingBytes;
-                Uint8.set(Uint8ViewOrig, offset);
-            }
+
+    /**
+     * Normalizes the definition of a struct field.
+     * 
+     * @param {string} name - Name of the field
+     * @param {(string|function|Array|Object)} def - Type, [type, length, littleEndian] or {type, length, littleEndian}
+     * @returns {Object} - The field {type, length, littleEndian}
+     */
+    static #structField(name, def) {
+        let type = def;
+        let length = null;
+        let littleEndian = null;
+
+        if (Array.isArray(def)) {
+            [type, length=null, littleEndian=null] = def;
+        } else if (def && typeof(def) === "object") {
+            ({type, length=null, littleEndian=null} = def);
         }
 
-        return newArray;
+        type = Mutar.typeFromInput(type);
+        if (length !== null && (!Number.isInteger(length) || length < 1)) {
+            throw new RangeError(`The length of the array field "${name}" must be a positive integer. Received: ${length}`);
+        }
+        if (littleEndian !== null && typeof(littleEndian) !== "boolean") {
+            throw new TypeError(`The endianness of field "${name}" must be a boolean or null. Received: ${littleEndian}`);
+        }
+
+        return {
+            type,
+            length,
+            littleEndian
+        };
     }
 
 
     /**
-     * Returns a new TypedArray from the given obj,
-     * the element of the given index is excluded
-     * and also returned.
+     * @param {string} alphabet - Base64 alphabet to test
+     */
+    static #testBase64Alphabet(alphabet) {
+        if (alphabet !== "base64" && alphabet !== "base64url") {
+            throw new TypeError(`Unknown Base64 alphabet "${alphabet}". Allowed alphabets are: base64, base64url`);
+        }
+    }
+
+
+    /**
+     * @param {string} grouping - Grouping of a hex or binary string to test
+     */
+    static #testGrouping(grouping) {
+        if (!STRING_GROUPINGS.includes(grouping)) {
+            throw new TypeError(`Unknown grouping "${grouping}". Allowed groupings are: ${STRING_GROUPINGS.join(", ")}`);
+        }
+    }
+
+
+    /**
+     * @param {string} encoding - Varint encoding to test
+     */
+    static #testVarintEncoding(encoding) {
+        if (!VARINT_ENCODINGS.includes(encoding)) {
+            throw new TypeError(`Unknown varint encoding "${encoding}". Allowed encodings are: ${VARINT_ENCODINGS.join(", ")}`);
+        }
+    }
+
+
+    /**
+     * Tests the options of a text encoding.
+     * 
+     * @param {string} encoding - Name of the encoding (case-insensitive)
+     * @param {string} errors - Handling of errors
+     * @returns {string} - The name of the encoding in lowercase
+     */
+    static #textEncoding(encoding, errors) {
+        const name = String(encoding).toLowerCase();
+        if (!TEXT_ENCODINGS.includes(name)) {
+            throw new TypeError(`Unknown text encoding "${encoding}". Allowed encodings are: ${TEXT_ENCODINGS.join(", ")}`);
+        }
+        if (!TEXT_ERRORS.includes(errors)) {
+            throw new TypeError(`Unknown handling of errors "${errors}". Allowed values are: ${TEXT_ERRORS.join(", ")}`);
+        }
+        return name;
+    }
+
+
+    /**
+     * Converts a BigInt to a number. Other values are
+     * returned as they are.
+     * 
+     * @param {(number|bigint)} val - The value
+     * @param {number} index - Index of the value (for the error message)
+     * @returns {number} - The value as number
+     */
+    static #toSafeNumber(val, index) {
+        if (typeof(val) !== "bigint") {
+            return val;
+        }
+        const num = Number(val);
+        if (BigInt(num) !== val) {
+            throw new IntegrityError(`The value ${val} at index ${index} cannot be represented as a number without precision loss`);
+        }
+        return num;
+    }
+
+
+    /**
+     * Determines the part of the array, which is left,
+     * if the zero padding gets removed.
      * 
      * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param {number} index - Positive or negative index key. Over- or underflow cannot happen.
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
-     * @returns {Array} - Returns the new TypedArray and the detached value
+     * @param {boolean} littleEndian - Endianness decides where zero padding can get removed (start or end of array) 
+     * @returns {number[]} - Start and end (exclusive) index
      */
-    static detach(obj, index, littleEndian=SYS_LITTLE_ENDIAN) {
+    static #trimRange(obj, littleEndian) {
+        const bytes = new Uint8Array(obj.buffer, obj.byteOffset, obj.byteLength);
+        const bytesPerElem = obj.BYTES_PER_ELEMENT;
+        const len = obj.length;
+        let start = 0;
+        let end = len-1;
+
+        // Look at the right hand side of the array
+        // for big endian and left hand for little. 
+
+        if (!littleEndian) {
+            for (start; start<len; start++) {
+                if (!Mutar.#isNullElement(bytes, start, bytesPerElem)) {
+                    break;
+                }
+            }
+        } else {
+            for (end; end>=0; end--) {
+                if (!Mutar.#isNullElement(bytes, end, bytesPerElem)) {
+                    break;
+                }
+            }
+        }
+
+        return [start, end+1];
+    }
+
+
+    /**
+     * Returns a function, which prepares a value for the
+     * setter of the new type, according to the overflow
+     * policy. Number values are converted to BigInts for
+     * BigInt types and vice versa.
+     * 
+     * "saturate": values are clamped to the range of the type
+     * "wrap", "truncate", "throw": values are wrapped around
+     * modulo 2^bits (which is equal to cutting the surplus bits)
+     * 
+     * @param {string} type - New type (name of the TypedArray constructor)
+     * @param {string} overflow - The overflow policy
+     * @returns {function} - The converter function
+     */
+    static #valueConverter(type, overflow) {
+
+        function clampBigInt(val, min, max) {
+            if (val < min) {
+                return min;
+            }
+            return (val > max) ? max : val;
+        }
+
+        const range = TYPE_RANGES[type];
+        const bigIntTarget = BIGINT_TYPES.has(type);
+        const floatTarget = FLOAT_TYPES.has(type);
+
+        if (overflow === "saturate") {
+            if (!range) {
+                throw new TypeError(`The range of type "${type}" is unknown, the overflow policy "saturate" is not available. Register the type with "min" and "max".`);
+            }
+            const [min, max] = range;
+
+            if (bigIntTarget) {
+                return (val) => {
+                    if (typeof(val) !== "bigint") {
+                        if (Number.isNaN(Number(val))) {
+                            return 0n;
+                        }
+                        val = Number(val);
+                        if (!Number.isFinite(val)) {
+                            return (val > 0) ? max : min;
+                        }
+                        val = BigInt(Math.trunc(val));
+                    }
+                    return clampBigInt(val, min, max);
+                };
+            }
+
+            return (val) => {
+                val = Number(val);
+                if (Number.isNaN(val) || (floatTarget && !Number.isFinite(val))) {
+                    return (floatTarget) ? val : 0;
+                }
+                return Math.min(Math.max(val, min), max);
+            };
+        }
 
-        index = Math.min(index, obj.length-1);
-        let detachedArray, newArray;
-        [newArray, detachedArray] = Mutar.splice(obj, index, 1, littleEndian);
+        if (bigIntTarget) {
+            return (val) => {
+                if (typeof(val) === "bigint") {
+                    return val;
+                }
+                val = Number(val);
+                return (Number.isFinite(val)) ? BigInt(Math.trunc(val)) : 0n;
+            };
+        }
 
-        if (littleEndian !== SYS_LITTLE_ENDIAN) {
-            Mutar.flipEndianness(detachedArray);
+        // BigInts are wrapped before they are converted to a
+        // number, which would be imprecise for big values
+        if (range && !floatTarget && !REGISTERED_TYPES.has(type)) {
+            const bits = Utils.ArrayTypes[type].BYTES_PER_ELEMENT * 8;
+            const asN = (range[0] < 0) ? BigInt.asIntN : BigInt.asUintN;
+            return (val) => ((typeof(val) === "bigint") ? Number(asN(bits, val)) : val);
         }
 
-        return [newArray, detachedArray.at(0)];
+        return (val) => ((typeof(val) === "bigint") ? Number(val) : val);
     }
 
 
     /**
-     * Takes an object, reverses the individual integers
-     * and returns it.
+     * Returns a function, which scales and rounds a value
+     * of the current type before it is passed to the
+     * converter of the overflow policy.
      * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @param {boolean} [clone=false] - If true, a copy of the array is made before manipulation
-     * @returns {{ buffer: ArrayBufferLike; }} - A new TypedArray with reversed integers
+     * "rounding": floats are rounded with the given mode,
+     * if the new type is an integer type
+     * "normalize": floats in the range [-1, 1] are mapped
+     * to the full range of the integer type and vice versa
+     * (negative values are scaled by the minimum, positive
+     * values by the maximum). Unsigned integers correspond
+     * to [0, 1]. Without a rounding mode, normalized values
+     * are truncated.
+     * 
+     * @param {string} curType - Current type (name of the TypedArray constructor)
+     * @param {string} type - New type (name of the TypedArray constructor)
+     * @param {Object} intMode - Normalized intMode options
+     * @returns {function} - The function, which prepares the values
      */
-    static flipEndianness(obj, clone=false) {
+    static #valuePreparer(curType, type, {rounding, normalize}) {
 
-        if (clone) {
-            obj = obj.slice();
+        function isInteger(t) {
+            return !FLOAT_TYPES.has(t) && Boolean(TYPE_RANGES[t]) && !REGISTERED_TYPES.has(t);
         }
 
-        const bytesPerElem = obj.constructor.BYTES_PER_ELEMENT 
-        if (bytesPerElem > 1) {
-            const singleBytesView = new Uint8Array(obj.buffer);
-            for (let i=0; i<obj.byteLength; i+=bytesPerElem) {
-                singleBytesView.subarray(i, i+bytesPerElem).reverse();
+        const curFloat = FLOAT_TYPES.has(curType);
+        const newFloat = FLOAT_TYPES.has(type);
+
+        let range = null;
+        if (normalize && curFloat !== newFloat) {
+            const intType = (curFloat) ? type : curType;
+            if (!isInteger(intType) || BIGINT_TYPES.has(intType)) {
+                throw new TypeError(`Normalization is only available for conversions between floats and the regular integer types (received "${curType}" -> "${type}").`);
             }
+            range = TYPE_RANGES[intType];
+            if (!rounding) rounding = "trunc";
         }
-        return obj;
+
+        const round = (rounding && isInteger(type)) ? ROUNDING_MODES[rounding] : null;
+        if (!range && !round) {
+            return (val) => val;
+        }
+
+        return (val) => {
+            if (typeof(val) !== "number") {
+                return val;
+            }
+            if (range) {
+                // Negative values of unsigned integers are scaled
+                // by the maximum, which leaves them out of range
+                const factor = (val < 0 && range[0] < 0) ? -range[0] : range[1];
+                val = (newFloat) ? val / factor : val * factor;
+            }
+            return (round) ? round(val) : val;
+        };
     }
 
 
     /**
-     * Switches a single integer between little and big endian
-     * @param {number} - A regular integer 
-     * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
-     * @returns {number} - The flipped integer
+     * Converts a value, which is about to get encoded
+     * as varint, to a BigInt and tests its range.
+     * 
+     * @param {(number|bigint)} val - Value to encode
+     * @param {number} index - Index of the value (for the error message)
+     * @param {string} encoding - Varint encoding
+     * @returns {bigint} - The value as BigInt
      */
-    static flipEndiannessInt(int, type) {
+    static #varintValue(val, index, encoding) {
+        if (typeof(val) === "number" && Number.isInteger(val)) {
+            val = BigInt(val);
+        } else if (typeof(val) !== "bigint") {
+            throw new TypeError(`Only integers can be encoded as varints. Received: ${val} at index ${index}`);
+        }
 
-        type = Mutar.typeFromInput(type);
-        const array = new Utils.ArrayTypes[type](1)
-        array[0] = int;
-        Mutar.flipEndianness(array);
-        return array[0];
+        const [min, max] = (encoding === "unsigned") ? TYPE_RANGES.BigUint64Array : TYPE_RANGES.BigInt64Array;
+        if (val < min || val > max) {
+            const hint = (encoding === "unsigned") ? "use the encoding \"signed\" or \"zigzag\" for negative values" : "use the encoding \"unsigned\" for values above 2^63 - 1";
+            throw new RangeError(`The value ${val} at index ${index} is out of range for ${encoding} varints (${min} to ${max}), ${hint}`);
+        }
+        return val;
     }
 
 
+    // ----------------- > setters & getters < ----------------- //
+
     /**
-     * Creates a new Mutar object from various inputs
-     * (equivalent to "new Mutar")
+     * Setter for refreshing the object after the
+     * array was replaced. The given array also
+     * becomes the reserved memory, which means
+     * the capacity equals its length. As the memory
+     * may belong to the caller, it gets copied before
+     * the length changes the first time.
      * 
-     * @param {({ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; } | number[] | string)} input - Mut be set. Can be a TypedArray, a string or buffer and regular array
-     * @param {string|function} [type] - A string or TypedArray function that must be specified for buffer and regular arrays
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Optional. A boolean that sets little endian to true/false 
-     * @param {boolean} [adjustEndianness=false] - Optional. If true, the endianness of the input bytes are getting flipped    
-     * @returns {Object} - A new Mutar object
+     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} typedArray
      */
-    static from(input, type, littleEndian=SYS_LITTLE_ENDIAN, adjustEndianness=false) {
-        return new Mutar(input, type, littleEndian, adjustEndianness);
+    set updateArray(typedArray) {
+        if (this.#shared && !(typedArray.buffer instanceof SharedArrayBuffer)) {
+            throw new SharedMemoryError("The array of a shared Mutar object cannot be replaced by an array, which is not located on a SharedArrayBuffer. Methods that allocate new memory are not available in shared mode.");
+        }
+        this.#reserved = typedArray;
+        this.#head = 0;
+        this.#ownsResizable = false;
+        this.#borrowed = true;
+        this.#setLength(typedArray.length);
     }
 
-
     /**
-     * Inserts a value at the given index.
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @param {number} index - Positive or negative index key. Over- or underflow cannot happen. 
-     * @param {number} integer - Positive or negative integer.
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false 
-     * @returns {Array} - Returns the new TypedArray and the new array length
+     * The number of elements the object can hold,
+     * before new memory has to be allocated.
+     * @returns {number}
      */
-    static insert(obj, index, integer, littleEndian=SYS_LITTLE_ENDIAN) {
-
-        if (index < 0) {
-            // -1 Is the end of the new array
-            index = Math.max(obj.length+index+1, 0);
-        } else if (index > obj.length) {
-            // The index has to stop at the new last index.
-            // (splice handles this anyway, but "index"
-            // changes in that case.)
-            index = obj.length;
+    get capacity() {
+        if (this.#ownsResizable) {
+            return this.#reserved.buffer.maxByteLength / this.#reserved.BYTES_PER_ELEMENT;
         }
-        const newArray = Mutar.splice(obj, index, 0, integer, littleEndian)[0];
-        return [newArray, newArray.length];
+        return this.#reserved.length;
     }
 
-
     /**
-     * Pops one integer from a given array.
-     * Returns the new array and the removed
-     * int.
-     * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
-     * @param {Object} [view] - If a view of the array is already defined, pass it here
-     * @returns {Array} - Returns the new TypedArray and the new array length
-     * 
+     * True if new memory is allocated as a resizable
+     * ArrayBuffer.
+     * @returns {boolean}
      */
-    static pop(obj, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
-        view = view || new DataView(obj.buffer);
-        const get = Utils.ViewMethods[obj.constructor.name].get;
-        const lastIntIndex = (obj.length-1) * obj.BYTES_PER_ELEMENT;
-        const popped = view[get](lastIntIndex, littleEndian);
-        return [obj.slice(0, -1), popped];
+    get resizable() {
+        return this.#resizable;
     }
 
-
     /**
-     * Pushes values to the end of a given array.
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param  {(number[]|boolean)} args - Positive or negative integers, last element can be the endianness bool
-     * @returns {Array} - Returns the new TypedArray and the new array length
+     * True if the object runs in shared mode.
+     * @returns {boolean}
      */
-    static push(obj, ...args) {
-        
-        const newArray = Mutar.splice(obj, obj.length, 0, ...args)[0];
-        return [newArray, newArray.length];
+    get shared() {
+        return this.#shared;
     }
 
+    /**
+     * True if the object runs in deque mode.
+     * @returns {boolean}
+     */
+    get deque() {
+        return this.#deque;
+    }
 
     /**
-     * Changes one value from the array at the given index.
-     * Endian aware.
-     *  
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param {number} index - Positive or negative index key. Over- or underflow cannot happen
-     * @param {number} integer - Positive or negative integer
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
-     * @param {Object} [view] - If a view of the array is already defined, pass it here 
+     * The factor by which the capacity is multiplied,
+     * if more memory is required.
+     * @returns {number}
      */
-    static setAt(obj, index, integer, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
-        
-        if (index < 0) {
-            index = Math.max(obj.length+index, 0);
-        } else if (index >= obj.length) {
-            index = obj.length-1;
+    get growthFactor() {
+        return this.#growthFactor;
+    }
+
+    set growthFactor(factor) {
+        factor = Number(factor);
+        if (!(factor > 1)) {
+            throw new RangeError(`The growth factor must be a number greater than 1, got: ${factor}`);
         }
+        this.#growthFactor = factor;
+    }
 
-        const type = obj.constructor.name;
-        view = view || new DataView(obj.buffer);
-        const set = Utils.ViewMethods[type].set;
+    get [Symbol.species]() {
+        return Utils.ArrayTypes[this.type];
+    }
 
-        view[set](index*obj.BYTES_PER_ELEMENT, integer, littleEndian);
-    } 
+    get buffer() {
+        return this.array.buffer;
+    }
 
+    get byteLength() {
+        return this.array.byteLength;
+    }
 
-    /**
-     * Shifts one integer from a given array.
-     * Returns the new array and the removed
-     * int.
-     * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - A boolean that sets little endian to true/false
-     * @param {Object} [view] - If a view of the array is already defined, pass it here
-     * @returns {Array} - Returns the new TypedArray and the new array length
-     * 
-     */
-    static shift(obj, littleEndian=SYS_LITTLE_ENDIAN, view=null) {
-        view = view || new DataView(obj.buffer);
-        const get = Utils.ViewMethods[obj.constructor.name].get;
-        const shifted = view[get](0, littleEndian);
+    get byteOffset() {
+        return this.array.byteOffset;
+    }
 
-        return [obj.slice(1), shifted];
+    get length() {
+        return this.array.length;
+    }
+
+    get type() {
+        return this.array.constructor.name;
     }
 
+    get BYTES_PER_ELEMENT() {
+        return this.array.BYTES_PER_ELEMENT;
+    }
 
     /**
-     * Works basically as "Array.splice()". Endianness
-     * is taken into account. Gets called by many other
-     * functions (push, unshift...)
-     * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj 
-     * @param {number} start - Positive or negative index key. Over- or underflow cannot happen.  
-     * @param {number} deleteCount - Positive number (count) 
-     * @param  {(number[]|boolean)} items - Integers for insertion. The last item can be a boolean, which indicates if little endian is true/false 
-     * @returns {Array} - Returns the new array and the array of items, that were spliced
-     * 
+     * Getter to determine the systems endianness
+     * @returns {boolean}
      */
-    static splice(obj, start, deleteCount, ...items) {
-
-        const type = obj.constructor.name;
-        const len = obj.length;
-
-        if (!Number.isInteger(start)) {
-            start = len;
-        } else if (start < 0) {
-            start = Math.max(len+start, 0);
-        }
-        start = Math.min(start, len);
-        
-        if (start === len) {
-            deleteCount = 0;
-        } else if (!Number.isInteger(deleteCount) || deleteCount >= len-start) {
-            deleteCount = len-start;
-        } else {
-            deleteCount = Math.max(deleteCount, 0);
-        }
+    get SYS_LITTLE_ENDIAN() {
+        return SYS_LITTLE_ENDIAN;
+    }
 
-        const littleEndian = (typeof(items.at(-1)) === "boolean") ? items.splice(-1, 1)[0] : SYS_LITTLE_ENDIAN;
-        const end = start + deleteCount; 
-        
-        const startArray = obj.subarray(0, start);
-        const spliced = obj.slice(start, end);
-        const endArray = obj.subarray(end, len);
 
-        let newArray;
-        const set = Utils.ViewMethods[type].set;
+    // ----------------- > private helper methods < ----------------- //
 
-        if (items.length) {
-            const ins = new Utils.ArrayTypes[type](items.length);
-            const view = new DataView(ins.buffer);
-            const bytesPerElem = ins.BYTES_PER_ELEMENT;
-            for (let i=0, l=items.length; i<l; i++) {
-                view[set](i*bytesPerElem, items[i], littleEndian);
+    /**
+     * Helper function for the constructor. Applies the
+     * options, which are affecting the reserved memory.
+     * @param {Object} options - The options of the constructor call
+     */
+    #initMemory(options) {
+        if (options.resizable && !RESIZABLE_SUPPORT) {
+            throw new TypeError("Resizable ArrayBuffers are not supported by this engine.");
+        }
+        this.#resizable = (options.shared) ? false : options.resizable ?? RESIZABLE_SUPPORT;
+
+        // In shared mode, the array is moved to a SharedArrayBuffer
+        // if it is not already located on one. Its size is final.
+        if (options.shared) {
+            this.#shared = true;
+            if (!(this.buffer instanceof SharedArrayBuffer)) {
+                this.#allocate(Math.max(options.capacity || 0, this.length), 0);
             }
-            newArray = Mutar.concat(startArray, ins, endArray);
-        } else {
-            newArray = Mutar.concat(startArray, endArray);
         }
 
-        return [newArray, spliced];
+        if (options.capacity) {
+            this.reserve(options.capacity);
+        }
     }
 
 
     /**
-     * Can safely remove zero padding, if purge
-     * is true, all null bytes get removed. This
-     * will destroy data integrity in most cases.
-     *  
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param {boolean} [purge=false] - Set to true for removing all zero bytes
-     * @param {boolean} [littleEndian=SYS_LITTLE_ENDIAN] - Endianness decides where zero padding can get removed (start or end of array) 
-     * @returns {{ buffer: ArrayBufferLike; }} - A trimmed TypedArray, probably smaller than the input
-     * 
+     * Copies the array to memory, which is owned by the
+     * object, if it still uses the memory of the input
+     * (or of a replaced array). This happens before the
+     * length changes the first time, so push, shift,
+     * splice, etc. never modify the input. In shared mode
+     * the memory stays shared.
      */
-    static trim(obj, purge=false, littleEndian=SYS_LITTLE_ENDIAN) {
-
-        if (purge) {
-            return obj.filter((b) => b !== 0);
+    #ownMemory() {
+        if (this.#borrowed && !this.#shared) {
+            this.#allocate(this.length, 0);
         }
+    }
 
-        const len = obj.length;
-        let start = 0;
-        let end = len-1;
-
-        // Look at the right hand side of the array
-        // for big endian and left hand for little. 
 
-        if (!littleEndian) {
-            for (start; start<len; start++) {
-                if (obj[start]) {
-                    break;
-                }
+    /**
+     * Sets the length of the used part of the reserved
+     * memory (starting at the head index) and refreshes
+     * array and view accordingly. A resizable buffer
+     * gets resized to the end of the array, array and
+     * view are tracking its length.
+     * @param {number} len - The new length of the array
+     */
+    #setLength(len) {
+        if (this.#ownsResizable) {
+            const {buffer} = this.#reserved;
+            const byteOffset = this.#head * this.#reserved.BYTES_PER_ELEMENT;
+            buffer.resize(byteOffset + (len*this.#reserved.BYTES_PER_ELEMENT));
+            
+            // array and view only need to be replaced if the
+            // buffer, the head or the type has changed
+            const array = this.array;
+            if (array.buffer !== buffer || array.byteOffset !== byteOffset || array.constructor !== this.#reserved.constructor) {
+                this.array = new this.#reserved.constructor(buffer, byteOffset);
+                this.view = new ElementView(buffer, byteOffset);
             }
         } else {
-            for (end; end>=0; end--) {
-                if (obj[end]) {
-                    break;
-                }
-            }
+            this.array = this.#reserved.subarray(this.#head, this.#head+len);
+            this.view = new ElementView(this.array.buffer, this.array.byteOffset, this.array.byteLength);
         }
-
-        return obj.slice(start, end+1);
     }
 
 
     /**
-     * Unshifts bytes to the beginning of a given array.
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} obj - Must be a TypedArray 
-     * @param  {(number[]|boolean)} args - Positive or negative integers, last element can be the endianness bool
-     * @returns {Array} - Returns the new TypedArray and the new array length
+     * Allocates new memory for "capacity" elements and
+     * copies the array to it, starting at index "head".
+     * The memory is a resizable buffer if possible, or
+     * a SharedArrayBuffer in shared mode (which can only
+     * happen once).
+     * @param {number} capacity - Number of elements, the new memory can hold
+     * @param {number} head - Index of the first element of the array
      */
-    static unshift(obj, ...args) {
-        const newArray = Mutar.splice(obj, 0, 0, ...args)[0];
-        return [newArray, newArray.length];
-    }
+    #allocate(capacity, head) {
+        const typeConstructor = Utils.ArrayTypes[this.type];
+        const len = this.length;
+        let reserved;
+
+        if (this.#shared) {
+            if (this.buffer instanceof SharedArrayBuffer) {
+                throw new SharedMemoryError(`The capacity of this shared Mutar object (${this.capacity} elements) is exhausted. A SharedArrayBuffer cannot be reallocated, reserve enough capacity in advance.`);
+            }
+            reserved = new typeConstructor(new SharedArrayBuffer(capacity*typeConstructor.BYTES_PER_ELEMENT));
+        } else if (this.#resizable) {
+            const bytesPerElem = typeConstructor.BYTES_PER_ELEMENT;
+            const buffer = new ArrayBuffer((head+len)*bytesPerElem, {maxByteLength: capacity*bytesPerElem});
+            reserved = new typeConstructor(buffer);
+        } else {
+            reserved = new typeConstructor(capacity);
+        }
+        reserved.set(this.array, head);
 
+        this.#reserved = reserved;
+        this.#head = head;
+        this.#ownsResizable = this.#resizable;
+        this.#borrowed = false;
+        this.#setLength(len);
+    }
 
-    // ----------------- > setters & getters < ----------------- //
 
     /**
-     * Setter for refreshing the object after the
-     * length of the array has changed.
-     * 
-     * @param {{ buffer: ArrayBufferLike; byteLength: any; byteOffset: any; length: any; BYTES_PER_ELEMENT: any; }} typedArray
+     * Makes sure, that the reserved memory has at least
+     * "front" free elements before and "back" free elements
+     * after the array. If not, the array gets moved or new
+     * memory is allocated, which is bigger by the growth
+     * factor (or exactly as big as required if this is not
+     * enough). In deque mode the free capacity is split
+     * evenly between front and back.
+     * @param {number} front - Required free elements in front of the array (only > 0 in deque mode)
+     * @param {number} back - Required free elements after the array
      */
-    set updateArray(typedArray) {
-        this.array = typedArray;
-        this.view = new DataView(typedArray.buffer);
-    }
+    #makeRoom(front, back) {
+        this.#ownMemory();
+        const len = this.length;
+        const capacity = this.capacity;
 
-    get [Symbol.species]() {
-        return Utils.ArrayTypes[this.type];
-    }
+        if (this.#head >= front && capacity - this.#head - len >= back) {
+            return;
+        }
 
-    get buffer() {
-        return this.array.buffer;
-    }
+        const required = len + front + back;
+        let newCapacity = capacity;
 
-    get byteLength() {
-        return this.array.byteLength;
-    }
+        // Moving the array inside of the current memory is only
+        // done if plenty of space is left. Otherwise the moves
+        // would happen too often to keep the costs amortized. 
+        if (required * 2 > capacity) {
+            newCapacity = Math.max(required, Math.ceil(capacity * this.#growthFactor));
+        }
 
-    get byteOffset() {
-        return this.array.byteOffset;
+        const newHead = (this.#deque)
+            ? front + Math.floor((newCapacity - required) / 2)
+            : front;
+        
+        if (newCapacity !== capacity) {
+            this.#allocate(newCapacity, newHead);
+        } else {
+            if (this.#ownsResizable) {
+                this.#reserved.buffer.resize(this.#reserved.buffer.maxByteLength);
+            }
+            this.#reserved.copyWithin(newHead, this.#head, this.#head+len);
+            this.#head = newHead;
+            this.#setLength(len);
+        }
     }
 
-    get length() {
-        return this.array.length;
-    }
 
-    get type() {
-        return this.array.constructor.name;
-    }
+    /**
+     * In place version of Mutar.convert for arrays,
+     * which are located on a resizable buffer. The
+     * buffer is resized instead of allocating a new
+     * one.
+     * 
+     * @param {string} type - Name of the TypedArray constructor
+     * @param {(boolean|Object)} intMode - False or the normalized intMode options
+     * @returns {(Object|null)} - Null if the conversion is not possible in place (and nothing was changed), otherwise the statistics of the conversion in intMode (see #convertInts)
+     */
+    #convertInPlace(type, intMode) {
+        const typeConstructor = Utils.ArrayTypes[type];
+        const curBytesPerElem = this.BYTES_PER_ELEMENT;
+        const newBytesPerElem = typeConstructor.BYTES_PER_ELEMENT;
+        const {buffer} = this.#reserved;
+        const len = this.length;
+        const byteLen = this.byteLength;
+        const byteOffset = this.byteOffset;
+
+        let missingBytes, newByteLen;
+        if (intMode) {
+            newByteLen = len * newBytesPerElem;
+            missingBytes = 0;
+        } else {
+            const byteDiff = byteLen % newBytesPerElem;
+            missingBytes = (byteDiff) ? newBytesPerElem - byteDiff : 0;
+            newByteLen = byteLen + missingBytes;
+        }
 
-    get BYTES_PER_ELEMENT() {
-        return this.array.BYTES_PER_ELEMENT;
+        // the new array must start at a multiple of its element
+        // size and the buffer must be able to hold the old and
+        // the new array
+        if (byteOffset % newBytesPerElem || byteOffset + Math.max(byteLen, newByteLen) > buffer.maxByteLength) {
+            return null;
+        }
+        buffer.resize(byteOffset + Math.max(byteLen, newByteLen));
+
+        let stats = {};
+        if (intMode) {
+            const view = new ElementView(buffer, byteOffset);
+            try {
+                stats = Mutar.#convertInts(view, this.type, view, type, len, intMode, this.littleEndian, newBytesPerElem > curBytesPerElem);
+            } catch (err) {
+                this.#setLength(len);
+                throw err;
+            }
+        } else if (missingBytes) {
+            // zero padding at the start for big and
+            // at the end for little endian
+            const bytes = new Uint8Array(buffer, byteOffset);
+            if (this.littleEndian) {
+                bytes.fill(0, byteLen);
+            } else {
+                bytes.copyWithin(missingBytes, 0, byteLen);
+                bytes.fill(0, 0, missingBytes);
+            }
+        }
+
+        // the buffer must fit the new type before
+        // the new array can be constructed on it
+        buffer.resize(byteOffset + newByteLen);
+        this.#reserved = new typeConstructor(buffer);
+        this.#head = byteOffset / newBytesPerElem;
+        this.#setLength(newByteLen / newBytesPerElem);
+
+        return stats;
     }
 
+
     /**
-     * Getter to determine the systems endianness
-     * @returns {boolean}
+     * In place version of Mutar.splice. Values are
+     * moved inside the reserved memory, new memory
+     * is only allocated if the capacity is exceeded.
+     * In deque mode the smaller part of the array
+     * (before or after the spliced items) is moved.
+     * 
+     * @param {number} start - Positive or negative index key. Over- or underflow cannot happen.  
+     * @param {number} deleteCount - Positive number (count) 
+     * @param {number[]} items - Integers for insertion
+     * @param {boolean} littleEndian - A boolean that sets little endian to true/false
+     * @returns {{ buffer: ArrayBufferLike; }} - A typed array of the spliced integers
      */
-    get SYS_LITTLE_ENDIAN() {
-        return SYS_LITTLE_ENDIAN;
-    }
+    #splice(start, deleteCount, items, littleEndian) {
+        const len = this.length;
+        [start, deleteCount] = Mutar.#spliceRange(len, start, deleteCount);
+        
+        const end = start + deleteCount;
+        const spliced = this.array.slice(start, end);
+        const diff = items.length - deleteCount;
+        const newLen = len + diff;
+
+        if (this.#deque && start < len-end) {
+            // move the front part
+            this.#makeRoom(Math.max(diff, 0), 0);
+            const head = this.#head;
+            if (diff) {
+                this.#reserved.copyWithin(head-diff, head, head+start);
+                this.#head -= diff;
+            }
+        } else {
+            // move the back part
+            this.#makeRoom(0, Math.max(diff, 0));
+            const head = this.#head;
+            if (diff > 0) {
+                // a resizable buffer has to grow before
+                // the values can get moved
+                this.#setLength(newLen);
+            }
+            if (diff) {
+                this.#reserved.copyWithin(head+end+diff, head+end, head+len);
+            }
+        }
+        this.#setLength(newLen);
+        
+        const set = Utils.ViewMethods[this.type].set;
+        const bytesPerElem = this.BYTES_PER_ELEMENT;
+        for (let i=0, l=items.length; i<l; i++) {
+            this.view[set]((start+i)*bytesPerElem, items[i], littleEndian);
+        }
 
+        return spliced;
+    }
 
-    // ----------------- > private helper methods < ----------------- //
     
     /**
      * Helper function for instance methods to set the endianness.
@@ -887,6 +5063,12 @@ class Mutar {
     #searchElement(fn, searchElement, fromIndex, littleEndian) {
         littleEndian = this.#setEndianness(littleEndian);
         
+        // Types, which are not natively supported, are
+        // searched in a regular array of the values
+        if (SOFTWARE_TYPES.has(this.type)) {
+            return [...this.values(littleEndian)][fn](searchElement, fromIndex);
+        }
+        
         if (littleEndian !== this.SYS_LITTLE_ENDIAN) {
             searchElement = this.constructor.flipEndiannessInt(searchElement, this.type);
         }
@@ -948,10 +5130,74 @@ class Mutar {
      * Calls Mutar.at
      * @param {number} index - Positive or negative index key.
      * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false 
+     * @param {boolean} [asNumber=false] - If true, BigInts are returned as numbers (an IntegrityError is thrown, if the value cannot be represented exactly)
+     */
+    at(index, littleEndian=null, asNumber=false) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.at(this.array, index, littleEndian, this.view, asNumber);
+    }
+
+
+    /**
+     * Calls Mutar.atomicAdd
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} value - The value to add
+     * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The old value at the given index
+     */
+    atomicAdd(index, value, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.atomicAdd(this.array, index, value, littleEndian);
+    }
+
+
+    /**
+     * Calls Mutar.atomicLoad
+     * @param {number} index - Positive or negative index key
+     * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The value at the given index
+     */
+    atomicLoad(index, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.atomicLoad(this.array, index, littleEndian);
+    }
+
+
+    /**
+     * Calls Mutar.atomicStore
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} value - The value to store
+     * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The stored value
      */
-    at(index, littleEndian=null) {
+    atomicStore(index, value, littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
-        return this.constructor.at(this.array, index, littleEndian, this.view);
+        return this.constructor.atomicStore(this.array, index, value, littleEndian);
+    }
+
+
+    /**
+     * Creates a cursor, which reads values of any
+     * bit width sequentially (see MutarBitCursor).
+     * @param {number} [bitOffset=0] - Bit position to start at (negative positions count from the end)
+     * @param {string} [bitOrder] - "msb" or "lsb" (by default "lsb" for little endian and "msb" for big endian)
+     * @returns {Object} - The cursor
+     */
+    bitReader(bitOffset=0, bitOrder=null) {
+        return new MutarBitCursor(this, bitOffset, bitOrder);
+    }
+
+
+    /**
+     * Creates a cursor, which writes (and reads) values
+     * of any bit width sequentially and grows the array
+     * automatically (see MutarBitCursor).
+     * @param {number} [bitOffset=0] - Bit position to start at (negative positions count from the end)
+     * @param {string} [bitOrder] - "msb" or "lsb" (by default "lsb" for little endian and "msb" for big endian)
+     * @returns {Object} - The cursor
+     */
+    bitWriter(bitOffset=0, bitOrder=null) {
+        return new MutarBitCursor(this, bitOffset, bitOrder, true);
     }
 
 
@@ -962,7 +5208,26 @@ class Mutar {
      * @returns {Object} - A independent copy of the current Mutar object 
      */
     clone() {  
-        return new Mutar(this.array.slice(), null, this.littleEndian);
+        return new Mutar(this.array.slice(), null, this.littleEndian, false, {
+            growthFactor: this.growthFactor,
+            deque: this.deque,
+            resizable: this.resizable,
+            shared: this.shared
+        });
+    }
+    
+
+    /**
+     * Calls Mutar.compareExchange
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} expectedValue - The value to test for equality
+     * @param {(number|bigint)} replacementValue - The value to store, if the test was successful
+     * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @returns {(number|bigint)} - The old value at the given index
+     */
+    compareExchange(index, expectedValue, replacementValue, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.compareExchange(this.array, index, expectedValue, replacementValue, littleEndian);
     }
     
 
@@ -980,12 +5245,45 @@ class Mutar {
     /**
      * Calls Mutar.convert
      * @param {(string|function)} type - Must be a TypedArray constructor, the name of the constructor as string or a shortcut, as defined at "Utils"
+     * @param {(boolean|string|Object)} [intMode=false] - If true the individual integers keep the same (if they fit). Also takes an overflow policy ("throw", "wrap", "saturate", "truncate", "force") or an options object {overflow, rounding, normalize, precision, report}
      * @param {(boolean|string)} [trim=false] - If true, padded zeros according to the endianness get trimmed, if set to string "purge" all null bytes get discarded 
-     * @param {boolean} [intMode=false] - If true the individual integers keep the same (if they fit)
+     * @returns {({ buffer: ArrayBufferLike; }|Array)} - The converted array (or the array and the report, if it was requested)
      */
     convert(type, intMode=false, trim=false) {
         type = this.constructor.typeFromInput(type);
-        this.updateArray = this.constructor.convert(this.array, type, intMode, trim, this.littleEndian, this.view);
+        intMode = Mutar.#intModeOptions(intMode);
+
+        // Arrays on a resizable buffer are converted in place.
+        // If the array is not located on one yet, it gets moved
+        // there (this copy is required for the conversion anyway).
+        if (this.#resizable) {
+            const newBytesPerElem = Utils.ArrayTypes[type].BYTES_PER_ELEMENT;
+            if (!this.#ownsResizable) {
+                const required = Math.max(this.byteLength+newBytesPerElem, this.length*newBytesPerElem);
+                this.#allocate(Math.ceil(required / this.BYTES_PER_ELEMENT), 0);
+            }
+
+            // (trimming only happens if no zero padding was necessary)
+            const padded = this.byteLength % newBytesPerElem;
+            
+            const stats = this.#convertInPlace(type, intMode);
+            if (stats !== null) {
+                if (trim && !intMode && !padded) {
+                    this.trim(trim === "purge");
+                }
+                if (intMode.report) {
+                    return [this.array, Mutar.#intModeReport(intMode, stats, this.length)];
+                }
+                return this.array;
+            }
+        }
+
+        const converted = this.constructor.convert(this.array, type, intMode, trim, this.littleEndian, this.view);
+        if (intMode.report) {
+            this.updateArray = converted[0];
+            return [this.array, converted[1]];
+        }
+        this.updateArray = converted;
         return this.array;
     }
 
@@ -1020,24 +5318,26 @@ class Mutar {
      */
     detach(index, littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
-        let detached;
-        [this.updateArray, detached] = this.constructor.detach(this.array, index, littleEndian);
-        return detached;
+        index = Math.min(index, this.length-1);
+        const detached = this.#splice(index, 1, [], littleEndian);
+        return this.constructor.at(detached, 0, littleEndian);
     }
 
 
     /**
      * Endian aware TypedArray.entries
      * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @param {boolean} [asNumber=false] - If true, BigInts are returned as numbers (an IntegrityError is thrown, if a value cannot be represented exactly)
      * @returns {Object} - An iterator
      */
-    *entries(littleEndian=null) {
+    *entries(littleEndian=null, asNumber=false) {
         littleEndian = this.#setEndianness(littleEndian);
         const get = Utils.ViewMethods[this.type].get;
         
         for (let i=0; i<this.array.length; i++) {
             const offset = i*this.BYTES_PER_ELEMENT;
-            const elem = this.view[get](offset, littleEndian);
+            let elem = this.view[get](offset, littleEndian);
+            if (asNumber) elem = Mutar.#toSafeNumber(elem, i);
             const output = [i, elem];
             yield output;
         }
@@ -1102,10 +5402,14 @@ class Mutar {
      */
     fill(value, start, end, littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
+        this.array.fill(value, start, end);
+
+        // The bytes of the filled range are flipped afterwards,
+        // which keeps the exact bits of every type (floats too)
         if (littleEndian !== this.SYS_LITTLE_ENDIAN) {
-            value = this.constructor.flipEndiannessInt(value, this.type);
+            this.constructor.flipEndianness(this.array.subarray(start, end));
         }
-        return this.array.fill(value, start, end);
+        return this.array;
     }
 
 
@@ -1136,7 +5440,7 @@ class Mutar {
         }
 
         this.map(callbackDecorator, thisArg, littleEndian);
-        const newArray = Utils.ArrayTypes[this.type].from(precursor);
+        const newArray = Mutar.#fromValues(this.type, precursor);
 
         return newArray;
     }
@@ -1171,7 +5475,7 @@ class Mutar {
      * @param {boolean} [changeProperty=true] - If not set to false, the boolean property this.littleEndian flips either 
      */
     flipEndianness(changeProperty=true) {
-        this.updateArray = this.constructor.flipEndianness(this.array);
+        this.constructor.flipEndianness(this.array);
         if (changeProperty) {
             this.littleEndian = !this.littleEndian;
         }
@@ -1190,6 +5494,19 @@ class Mutar {
     }
 
 
+    /**
+     * Formats the bytes of the array as hex dump in the
+     * layout of xxd (see Mutar.hexdump).
+     * @param {Object} [options] - Formatting options {width, offset, length, showAscii, group, collapse, showValues}
+     * @param {boolean} [littleEndian=null] - Endianness of the values (defaults to the endianness of the object)
+     * @returns {string} - The hex dump
+     */
+    hexdump(options={}, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.hexdump(this.array, options, littleEndian);
+    }
+
+
     /**
      * Endian aware TypedArray.includes
      * @param {number} searchElement - The integer to search for 
@@ -1214,7 +5531,7 @@ class Mutar {
 
 
     /**
-     * Calls Mutar.insert
+     * In place equivalent of Mutar.insert
      * @param {number} index - Positive or negative index key. Over- or underflow cannot happen. 
      * @param {number} integer - Positive or negative integer.
      * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false 
@@ -1222,9 +5539,11 @@ class Mutar {
      */
     insert(index, integer, littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
-        let len;
-        [this.updateArray, len] = this.constructor.insert(this.array, index, integer, littleEndian);
-        return len;
+        if (index < 0) {
+            index = Math.max(this.length+index+1, 0);
+        }
+        this.#splice(index, 0, [integer], littleEndian);
+        return this.length;
     }
 
 
@@ -1275,7 +5594,7 @@ class Mutar {
 
         littleEndian = this.#setEndianness(littleEndian);
         const newArray = new Utils.ArrayTypes[this.type](this.length);
-        const newView = new DataView(newArray.buffer);
+        const newView = new ElementView(newArray.buffer);
         const methods = Utils.ViewMethods[this.type];
         
         for (let i=0; i<this.array.length; i++) {
@@ -1292,32 +5611,53 @@ class Mutar {
 
 
     /**
-     * Calls Mutar.pop
+     * Calls Mutar.notify
+     * @param {number} index - Positive or negative index key
+     * @param {number} [count=Infinity] - Number of waiting agents to notify
+     * @returns {number} - The number of woken up agents
+     */
+    notify(index, count=Infinity) {
+        return this.constructor.notify(this.array, index, count);
+    }
+
+
+    /**
+     * In place equivalent of Mutar.pop. The
+     * capacity stays reserved.
      * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
      * @returns {number} - The popped integer
      */
     pop(littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
-        let popped;
-        [this.updateArray, popped] = this.constructor.pop(this.array, littleEndian, this.view);
+        const popped = this.at(-1, littleEndian);
+        this.#ownMemory();
+        this.#setLength(Math.max(this.length-1, 0));
         return popped;
     }
 
 
     /**
-     * Calls Mutar.push
+     * In place equivalent of Mutar.push
      * @param  {(number[]|boolean)} args - Positive or negative integers, last element can be the endianness bool
      * @returns {number} - The new length of the array
      */
     push(...args) {
-        if (typeof(args.at(-1)) !== "boolean") {
-            args.push(this.littleEndian);
-        }
-        let len;
-        [this.updateArray, len] = this.constructor.push(this.array, ...args);
-        return len;
+        const littleEndian = (typeof(args.at(-1)) === "boolean") ? args.pop() : this.littleEndian;
+        this.#splice(this.length, 0, args, littleEndian);
+        return this.length;
+    }
+
+    /**
+     * Creates a cursor, which reads the array
+     * sequentially (see MutarCursor).
+     * @param {number} [byteOffset=0] - Byte position to start at (negative positions count from the end)
+     * @returns {Object} - The cursor
+     */
+    reader(byteOffset=0) {
+        return new MutarCursor(this, byteOffset);
     }
 
+
     /**
      * Endian aware TypedArray.reduce
      * @param {function} callback - Function to execute on each value in the typed array, taking four arguments 
@@ -1341,6 +5681,48 @@ class Mutar {
     }
 
 
+    /**
+     * Reserves memory for at least "capacity" elements,
+     * so that the array can grow up to this length
+     * without new allocations.
+     * @param {number} capacity - The number of elements to reserve memory for
+     * @returns {number} - The current capacity
+     */
+    reserve(capacity) {
+        if (capacity > this.capacity) {
+            this.#makeRoom(0, capacity-this.length);
+        }
+        return this.capacity;
+    }
+
+
+    /**
+     * Changes the length of the array. New elements are
+     * zero, removed elements stay reserved (like after
+     * pop). New memory is only allocated, if the capacity
+     * is exceeded.
+     * @param {number} length - The new length of the array
+     * @returns {number} - The new length of the array
+     */
+    resize(length) {
+        if (!Number.isInteger(length) || length < 0) {
+            throw new RangeError(`The length must be a non-negative integer. Received: ${length}`);
+        }
+
+        this.#ownMemory();
+        const len = this.length;
+        if (length > len) {
+            this.#makeRoom(0, length-len);
+            this.#setLength(length);
+            const bytesPerElem = this.BYTES_PER_ELEMENT;
+            new Uint8Array(this.buffer, this.byteOffset + (len*bytesPerElem), (length-len)*bytesPerElem).fill(0);
+        } else {
+            this.#setLength(length);
+        }
+        return this.length;
+    }
+
+
     /**
      * TypedArray.reverse routed to the array
      * @returns {{ buffer: ArrayBufferLike; }} - The reversed array.
@@ -1360,7 +5742,7 @@ class Mutar {
         littleEndian = this.#setEndianness(littleEndian);
         let intermediate;
         if (Array.isArray(array)) {
-            intermediate = new Utils.ArrayTypes[this.type](array);
+            intermediate = Mutar.#fromValues(this.type, array);
         }
         if (littleEndian !== this.SYS_LITTLE_ENDIAN) {
             // If the input array has to be manipulated
@@ -1394,14 +5776,16 @@ class Mutar {
 
 
     /**
-     * Calls Mutar.shift
+     * In place equivalent of Mutar.shift. The
+     * capacity stays reserved. In deque mode only
+     * the head index moves forward. 
      * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
      * @returns {number} - The shifted integer
      */
     shift(littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
-        let shifted;
-        [this.updateArray, shifted] = this.constructor.shift(this.array, littleEndian, this.view);
+        const shifted = this.at(0, littleEndian);
+        this.#splice(0, 1, [], littleEndian);
         return shifted;
     }
 
@@ -1417,6 +5801,20 @@ class Mutar {
     }
 
 
+    /**
+     * Releases the reserved memory, which is not
+     * used by the array. 
+     * @returns {number} - The current capacity (equal to the length)
+     */
+    shrinkToFit() {
+        if (this.capacity > this.length) {
+            this.updateArray = this.array.slice();
+            this.#borrowed = false;
+        }
+        return this.capacity;
+    }
+
+
     /**
      * Endian aware TypedArray.some
      * @param {function} callback - A function to call. 
@@ -1453,19 +5851,16 @@ class Mutar {
 
 
     /**
-     * Calls Mutar.splice
+     * In place equivalent of Mutar.splice. New memory
+     * is only allocated, if the capacity is exceeded.
      * @param {number} start - Positive or negative index key. Over- or underflow cannot happen.  
      * @param {number} deleteCount - Positive number (count) 
      * @param  {(number[]|boolean)} items - Integers for insertion. The last item can be a boolean, which indicates if little endian is true/false  
      * @returns {{ buffer: ArrayBufferLike; }} - A typed array of the spliced integers
      */
     splice(start, deleteCount, ...items) {
-        if (typeof(items.at(-1)) !== "boolean") {
-            items.push(this.littleEndian);
-        }
-        let spliced;
-        [this.updateArray, spliced] = this.constructor.splice(this.array, start, deleteCount, ...items)
-        return spliced;
+        const littleEndian = (typeof(items.at(-1)) === "boolean") ? items.pop() : this.littleEndian;
+        return this.#splice(start, deleteCount, items, littleEndian);
     }
 
 
@@ -1480,6 +5875,182 @@ class Mutar {
     }
 
 
+    /**
+     * Encodes the bytes of the array as Ascii85 string
+     * (see Mutar.toAscii85).
+     * @param {Object} [options] - Encoding options {variant}
+     * @returns {string} - The Ascii85 string
+     */
+    toAscii85(options={}) {
+        return this.constructor.toAscii85(this.array, options);
+    }
+
+
+    /**
+     * Encodes the bytes of the array as Base32 string
+     * (see Mutar.toBase32).
+     * @param {Object} [options] - Encoding options {omitPadding}
+     * @returns {string} - The Base32 string
+     */
+    toBase32(options={}) {
+        return this.constructor.toBase32(this.array, options);
+    }
+
+
+    /**
+     * Encodes the bytes of the array as Base58 string
+     * (see Mutar.toBase58).
+     * @returns {string} - The Base58 string
+     */
+    toBase58() {
+        return this.constructor.toBase58(this.array);
+    }
+
+
+    /**
+     * Encodes the bytes of the array as Base64 string
+     * (see Mutar.toBase64). The object can be restored
+     * with Mutar.fromBase64(str, obj.type, obj.littleEndian).
+     * @param {Object} [options] - Encoding options {alphabet, omitPadding}
+     * @returns {string} - The Base64 string
+     */
+    toBase64(options={}) {
+        return this.constructor.toBase64(this.array, options);
+    }
+
+
+    /**
+     * Formats the bytes of the array as string of binary
+     * digits (see Mutar.toBinaryString).
+     * @param {Object} [options] - Formatting options {grouping, separator}
+     * @param {boolean} [littleEndian=null] - Endianness of the elements (defaults to the endianness of the object)
+     * @returns {string} - The binary string
+     */
+    toBinaryString(options={}, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.toBinaryString(this.array, options, littleEndian);
+    }
+
+
+    /**
+     * Formats the bytes of the array as hex string
+     * (see Mutar.toHex).
+     * @param {Object} [options] - Formatting options {separator, uppercase, groupBy}
+     * @param {boolean} [littleEndian=null] - Endianness of the elements (defaults to the endianness of the object)
+     * @returns {string} - The hex string
+     */
+    toHex(options={}, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.toHex(this.array, options, littleEndian);
+    }
+
+
+    /**
+     * Serializes the object, which is also called by
+     * JSON.stringify. The returned object holds the type,
+     * the endianness and the data, which is either the
+     * Base64 string of the bytes (default) or the list
+     * of values. In the list, BigInts are stored as
+     * strings, non-finite floats and -0 as "NaN",
+     * "Infinity", "-Infinity" and "-0". The object can
+     * be restored with Mutar.fromJSON or Mutar.reviver.
+     * @param {Object} [options] - Serialization options (JSON.stringify passes a key, which is ignored)
+     * @param {string} [options.encoding="base64"] - "base64" or "values"
+     * @returns {Object} - The serializable object {type, littleEndian, encoding, data}
+     */
+    toJSON(options={}) {
+        const {encoding="base64"} = (options && typeof(options) === "object") ? options : {};
+        if (!JSON_ENCODINGS.includes(encoding)) {
+            throw new TypeError(`Unknown encoding "${encoding}" for JSON. Allowed encodings are: ${JSON_ENCODINGS.join(", ")}`);
+        }
+
+        let data;
+        if (encoding === "base64") {
+            data = this.toBase64();
+        } else {
+            data = [...this.values()].map((val) => {
+                if (Object.is(val, -0)) {
+                    return "-0";
+                }
+                return (typeof(val) === "bigint" || !Number.isFinite(val)) ? String(val) : val;
+            });
+        }
+
+        return {
+            type: this.type,
+            littleEndian: this.littleEndian,
+            encoding,
+            data
+        };
+    }
+
+
+    /**
+     * Writes the object as NumPy .npy file, which can be
+     * read with numpy.load. The descr of the header holds
+     * the type and the endianness of the object. Version
+     * 1.0 is written, unless the header is too large for
+     * it (or version 2 is requested). Int24, Int48 and
+     * registered types have no NumPy equivalent.
+     * 
+     * obj.toNpy({shape: [2, 3]}) -> header {'descr': '<f4', 'fortran_order': False, 'shape': (2, 3), }
+     * 
+     * @param {Object} [options] - Writing options
+     * @param {number[]} [options.shape=null] - Shape of the array in C order (defaults to [length])
+     * @param {number} [options.version=null] - Major version 1 or 2 (defaults to the smallest possible)
+     * @returns {Uint8Array} - Bytes of the .npy file
+     */
+    toNpy({shape=null, version=null}={}) {
+        const {type} = this;
+        const code = (type === "Uint8ClampedArray") ? "u1" : Object.keys(NPY_TYPES).find((key) => NPY_TYPES[key] === type);
+        if (!code) {
+            throw new TypeError(`The type ${type} has no .npy equivalent. Supported types are: ${[...new Set(Object.values(NPY_TYPES))].join(", ")}, Uint8ClampedArray`);
+        }
+
+        shape = shape ?? [this.length];
+        if (!Array.isArray(shape) || shape.some((dim) => !Number.isInteger(dim) || dim < 0)) {
+            throw new TypeError(`The shape must be an array of non-negative integers. Received: ${shape}`);
+        }
+        const elements = shape.reduce((product, dim) => product * dim, 1);
+        if (elements !== this.length) {
+            throw new RangeError(`The shape (${shape.join(", ")}) holds ${elements} elements, the object has ${this.length}`);
+        }
+
+        let byteOrder = "|";
+        if (this.BYTES_PER_ELEMENT > 1) {
+            byteOrder = (this.littleEndian) ? "<" : ">";
+        }
+        const shapeStr = (shape.length === 1) ? `(${shape[0]},)` : `(${shape.join(", ")})`;
+        let header = `{'descr': '${byteOrder}${code}', 'fortran_order': False, 'shape': ${shapeStr}, }`;
+
+        // The header is padded with spaces and terminated by a newline,
+        // so that the data is aligned to 64 bytes
+        version = version ?? ((header.length + 64 > 0xFFFF) ? 2 : 1);
+        if (version !== 1 && version !== 2) {
+            throw new TypeError(`Unsupported .npy version ${version}. Allowed versions are: 1, 2`);
+        }
+        const headerStart = (version === 1) ? 10 : 12;
+        header += `${" ".repeat((64 - ((headerStart + header.length + 1) % 64)) % 64)}\n`;
+        if (version === 1 && header.length > 0xFFFF) {
+            throw new RangeError(`The header (${header.length} bytes) is too large for .npy version 1.0, use version 2`);
+        }
+
+        const data = Mutar.#byteView(this);
+        const bytes = new Uint8Array(headerStart + header.length + data.length);
+        const view = new DataView(bytes.buffer);
+        bytes.set(NPY_MAGIC);
+        bytes[6] = version;
+        if (version === 1) {
+            view.setUint16(8, header.length, true);
+        } else {
+            view.setUint32(8, header.length, true);
+        }
+        bytes.set(new TextEncoder().encode(header), headerStart);
+        bytes.set(data, headerStart + header.length);
+        return bytes;
+    }
+
+
     /**
      * Endian aware TypedArray.toLocaleString
      * @returns A string representing the elements of the array
@@ -1499,6 +6070,25 @@ class Mutar {
     }
 
 
+    /**
+     * Decodes the bytes of the array as text (see
+     * Mutar.toText). Uint16 objects are decoded as
+     * UTF-16 of their endianness by default, all
+     * other objects as UTF-8.
+     * @param {Object} [options] - Decoding options {encoding, errors}
+     * @returns {string} - The decoded text
+     */
+    toText({encoding=null, errors="replace"}={}) {
+        if (encoding === null) {
+            encoding = (this.type === "Uint16Array") ? `utf-16${(this.littleEndian) ? "le" : "be"}` : "utf-8";
+        }
+        return this.constructor.toText(this.array, {
+            encoding,
+            errors
+        });
+    }
+
+
     /**
      * Calls Mutar.trim
      * @param {boolean} [purge=false] - Set to true for removing all zero bytes
@@ -1506,39 +6096,85 @@ class Mutar {
      */
     trim(purge=false, littleEndian=null) {
         littleEndian = this.#setEndianness(littleEndian);
-        this.updateArray = this.constructor.trim(this.array, purge, littleEndian);
+        this.#ownMemory();
+
+        if (purge) {
+            const bytes = new Uint8Array(this.buffer, this.byteOffset, this.byteLength);
+            const bytesPerElem = this.BYTES_PER_ELEMENT;
+            let len = 0;
+            for (let i=0; i<this.length; i++) {
+                if (!Mutar.#isNullElement(bytes, i, bytesPerElem)) {
+                    bytes.copyWithin(len*bytesPerElem, i*bytesPerElem, (i+1)*bytesPerElem);
+                    len++;
+                }
+            }
+            this.#setLength(len);
+            return;
+        }
+
+        const [start, end] = Mutar.#trimRange(this.array, littleEndian);
+        if (this.#deque) {
+            this.#head += start;
+        } else {
+            this.#reserved.copyWithin(this.#head, this.#head+start, this.#head+end);
+        }
+        this.#setLength(end-start);
     }
 
 
     /**
-     * Calls Mutar.unshift
+     * In place equivalent of Mutar.unshift
      * @param  {(number[]|boolean)} args - Positive or negative integers, last element can be the endianness bool
      * @returns {number} - The new length of the array
      */
     unshift(...args) {
-        if (typeof(args.at(-1)) !== "boolean") {
-            args.push(this.littleEndian);
-        }
-        let len;
-        [this.updateArray, len] = this.constructor.unshift(this.array, ...args);
-        return len;
+        const littleEndian = (typeof(args.at(-1)) === "boolean") ? args.pop() : this.littleEndian;
+        this.#splice(0, 0, args, littleEndian);
+        return this.length;
     }
 
 
     /**
      * Endian aware TypedArray.values
      * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @param {boolean} [asNumber=false] - If true, BigInts are returned as numbers (an IntegrityError is thrown, if a value cannot be represented exactly)
      * @returns {Object} - An iterator
      */
-    *values(littleEndian=null) {
+    *values(littleEndian=null, asNumber=false) {
         littleEndian = this.#setEndianness(littleEndian);
 
-        const array = this.entries(littleEndian);
+        const array = this.entries(littleEndian, asNumber);
 
         for (const val of array) {
             yield val[1];
         }
     }
+
+
+    /**
+     * Calls Mutar.wait
+     * @param {number} index - Positive or negative index key
+     * @param {(number|bigint)} value - The expected value at the given index
+     * @param {number} [timeout=Infinity] - Time to wait in milliseconds 
+     * @param {boolean} [littleEndian=this.littleEndian] - A boolean that sets little endian to true/false
+     * @returns {string} - "ok", "not-equal" or "timed-out"
+     */
+    wait(index, value, timeout=Infinity, littleEndian=null) {
+        littleEndian = this.#setEndianness(littleEndian);
+        return this.constructor.wait(this.array, index, value, timeout, littleEndian);
+    }
+
+
+    /**
+     * Creates a cursor, which writes (and reads) the
+     * array sequentially and grows it automatically
+     * (see MutarCursor).
+     * @param {number} [byteOffset=0] - Byte position to start at (negative positions count from the end)
+     * @returns {Object} - The cursor
+     */
+    writer(byteOffset=0) {
+        return new MutarCursor(this, byteOffset, true);
+    }
 }
 
 export default Mutar;
@@ -50,6 +50,28 @@ function areEqual(itemA, itemB) {
     return (itemA === itemB);
 }
 
+function compare(unit, subUnit, input, output, expected) {
+    nextTest(unit);
+    if (!areEqual(output, expected)) {
+        makeError(
+            unit,
+            subUnit,
+            input,
+            output,
+            expected
+        );
+    }
+}
+
+function errorName(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.name;
+    }
+    return "NoError";
+}
+
 // Test functions
 
 function typeTests() {
@@ -869,19 +891,2805 @@ function objAppendDelete(littleEndian) {
 }
 
 
-function main() {
+/**
+ * Test the reserved capacity of a Mutar object,
+ * in both little and big endian.
+ */
+function objCapacity(littleEndian) {
+    const unit = appendEndiannessStr("object-capacity", littleEndian);
+    makeUnit(unit);
+
+    // initialize test obj
+    const obj = new Mutar([1, 2, 3], Uint16Array, littleEndian, false, {growthFactor: 1.5});
+
+    // if the endianness differs from the one of the system, adjust the values 
+    if (littleEndian !== obj.SYS_LITTLE_ENDIAN) {
+        obj.flipEndianness(false);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testPushGrowth - push many values one at a time
+    // expect: the capacity grows by the growth factor, length and values stay exact
+
+    for (let i=4; i<=1000; i++) {
+        obj.push(i);
+    }
+
+    compare(unit, "pushLength", "997 x MutarUint16Array(1,2,3).push(i)", obj.length, 1000);
+    compare(unit, "pushValues", "MutarUint16Array(1..1000).reduce(a + b)", obj.reduce((a, b) => a + b), 500500);
+    compare(unit, "pushArrayLength", "MutarUint16Array(1..1000).array.length", obj.array.length, 1000);
+    compare(unit, "pushCapacity", "MutarUint16Array(1..1000).capacity >= 1000", obj.capacity >= 1000 && obj.capacity < 1500, true);
+    compare(unit, "viewByteLength", "MutarUint16Array(1..1000).view.byteLength", obj.view.byteLength, 2000);
+    compare(unit, "buffer", "MutarUint16Array(1..1000).buffer === array.buffer", obj.buffer === obj.array.buffer, true);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testInPlace - unshift, splice and pop inside of the capacity
+    // expect: no new buffer gets allocated
+
+    const {buffer} = obj;
+    obj.pop();
+    obj.pop();
+    obj.unshift(0);
+    obj.splice(1, 2, 10, 20, 30, 40);
+    obj.shift();
+    obj.insert(0, 5);
+    obj.detach(1);
+
+    compare(unit, "inPlaceBuffer", "MutarUint16Array(...).pop().unshift().splice().shift().insert().detach()", obj.buffer === buffer, true);
+    compare(unit, "inPlaceValues", "MutarUint16Array(...).slice(0, 5)", [...obj.values()].slice(0, 5), [5, 20, 30, 40, 3]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testInput - length changes of an object, which was constructed from a typed array
+    // expect: the array gets copied, the input stays untouched
+
+    const input = new Uint8Array([1, 2, 3, 4]);
+    const fromInput = new Mutar(input, "Uint8", littleEndian);
+    fromInput.shift();
+    fromInput.push(9);
+    fromInput.pop();
+    compare(unit, "inputUntouched", "new Mutar(Uint8Array(1,2,3,4)).shift().push(9).pop(); input", [...input], [1, 2, 3, 4]);
+    compare(unit, "inputCopied", "MutarUint8Array(2,3,4).array", [fromInput.buffer === input.buffer, ...fromInput.array], [false, 2, 3, 4]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testReserve - reserve memory
+    // expect: capacity of at least 5000, untouched values
+
+    compare(unit, "reserve", "MutarUint16Array(...).reserve(5000)", obj.reserve(5000), 5000);
+    compare(unit, "reserveValues", "MutarUint16Array(...).at(-1)", obj.at(-1), 998);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testResize - grow and shrink the array
+    // expect: zeros at the end (also over formerly used memory), untouched values
+
+    const sized = new Mutar(new Uint16Array([1, 2, 3, 4]), null, littleEndian);
+    sized.resize(2);
+    compare(unit, "resizeShrink", "MutarUint16Array(1, 2, 3, 4).resize(2)", [sized.length, sized.capacity], [2, 4]);
+    sized.resize(5);
+    compare(unit, "resizeGrow", "MutarUint16Array(1, 2).resize(5)", [...sized.array], [1, 2, 0, 0, 0]);
+    compare(unit, "resizeError", "MutarUint16Array(...).resize(-1)", errorName(() => sized.resize(-1)), "RangeError");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testShrinkToFit - release unused memory
+    // expect: capacity equals length
+
+    compare(unit, "shrinkToFit", "MutarUint16Array(...).shrinkToFit()", obj.shrinkToFit(), obj.length);
+    compare(unit, "shrinkToFitBuffer", "MutarUint16Array(...).buffer.byteLength", obj.buffer.byteLength, obj.byteLength);
+    compare(unit, "shrinkToFitValues", "MutarUint16Array(...).at(-1)", obj.at(-1), 998);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testGrowthFactorError - set an invalid growth factor
+    // expect: RangeError
+
+    let outputGrowthFactor = "NoError";
+    try {
+        obj.growthFactor = 1;
+    } catch (e) {
+        outputGrowthFactor = e.name;
+    }
+    compare(unit, "growthFactorError", "obj.growthFactor = 1", outputGrowthFactor, "RangeError");
+}
+
+
+/**
+ * Use a Mutar object in deque mode as a FIFO
+ * queue, in both little and big endian.
+ */
+function objDeque(littleEndian) {
+    const unit = appendEndiannessStr("object-deque", littleEndian);
+    makeUnit(unit);
+
+    // initialize test obj
+    const obj = new Mutar(new Int32Array(0), null, littleEndian, false, {deque: true});
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFIFO - push and shift values in a steady state
+    // expect: values come out in the same order, no new memory is allocated after warm up
+
+    let expectedFIFO = 0;
+    let outputFIFO = 0;
+    let buffer;
+
+    for (let i=0; i<2000; i++) {
+        obj.push(i);
+        if (i === 1000) {
+            ({buffer} = obj);
+        }
+        if (i >= 100) {
+            outputFIFO += obj.shift();
+            expectedFIFO += i-100;
+        }
+    }
+
+    compare(unit, "FIFOValues", "2000 x MutarInt32Array().push(i).shift()", outputFIFO, expectedFIFO);
+    compare(unit, "FIFOLength", "MutarInt32Array(1900..1999).length", obj.length, 100);
+    compare(unit, "FIFOBuffer", "MutarInt32Array(1900..1999).buffer", obj.buffer === buffer, true);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testShiftHead - shift moves the head index
+    // expect: byteOffset increases by BYTES_PER_ELEMENT, no values are moved 
+
+    const {byteOffset} = obj;
+    compare(unit, "shift", "MutarInt32Array(1900..1999).shift()", obj.shift(), 1900);
+    compare(unit, "shiftHead", "MutarInt32Array(1901..1999).byteOffset", obj.byteOffset, byteOffset+4);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testUnshift - unshift uses the free space in front of the array
+    // expect: byteOffset decreases, correct values at the beginning
+
+    compare(unit, "unshift", "MutarInt32Array(1901..1999).unshift(-1, -2)", obj.unshift(-1, -2), 101);
+    compare(unit, "unshiftHead", "MutarInt32Array(-1, -2, 1901..1999).byteOffset", obj.byteOffset, byteOffset-4);
+    compare(unit, "at", "MutarInt32Array(-1, -2, 1901..1999).at(1)", obj.at(1), -2);
+    compare(unit, "pop", "MutarInt32Array(-1, -2, 1901..1999).pop()", obj.pop(), 1999);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testIterators - entries, values and extractArrayClone
+    // expect: correct values, independent of the head index
+
+    const expectedValues = [-1, -2];
+    for (let i=1901; i<1999; i++) {
+        expectedValues.push(i);
+    }
+
+    compare(unit, "values", "MutarInt32Array(-1, -2, 1901..1998).values()", [...obj.values()], expectedValues);
+    compare(unit, "entries", "MutarInt32Array(-1, -2, 1901..1998).entries()", [...obj.entries()].at(50).join(), `50,${expectedValues[50]}`);
+    compare(unit, "extractArrayClone", "MutarInt32Array(-1, -2, 1901..1998).extractArrayClone(true)", [...obj.extractArrayClone(true)], expectedValues);
     
-    typeTests();
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testSplice - splice near the front and near the end
+    // expect: correct values
+
+    obj.splice(1, 1, 7, 8, 9);
+    obj.splice(-2, 1);
+    expectedValues.splice(1, 1, 7, 8, 9);
+    expectedValues.splice(-2, 1);
+
+    compare(unit, "splice", "MutarInt32Array(-1, -2, 1901..1998).splice(1, 1, 7, 8, 9).splice(-2, 1)", [...obj.values()], expectedValues);
+
     
+    // ------------------------------------------------------------------------------------------------ //
+    // testUnshiftGrowth - unshift more values than the free space in front
+    // expect: correct values
 
-    for (const littleEndian of [true, false]) {
-        objBuildIns(littleEndian);
+    const items = new Array(500).fill(3);
+    obj.unshift(...items);
+    expectedValues.unshift(...items);
+
+    compare(unit, "unshiftGrowth", "MutarInt32Array(...).unshift(...Array(500))", [...obj.values()], expectedValues);
+}
+
+
+/**
+ * Compare Mutar objects on resizable buffers with
+ * the copy behavior, in both little and big endian.
+ */
+function objResizable(littleEndian) {
+    const unit = appendEndiannessStr("object-resizable", littleEndian);
+    makeUnit(unit);
+
+    if (!Mutar.RESIZABLE_SUPPORT) {
+        let outputForce = "NoError";
+        try {
+            Mutar.from([1], Uint8Array, littleEndian, false, {resizable: true});
+        } catch (e) {
+            outputForce = e.name;
+        }
+        compare(unit, "forceUnsupported", "new Mutar([1], Uint8Array, le, false, {resizable: true})", outputForce, "TypeError");
+        return;
+    }
+
+    // initialize test objects
+    const input = [1, 2, 3, 0, 0];
+    const obj = new Mutar(input, Uint16Array, littleEndian, false, {resizable: true});
+    const copyObj = new Mutar(input, Uint16Array, littleEndian, false, {resizable: false});
+
+    function sameBytes(objA, objB) {
+        return areEqual(new Uint8Array(objA.buffer, objA.byteOffset, objA.byteLength), new Uint8Array(objB.buffer, objB.byteOffset, objB.byteLength));
     }
+
     
-    objConversionTests();
+    // ------------------------------------------------------------------------------------------------ //
+    // testResize - push, pop and splice on both objects
+    // expect: equal bytes, only the resizable object is on a resizable buffer, which is kept
+
+    obj.reserve(100);
+    copyObj.reserve(100);
+    const {buffer} = obj;
+
+    for (const mutarObj of [obj, copyObj]) {
+        mutarObj.push(4, 5, 6);
+        mutarObj.pop();
+        mutarObj.splice(1, 1, 7, 8);
+        mutarObj.trim();
+    }
+
+    compare(unit, "resizableBuffer", "obj.buffer.resizable", obj.buffer.resizable, true);
+    compare(unit, "copyBuffer", "copyObj.buffer.resizable", Boolean(copyObj.buffer.resizable), false);
+    compare(unit, "resizeBytes", "obj.push().pop().splice().trim()", sameBytes(obj, copyObj), true);
+    compare(unit, "resizeInPlace", "obj.buffer after push().pop().splice().trim()", obj.buffer === buffer, true);
+    compare(unit, "byteLength", "obj.buffer.byteLength", obj.buffer.byteLength, obj.byteLength);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testConvert - convert in regular mode (with zero padding) and intMode
+    // expect: equal bytes, conversion happens on the same buffer
+
+    for (const mutarObj of [obj, copyObj]) {
+        mutarObj.convert("Uint32");
+        mutarObj.convert("Uint8", false, true);
+        mutarObj.convert("Uint32", true);
+    }
+
+    compare(unit, "convertBytes", "obj.convert(Uint32).convert(Uint8, false, true).convert(Uint32, true)", sameBytes(obj, copyObj), true);
+    compare(unit, "convertType", "obj.type", obj.type, "Uint32Array");
+    compare(unit, "convertInPlace", "obj.buffer after convert", obj.buffer === buffer, true);
+
     
-    for (const littleEndian of [true, false]) {
-        objAppendDelete(littleEndian);
+    // ------------------------------------------------------------------------------------------------ //
+    // testConvertIntegrityError - convert intMode with data loss
+    // expect: IntegrityError, untouched object
+
+    obj.push(1000);
+    const values = [...obj.values()];
+    let outputIntegrityError = "NoError";
+    try {
+        obj.convert("Uint8", true);
+    } catch (e) {
+        outputIntegrityError = e.name;
+    }
+
+    compare(unit, "convertIntegrityError", "obj.convert(Uint8, true)", outputIntegrityError, "IntegrityError");
+    compare(unit, "convertIntegrityErrorValues", "obj.values()", [...obj.values()], values);
+}
+
+
+/**
+ * Test the shared mode and the atomic operations,
+ * in both little and big endian.
+ */
+function objShared(littleEndian) {
+    const unit = appendEndiannessStr("object-shared", littleEndian);
+    makeUnit(unit);
+
+    // initialize test objects (the second one shares the buffer of the first)
+    const obj = new Mutar(new Int32Array([1, 2, 3]), null, littleEndian, littleEndian !== Mutar.SYS_LITTLE_ENDIAN, {
+        shared: true,
+        capacity: 8
+    });
+    const twin = new Mutar(new Int32Array(obj.buffer), null, littleEndian, false, {shared: true});
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testSharedBuffer - the array is located on a SharedArrayBuffer
+    // expect: both objects share the buffer, values are visible for both
+
+    compare(unit, "sharedBuffer", "obj.buffer instanceof SharedArrayBuffer", obj.buffer instanceof SharedArrayBuffer, true);
+    compare(unit, "sharedTwin", "twin.buffer === obj.buffer", twin.buffer === obj.buffer, true);
+    compare(unit, "capacity", "obj.capacity", obj.capacity, 8);
+
+    obj.push(4, 5);
+    obj.shift();
+    obj.unshift(0);
+    obj.setAt(1, 20);
+
+    compare(unit, "inPlace", "obj.push(4, 5).shift().unshift(0).setAt(1, 20)", [...obj.values()], [0, 20, 3, 4, 5]);
+    compare(unit, "inPlaceBuffer", "obj.buffer === twin.buffer", obj.buffer === twin.buffer, true);
+    compare(unit, "twinValues", "twin.at(1)", twin.at(1), 20);
+
+    // a worker receives the SharedArrayBuffer itself
+    const received = new Mutar(obj.buffer, "Int32", littleEndian, false, {shared: true});
+    compare(unit, "sharedBufferInput", "new Mutar(obj.buffer, Int32, {shared: true})", [received.buffer === obj.buffer, received.at(1)], [true, 20]);
+    received.setAt(2, 30);
+    compare(unit, "sharedBufferInputValues", "received.setAt(2, 30); obj.at(2)", obj.at(2), 30);
+    received.setAt(2, 3);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testReallocation - methods which need new memory
+    // expect: SharedMemoryError
+
+    compare(unit, "pushError", "obj.push(6, 7, 8, 9)", errorName(() => obj.push(6, 7, 8, 9)), "SharedMemoryError");
+    compare(unit, "convertError", "obj.convert(BigInt64Array)", errorName(() => obj.convert(BigInt64Array)), "SharedMemoryError");
+    compare(unit, "shrinkToFitError", "obj.shrinkToFit()", errorName(() => obj.shrinkToFit()), "SharedMemoryError");
+    compare(unit, "errorValues", "obj.values()", [...obj.values()], [0, 20, 3, 4, 5]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testAtomics - endian aware atomic operations
+    // expect: values according to the endianness of the object
+
+    compare(unit, "atomicStore", "obj.atomicStore(0, 100)", obj.atomicStore(0, 100), 100);
+    compare(unit, "atomicLoad", "obj.atomicLoad(0)", obj.atomicLoad(0), 100);
+    compare(unit, "atomicLoadAt", "obj.at(0)", obj.at(0), 100);
+    compare(unit, "atomicAdd", "obj.atomicAdd(0, 900)", obj.atomicAdd(0, 900), 100);
+    compare(unit, "atomicAddResult", "obj.atomicLoad(0)", obj.atomicLoad(0), 1000);
+    compare(unit, "atomicAddNegative", "obj.atomicAdd(-1, -10)", obj.atomicAdd(-1, -10), 5);
+    compare(unit, "atomicAddNegativeResult", "obj.at(-1)", obj.at(-1), -5);
+    compare(unit, "compareExchange", "obj.compareExchange(1, 20, 21)", obj.compareExchange(1, 20, 21), 20);
+    compare(unit, "compareExchangeFail", "obj.compareExchange(1, 20, 22)", obj.compareExchange(1, 20, 22), 21);
+    compare(unit, "compareExchangeResult", "twin.atomicLoad(1)", twin.atomicLoad(1), 21);
+    compare(unit, "waitNotEqual", "obj.wait(2, 4, 0)", obj.wait(2, 4, 0), "not-equal");
+    compare(unit, "waitTimeout", "obj.wait(2, 3, 0)", obj.wait(2, 3, 0), "timed-out");
+    compare(unit, "notify", "obj.notify(2)", obj.notify(2), 0);
+
+    const big = new Mutar(new BigUint64Array(2), null, littleEndian, false, {shared: true});
+    big.atomicStore(1, 2n**40n);
+    compare(unit, "atomicBigInt", "big.atomicAdd(1, 1n)", big.atomicAdd(1, 1n), 2n**40n);
+    compare(unit, "atomicBigIntResult", "big.at(1)", big.at(1), (2n**40n) + 1n);
+
+    const float = new Mutar(new Float32Array(2), null, littleEndian, false, {shared: true});
+    compare(unit, "atomicTypeError", "float.atomicLoad(0)", errorName(() => float.atomicLoad(0)), "TypeError");
+    compare(unit, "waitTypeError", "big.wait(0, 0n, 0)", errorName(() => big.wait(0, 0n, 0)), "TypeError");
+}
+
+
+/**
+ * Run the toolkit and the object methods against
+ * views with a non-zero byteOffset into a bigger
+ * buffer and compare the results with a compact
+ * copy (in both little and big endian). The bytes
+ * around the view must stay untouched.
+ */
+function offsetViews(littleEndian) {
+    const unit = appendEndiannessStr("offset-views", littleEndian);
+    makeUnit(unit);
+
+    const SENTINEL = 170;
+
+    const setups = [
+        {
+            type: Uint32Array,
+            byteOffset: 8,
+            values: [0, 100, 200, 300, 0, 0]
+        },
+        {
+            type: Uint16Array,
+            byteOffset: 2,
+            values: [0, 1, 2, 3, 4, 5, 0]
+        }
+    ];
+
+    // Convert outputs to comparable strings
+    function normalize(output) {
+        if (output instanceof Mutar) {
+            return normalize(output.array);
+        }
+        if (ArrayBuffer.isView(output)) {
+            return `${output.constructor.name}(${output.join()})`;
+        }
+        if (Array.isArray(output)) {
+            return `[${output.map(normalize).join("|")}]`;
+        }
+        if (output && typeof(output[Symbol.iterator]) === "function" && typeof(output) !== "string") {
+            return normalize([...output]);
+        }
+        return String(output);
+    }
+
+    const toolkit = {
+        at: (a) => Mutar.at(a, 2, littleEndian),
+        atNegative: (a) => Mutar.at(a, -1, littleEndian),
+        atomicAdd: (a) => [Mutar.atomicAdd(a, 1, 5, littleEndian), a],
+        atomicLoad: (a) => Mutar.atomicLoad(a, 2, littleEndian),
+        atomicStore: (a) => [Mutar.atomicStore(a, 0, 9, littleEndian), a],
+        clone: (a) => Mutar.clone(a),
+        compareExchange: (a) => [Mutar.compareExchange(a, 1, Mutar.at(a, 1, littleEndian), 7, littleEndian), a],
+        concat: (a) => Mutar.concat(a, a),
+        convert: (a) => Mutar.convert(a, "Uint8", false, false, littleEndian),
+        convertPadding: (a) => Mutar.convert(a, "BigInt64Array", false, false, littleEndian),
+        convertTrim: (a) => Mutar.convert(a, "Uint8", false, true, littleEndian),
+        convertIntMode: (a) => Mutar.convert(a, "BigUint64Array", true, false, littleEndian),
+        convertIntModeForce: (a) => Mutar.convert(a, "Int8", "force", false, littleEndian),
+        detach: (a) => Mutar.detach(a, 2, littleEndian),
+        flipEndianness: (a) => Mutar.flipEndianness(a),
+        flipEndiannessClone: (a) => [Mutar.flipEndianness(a, true), a],
+        insert: (a) => Mutar.insert(a, 2, 9, littleEndian),
+        pop: (a) => Mutar.pop(a, littleEndian),
+        push: (a) => Mutar.push(a, 1, 2, littleEndian),
+        setAt: (a) => {
+            Mutar.setAt(a, 1, 77, littleEndian);
+            return [Mutar.at(a, 1, littleEndian), a];
+        },
+        shift: (a) => Mutar.shift(a, littleEndian),
+        splice: (a) => Mutar.splice(a, 1, 2, 5, 6, 7, littleEndian),
+        trim: (a) => Mutar.trim(a, false, littleEndian),
+        trimPurge: (a) => Mutar.trim(a, true, littleEndian),
+        unshift: (a) => Mutar.unshift(a, 1, 2, littleEndian),
+    };
+
+    const methods = {
+        at: (obj) => obj.at(-2),
+        atomicAdd: (obj) => [obj.atomicAdd(1, 3), obj],
+        clone: (obj) => obj.clone(),
+        concat: (obj) => obj.concat(obj.array),
+        convert: (obj) => obj.convert("Uint8"),
+        convertPadding: (obj) => obj.convert("Float64"),
+        convertIntMode: (obj) => obj.convert("Int32", true),
+        copyWithin: (obj) => obj.copyWithin(0, 2, 4),
+        detach: (obj) => [obj.detach(1), obj],
+        entries: (obj) => obj.entries(),
+        every: (obj) => obj.every((val) => val < 300),
+        extractArrayClone: (obj) => obj.extractArrayClone(true),
+        fill: (obj) => obj.fill(3, 1, 3),
+        filter: (obj) => obj.filter((val) => val > 1),
+        find: (obj) => obj.find((val) => val > 1),
+        findIndex: (obj) => obj.findIndex((val) => val > 1),
+        flipEndianness: (obj) => obj.flipEndianness(),
+        includes: (obj) => obj.includes(2),
+        indexOf: (obj) => obj.indexOf(3),
+        insert: (obj) => [obj.insert(1, 8), obj],
+        join: (obj) => obj.join("-"),
+        lastIndexOf: (obj) => obj.lastIndexOf(0),
+        map: (obj) => obj.map((val) => val * 2),
+        pop: (obj) => [obj.pop(), obj],
+        push: (obj) => [obj.push(1, 2, 3), obj],
+        reduce: (obj) => obj.reduce((a, b) => a + b),
+        reserve: (obj) => [obj.reserve(20), obj],
+        reverse: (obj) => obj.reverse(),
+        set: (obj) => {
+            obj.set([7, 8], 1);
+            return obj;
+        },
+        setAt: (obj) => {
+            obj.setAt(2, 99);
+            return [obj.at(2), obj];
+        },
+        shift: (obj) => [obj.shift(), obj],
+        shrinkToFit: (obj) => [obj.shrinkToFit(), obj],
+        slice: (obj) => obj.slice(1, 3),
+        some: (obj) => obj.some((val) => val === 3),
+        sort: (obj) => obj.sort(),
+        splice: (obj) => [obj.splice(1, 2, 4, 5, 6), obj],
+        subarray: (obj) => obj.subarray(1, 3),
+        toString: (obj) => obj.toString(),
+        trim: (obj) => {
+            obj.trim();
+            return obj;
+        },
+        trimPurge: (obj) => {
+            obj.trim(true);
+            return obj;
+        },
+        unshift: (obj) => [obj.unshift(4, 5), obj],
+        values: (obj) => obj.values(),
+    };
+
+    // Creates a view into a buffer, which is filled
+    // with sentinel bytes and a compact copy of it.
+    function makeViews(setup) {
+        const byteLen = setup.values.length * setup.type.BYTES_PER_ELEMENT;
+        const bytes = new Uint8Array(setup.byteOffset + byteLen + 16).fill(SENTINEL);
+        const offsetView = new setup.type(bytes.buffer, setup.byteOffset, setup.values.length);
+        setup.values.forEach((val, i) => Mutar.setAt(offsetView, i, val, littleEndian));
+        return [bytes, offsetView, offsetView.slice()];
+    }
+
+    function isUntouched(bytes, setup) {
+        const end = setup.byteOffset + (setup.values.length * setup.type.BYTES_PER_ELEMENT);
+        return bytes.subarray(0, setup.byteOffset).every((b) => b === SENTINEL) && bytes.subarray(end).every((b) => b === SENTINEL);
+    }
+
+    const testGroups = [
+        [toolkit, (array) => array, "Mutar"],
+        [methods, (array) => Mutar.from(array, null, littleEndian), "obj"]
+    ];
+
+    for (const setup of setups) {
+        for (const [routine, prepare, prefix] of testGroups) {
+            for (const name of Object.keys(routine)) {
+                const [bytes, offsetView, compact] = makeViews(setup);
+                const input = `${prefix}.${name}(${setup.type.name}(byteOffset: ${setup.byteOffset}))`;
+
+                let expected, output;
+                try {
+                    output = normalize(routine[name](prepare(offsetView)));
+                    expected = normalize(routine[name](prepare(compact)));
+                } catch (e) {
+                    output = e.name;
+                }
+                compare(unit, name, input, output, expected);
+                compare(unit, `${name}-untouched`, `${input} (surrounding bytes)`, isUntouched(bytes, setup), true);
+            }
+        }
+    }
+}
+
+
+/**
+ * Tests the Float16 type (native or software
+ * en-/decoding) with the following functions:
+ * at
+ * convert
+ * flipEndianness
+ * intMode conversion
+ * setAt
+ */
+function float16(littleEndian) {
+    const unit = appendEndiannessStr("float16", littleEndian);
+    makeUnit(unit);
+
+    // Bytes of a Uint16 in the tested endianness
+    function bytesOf(bits) {
+        const bytes = [Math.floor(bits / 256), bits % 256];
+        return (littleEndian) ? bytes.reverse() : bytes;
+    }
+
+    const values = [1, -2, 0.5, 65504, Infinity, 2 ** -24];
+    const bits = [0x3C00, 0xC000, 0x3800, 0x7BFF, 0x7C00, 0x0001];
+    const expectedBytes = bits.flatMap(bytesOf);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testSetAt - writes the values to an empty array
+    // expect: IEEE 754 half-precision bits in the tested endianness
+
+    const Float16 = Mutar.convert(new Uint8Array(values.length * 2), "Float16", false, false, littleEndian);
+    values.forEach((val, i) => Mutar.setAt(Float16, i, val, littleEndian));
+
+    compare(unit, "type", "Mutar.getType(Float16)", Mutar.getType(Float16), "Float16Array");
+    compare(unit, "setAt", `Mutar.setAt(Float16, i, [${values}])`, [...Mutar.convert(Float16, "Uint8")], expectedBytes);
+    compare(unit, "at", "Mutar.at(Float16, i)", values.map((val, i) => Mutar.at(Float16, i, littleEndian)), values);
+    compare(unit, "atNegative", "Mutar.at(Float16, -1)", Mutar.at(Float16, -1, littleEndian), 2 ** -24);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRounding - values which cannot be represented exactly
+    // expect: rounded half to even, overflow to infinity
+
+    const single = Mutar.from([0], "Float16", littleEndian);
+    const roundings = [
+        [1/3, 0.333251953125],
+        [65519, 65504],
+        [65520, Infinity],
+        [2 ** -25, 0],
+        [3 * (2 ** -26), 2 ** -24],
+        [1 + (2 ** -11), 1],
+        [1 + (3 * (2 ** -11)), 1 + (2 ** -9)],
+        [-1e10, -Infinity]
+    ];
+    for (const [input, expected] of roundings) {
+        single.setAt(0, input);
+        compare(unit, "rounding", `obj.setAt(0, ${input})`, single.at(0), expected);
+    }
+
+    single.setAt(0, NaN);
+    compare(unit, "NaN", "obj.setAt(0, NaN)", Number.isNaN(single.at(0)), true);
+    single.setAt(0, -0);
+    compare(unit, "negativeZero", "obj.setAt(0, -0)", Object.is(single.at(0), -0), true);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testConvert - reinterpretation of the bytes
+    // expect: the same bytes/values after a round trip
+
+    const fromBytes = Mutar.convert(new Uint8Array(expectedBytes), "Float16", false, false, littleEndian);
+    compare(unit, "convert", "Mutar.convert(Uint8Array, 'Float16')", values.map((val, i) => Mutar.at(fromBytes, i, littleEndian)), values);
+
+    const padded = Mutar.convert(new Uint8Array([...expectedBytes, 0]), "Float16", false, false, littleEndian);
+    compare(unit, "convertPadding", "Mutar.convert(Uint8Array(13), 'Float16').length", padded.length, 7);
+
+    const toUint32 = Mutar.convert(fromBytes, "Uint32", false, false, littleEndian);
+    compare(unit, "convertBack", "Mutar.convert(Float16, 'Uint32')", [...Mutar.convert(toUint32, "Uint8")], expectedBytes);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFlipEndianness - byte order of each element gets reversed
+    // expect: the values are readable with the opposite endianness
+
+    const flipped = Mutar.flipEndianness(fromBytes, true);
+    compare(unit, "flipEndianness", "Mutar.flipEndianness(Float16, true)", values.map((val, i) => Mutar.at(flipped, i, !littleEndian)), values);
+    compare(unit, "flipEndiannessInt", "Mutar.flipEndiannessInt(1, 'Float16')", Mutar.flipEndiannessInt(Mutar.flipEndiannessInt(0.5, "Float16"), "Float16"), 0.5);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFillSort - methods, which are working on the values
+    // expect: encoded values in the tested endianness, numeric order
+
+    const filled = Mutar.from([0, 0, 0], "Float16", littleEndian);
+    filled.fill(1.5, 1);
+    compare(unit, "fill", "obj(Float16[0, 0, 0]).fill(1.5, 1)", [...filled.values()], [0, 1.5, 1.5]);
+    compare(unit, "fillBytes", "obj(Float16[0, 0, 0]).fill(1.5, 1) (bytes)", [...Mutar.convert(filled.array, "Uint8")], [0, 0, ...bytesOf(0x3E00), ...bytesOf(0x3E00)]);
+
+    const sorted = Mutar.from([2, -1, 0.5, -3, NaN], "Float16", littleEndian);
+    if (littleEndian !== sorted.SYS_LITTLE_ENDIAN) {
+        sorted.flipEndianness(false);
+    }
+    sorted.sort();
+    compare(unit, "sort", "obj(Float16[2, -1, 0.5, -3, NaN]).sort()", [...sorted.values()].map(String), ["-3", "-1", "0.5", "2", "NaN"]);
+    sorted.sort((a, b) => b - a);
+    compare(unit, "sortCompareFunction", "obj(Float16).sort((a, b) => b - a)", [...sorted.values()].slice(0, 4), [2, 0.5, -1, -3]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testIntMode - conversion of the individual values
+    // expect: values are preserved, IntegrityError on data loss
+
+    const obj = Mutar.from([1, 2, 300, -4], "Int16", littleEndian);
+    if (littleEndian !== obj.SYS_LITTLE_ENDIAN) {
+        obj.flipEndianness(false);
+    }
+
+    obj.convert("Float16", true);
+    compare(unit, "intModeToFloat16", "obj(Int16).convert('Float16', true)", [...obj.values()], [1, 2, 300, -4]);
+    compare(unit, "intModeType", "obj.type", obj.type, "Float16Array");
+
+    obj.setAt(1, 2.5);
+    obj.convert("Float64", true);
+    compare(unit, "intModeToFloat64", "obj(Float16).convert('Float64', true)", [...obj.values()], [1, 2.5, 300, -4]);
+
+    obj.convert("Float16", true);
+    compare(unit, "intModeFromFloat64", "obj(Float64).convert('Float16', true)", [...obj.values()], [1, 2.5, 300, -4]);
+
+    compare(unit, "intModeFractionError", "obj(Float16).convert('Int32', true)", errorName(() => obj.convert("Int32", true)), "IntegrityError");
+    compare(unit, "intModeFractionValues", "obj.values()", [...obj.values()], [1, 2.5, 300, -4]);
+
+    obj.convert("Int32", "force");
+    compare(unit, "intModeForce", "obj(Float16).convert('Int32', 'force')", [...obj.values()], [1, 2, 300, -4]);
+
+    obj.setAt(0, 2049);
+    compare(unit, "intModePrecisionError", "obj([2049]).convert('Float16', true)", errorName(() => obj.convert("Float16", true)), "IntegrityError");
+
+    obj.convert("Float16", "force");
+    compare(unit, "intModePrecisionForce", "obj([2049]).convert('Float16', 'force')", obj.at(0), 2048);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testObject - some of the object methods
+    // expect: regular values
+
+    obj.push(0.25);
+    obj.unshift(-0.5);
+    compare(unit, "objPushUnshift", "obj.push(0.25).unshift(-0.5)", [...obj.values()], [-0.5, 2048, 2, 300, -4, 0.25]);
+    compare(unit, "objPop", "obj.pop()", obj.pop(), 0.25);
+    compare(unit, "objIncludes", "obj.includes(300)", obj.includes(300), true);
+    compare(unit, "objIndexOf", "obj.indexOf(-4)", obj.indexOf(-4), 4);
+    compare(unit, "objFilter", "obj.filter((val) => val > 0)", [...Mutar.from(obj.filter((val) => val > 0), null, Mutar.SYS_LITTLE_ENDIAN).values()], [2048, 2, 300]);
+
+    obj.set([7.5, 8.5], 1);
+    compare(unit, "objSet", "obj.set([7.5, 8.5], 1)", [...obj.values()], [-0.5, 7.5, 8.5, 300, -4]);
+}
+
+
+/**
+ * Tests the virtual types Int24, Uint24, Int48
+ * and Uint48 (stored in a Uint8Array) with the
+ * following functions:
+ * at
+ * convert
+ * entries
+ * flipEndianness
+ * push
+ * setAt
+ * splice
+ */
+function virtualTypes(littleEndian) {
+    const unit = appendEndiannessStr("virtual-types", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the tested endianness from regular values
+    function make(values, type) {
+        const obj = Mutar.from(values, type, littleEndian);
+        if (littleEndian !== obj.SYS_LITTLE_ENDIAN) {
+            obj.flipEndianness(false);
+        }
+        return obj;
+    }
+
+    // Bytes in the tested endianness from big endian bytes
+    function bytesOf(bytes) {
+        return (littleEndian) ? bytes.slice().reverse() : bytes;
+    }
+
+    const setups = {
+        Int24: {
+            values: [-8388608, -2, 0, 70000, 8388607],
+            byteSample: [-2, [255, 255, 254]],
+            overflow: [8388608, -8388608]
+        },
+        Uint24: {
+            values: [0, 1, 65536, 1193046, 16777215],
+            byteSample: [0x123456, [0x12, 0x34, 0x56]],
+            overflow: [16777221, 5]
+        },
+        Int48: {
+            values: [-140737488355328, -2, 0, 4294967296, 140737488355327],
+            byteSample: [-2, [255, 255, 255, 255, 255, 254]],
+            overflow: [140737488355328, -140737488355328]
+        },
+        Uint48: {
+            values: [0, 255, 4294967296, 20015998343868, 281474976710655],
+            byteSample: [0x123456789ABC, [0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC]],
+            overflow: [-1, 281474976710655]
+        }
+    };
+
+    for (const [type, setup] of Object.entries(setups)) {
+        const bytesPerElem = Number(type.slice(-2)) / 8;
+        const {values} = setup;
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testStorage - the array is a Uint8Array, at and setAt are working per element
+        // expect: element values, bytes according to the endianness
+
+        const obj = make(values, type);
+
+        compare(unit, `${type}-type`, `obj(${type}).type`, obj.type, `${type}Array`);
+        compare(unit, `${type}-storage`, `obj(${type}).array instanceof Uint8Array`, obj.array instanceof Uint8Array, true);
+        compare(unit, `${type}-length`, `obj(${type}).length`, obj.length, values.length);
+        compare(unit, `${type}-byteLength`, `obj(${type}).byteLength`, obj.byteLength, values.length * bytesPerElem);
+        compare(unit, `${type}-BYTES_PER_ELEMENT`, `obj(${type}).BYTES_PER_ELEMENT`, obj.BYTES_PER_ELEMENT, bytesPerElem);
+        compare(unit, `${type}-at`, `obj(${type}).at(i)`, values.map((val, i) => obj.at(i)), values);
+        compare(unit, `${type}-atNegative`, `obj(${type}).at(-1)`, obj.at(-1), values.at(-1));
+        compare(unit, `${type}-entries`, `obj(${type}).entries()`, [...obj.entries()].map(([i, val]) => `${i}:${val}`), values.map((val, i) => `${i}:${val}`));
+
+        const [sample, sampleBytes] = setup.byteSample;
+        obj.setAt(0, sample);
+        compare(unit, `${type}-setAt`, `obj(${type}).setAt(0, ${sample})`, obj.at(0), sample);
+        compare(unit, `${type}-setAtBytes`, `obj(${type}).setAt(0, ${sample}) -> bytes`, [...obj.array.subarray(0, 1)], bytesOf(sampleBytes));
+
+        const [overflow, wrapped] = setup.overflow;
+        Mutar.setAt(obj.array, 1, overflow, littleEndian);
+        compare(unit, `${type}-setAtWrap`, `Mutar.setAt(${type}, 1, ${overflow})`, Mutar.at(obj.array, 1, littleEndian), wrapped);
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testAppendDelete - toolkit and object functions
+        // expect: element wise modifications
+
+        const toolkitArray = make(values, type).array;
+        const [pushed, pushedLen] = Mutar.push(toolkitArray, 1, 2, littleEndian);
+        compare(unit, `${type}-toolkitPush`, `Mutar.push(${type}, 1, 2)`, [pushedLen, Mutar.at(pushed, -2, littleEndian), Mutar.at(pushed, -1, littleEndian)], [values.length + 2, 1, 2]);
+
+        const [spliced, removed] = Mutar.splice(toolkitArray, 1, 2, 7, littleEndian);
+        compare(unit, `${type}-toolkitSplice`, `Mutar.splice(${type}, 1, 2, 7)`, [...Mutar.from(spliced, null, littleEndian).values()], [values[0], 7, ...values.slice(3)]);
+        compare(unit, `${type}-toolkitSpliceRemoved`, `Mutar.splice(${type}, 1, 2, 7) -> removed`, [...Mutar.from(removed, null, littleEndian).values()], values.slice(1, 3));
+
+        const [popped, poppedVal] = Mutar.pop(toolkitArray, littleEndian);
+        compare(unit, `${type}-toolkitPop`, `Mutar.pop(${type})`, [popped.length, poppedVal], [values.length - 1, values.at(-1)]);
+
+        const appendObj = make(values, type);
+        appendObj.push(3, 4);
+        appendObj.unshift(5);
+        compare(unit, `${type}-push`, `obj(${type}).unshift(5).push(3, 4)`, [...appendObj.values()], [5, ...values, 3, 4]);
+
+        const splicedObj = appendObj.splice(2, 3, 6, 7);
+        compare(unit, `${type}-splice`, `obj(${type}).splice(2, 3, 6, 7)`, [...appendObj.values()], [5, values[0], 6, 7, values[4], 3, 4]);
+        compare(unit, `${type}-spliceRemoved`, `obj(${type}).splice(2, 3, 6, 7) -> removed`, [...Mutar.from(splicedObj, null, littleEndian).values()], values.slice(1, 4));
+        compare(unit, `${type}-popShift`, `obj(${type}).pop(), obj.shift()`, [appendObj.pop(), appendObj.shift(), appendObj.length], [4, 5, 5]);
+
+        appendObj.insert(1, 9);
+        compare(unit, `${type}-insert`, `obj(${type}).insert(1, 9)`, [...appendObj.values()], [values[0], 9, 6, 7, values[4], 3]);
+        compare(unit, `${type}-detach`, `obj(${type}).detach(-2)`, appendObj.detach(-2), values[4]);
+        compare(unit, `${type}-indexOf`, `obj(${type}).indexOf(7)`, appendObj.indexOf(7), 3);
+
+        appendObj.reverse();
+        compare(unit, `${type}-reverse`, `obj(${type}).reverse()`, [...appendObj.values()], [3, 7, 6, 9, values[0]]);
+
+        appendObj.sort();
+        compare(unit, `${type}-sort`, `obj(${type}).sort()`, [...appendObj.values()], [values[0], 3, 6, 7, 9]);
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testConvert - regular mode (reinterpretation of the bytes) and intMode
+        // expect: same bytes after a round trip, same values in intMode
+
+        const source = make(values, type).array;
+        const bytes = Mutar.convert(source, "Uint8", false, false, littleEndian);
+        compare(unit, `${type}-convertBytes`, `Mutar.convert(${type}, 'Uint8').length`, bytes.length, source.byteLength);
+
+        const back = Mutar.convert(bytes, type, false, false, littleEndian);
+        compare(unit, `${type}-convertBack`, `Mutar.convert(Uint8, '${type}')`, [...Mutar.from(back, null, littleEndian).values()], values);
+
+        const padded = Mutar.convert(new Uint8Array(bytesPerElem + 1).fill(1), type, false, false, littleEndian);
+        compare(unit, `${type}-convertPadding`, `Mutar.convert(Uint8Array(${bytesPerElem + 1}), '${type}')`, [padded.length, padded.byteLength], [2, 2 * bytesPerElem]);
+
+        const trimmed = Mutar.convert(padded, "Uint8", false, true, littleEndian);
+        compare(unit, `${type}-convertTrim`, `Mutar.convert(${type}, 'Uint8', false, true)`, trimmed.length, bytesPerElem + 1);
+
+        const intModeObj = make(values, type);
+        intModeObj.convert("Float64", true);
+        compare(unit, `${type}-intModeFloat64`, `obj(${type}).convert('Float64', true)`, [...intModeObj.values()], values);
+        
+        intModeObj.convert(type, true);
+        compare(unit, `${type}-intModeBack`, `obj(Float64).convert('${type}', true)`, [...intModeObj.values()], values);
+
+        intModeObj.convert("BigInt", true);
+        compare(unit, `${type}-intModeBigInt`, `obj(${type}).convert('BigInt64', true)`, [...intModeObj.values()], values.map(BigInt));
+
+        intModeObj.convert(type, true);
+        compare(unit, `${type}-intModeFromBigInt`, `obj(BigInt64).convert('${type}', true)`, [...intModeObj.values()], values);
+
+        compare(unit, `${type}-intModeError`, `obj(${type}).convert('Int16', true)`, errorName(() => intModeObj.convert("Int16", true)), "IntegrityError");
+        compare(unit, `${type}-intModeErrorValues`, `obj(${type}).values()`, [...intModeObj.values()], values);
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testFlipEndianness - byte order of each element gets reversed
+        // expect: the values are readable with the opposite endianness
+
+        const flipped = Mutar.flipEndianness(source, true);
+        compare(unit, `${type}-flipEndianness`, `Mutar.flipEndianness(${type}, true)`, values.map((val, i) => Mutar.at(flipped, i, !littleEndian)), values);
+        compare(unit, `${type}-flipEndiannessOrig`, `Mutar.flipEndianness(${type}, true) -> original`, values.map((val, i) => Mutar.at(source, i, littleEndian)), values);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testCrossConversion - intMode between the virtual types
+    // expect: values are kept if they fit
+
+    const small = make([-1, 1000, -70000], "Int24");
+    small.convert("Int48", true);
+    compare(unit, "Int24-Int48", "obj(Int24).convert('Int48', true)", [...small.values()], [-1, 1000, -70000]);
+    small.convert("Int32", true);
+    compare(unit, "Int48-Int32", "obj(Int48).convert('Int32', true)", [...small.values()], [-1, 1000, -70000]);
+    compare(unit, "Int32-Uint24", "obj(Int32).convert('Uint24', true)", errorName(() => small.convert("Uint24", true)), "IntegrityError");
+    small.convert("Uint24", "force");
+    compare(unit, "Int32-Uint24Force", "obj(Int32).convert('Uint24', 'force')", [...small.values()], [16777215, 1000, 16707216]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testTrim - zero padding and purging of whole elements
+    // expect: only elements, which consist of null bytes are removed
+
+    const padded = make([0, 7, 256, 0, 0], "Uint24");
+    const trimmed = Mutar.trim(padded.array, false, littleEndian);
+    const expectedTrim = (littleEndian) ? [0, 7, 256] : [7, 256, 0, 0];
+    compare(unit, "trim", "Mutar.trim(Uint24)", [...Mutar.from(trimmed, null, littleEndian).values()], expectedTrim);
+    compare(unit, "trimPurge", "Mutar.trim(Uint24, true)", [...Mutar.from(Mutar.trim(padded.array, true), null, littleEndian).values()], [7, 256]);
+
+    padded.trim();
+    compare(unit, "objTrim", "obj(Uint24).trim()", [...padded.values()], expectedTrim);
+    padded.trim(true);
+    compare(unit, "objTrimPurge", "obj(Uint24).trim(true)", [...padded.values()], [7, 256]);
+}
+
+
+/**
+ * Tests the registration of custom types and
+ * their usage with the following functions:
+ * at
+ * concat
+ * constructor
+ * convert
+ * getType
+ * isTypeOf
+ * setAt
+ * typeFromInput
+ */
+function registeredTypes() {
+    const unit = "registered-types";
+    makeUnit(unit);
+
+    // Fixed point numbers in [-1, 1) with 15 fractional bits
+    const Q15Array = Mutar.registerType("Q15", {
+        bytesPerElement: 2,
+        get: (view, byteOffset, littleEndian) => view.getInt16(byteOffset, littleEndian) / 32768,
+        set: (view, byteOffset, value, littleEndian) => {
+            const int = Math.min(Math.max(Math.round(value * 32768), -32768), 32767);
+            view.setInt16(byteOffset, int, littleEndian);
+        },
+        shortcuts: ["Fixed15"]
+    });
+
+    // One boolean per byte
+    Mutar.registerType("Bool8", {
+        bytesPerElement: 1,
+        get: (view, byteOffset) => Boolean(view.getUint8(byteOffset)),
+        set: (view, byteOffset, value) => view.setUint8(byteOffset, (value) ? 1 : 0)
+    });
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRegistration - type analysis knows the new types
+    // expect: names, shortcuts and the constructor are resolved
+
+    const q15 = new Q15Array(2);
+    compare(unit, "constructorName", "Q15Array.name", Q15Array.name, "Q15Array");
+    compare(unit, "typeFromInput", "Mutar.typeFromInput('Q15')", Mutar.typeFromInput("Q15"), "Q15Array");
+    compare(unit, "typeFromInputShortcut", "Mutar.typeFromInput('Fixed15')", Mutar.typeFromInput("Fixed15"), "Q15Array");
+    compare(unit, "typeFromInputConstructor", "Mutar.typeFromInput(Q15Array)", Mutar.typeFromInput(Q15Array), "Q15Array");
+    compare(unit, "getType", "Mutar.getType(new Q15Array(2))", Mutar.getType(q15), "Q15Array");
+    compare(unit, "isTypedArray", "Mutar.isTypedArray(new Q15Array(2))", Mutar.isTypedArray(q15), true);
+    compare(unit, "isTypeOf", "Mutar.isTypeOf(new Q15Array(2), 'Fixed15')", Mutar.isTypeOf(q15, "Fixed15"), true);
+    compare(unit, "isTypeOfOther", "Mutar.isTypeOf(new Q15Array(2), 'Int16')", Mutar.isTypeOf(q15, "Int16"), false);
+    compare(unit, "storage", "new Q15Array(2)", [q15.length, q15.byteLength, q15 instanceof Uint8Array], [2, 4, true]);
+
+    let message = "";
+    try {
+        Mutar.typeFromInput("Q16");
+    } catch (e) {
+        ({message} = e);
+    }
+    compare(unit, "unknownTypeMessage", "Mutar.typeFromInput('Q16') -> message includes 'Q15Array'", message.includes("Q15Array"), true);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testTypeNames - names, which start like built-in types
+    // expect: the types are neither treated as BigInt nor as native float
+
+    // Fixed point numbers with 2 fractional bits in 16 bits
+    Mutar.registerType("BigQ", {
+        bytesPerElement: 2,
+        get: (view, byteOffset, littleEndian) => view.getInt16(byteOffset, littleEndian) / 4,
+        set: (view, byteOffset, value, littleEndian) => view.setInt16(byteOffset, Math.round(value * 4), littleEndian),
+        min: -8192,
+        max: 8191.75
+    });
+
+    // Fixed point numbers with 4 fractional bits in 8 bits
+    Mutar.registerType("Float8", {
+        bytesPerElement: 1,
+        get: (view, byteOffset) => view.getInt8(byteOffset) / 16,
+        set: (view, byteOffset, value) => view.setInt8(byteOffset, Math.round(value * 16)),
+        min: -8,
+        max: 7.9375
+    });
+
+    const bigQ = new Mutar([3], "Int16");
+    bigQ.convert("BigQ", true);
+    compare(unit, "bigIntPrefix", "obj(Int16[3]).convert('BigQ', true)", [bigQ.type, ...bigQ.values()], ["BigQArray", 3]);
+    const float8 = new Mutar([1.5, 100], "Float32");
+    float8.convert("Float8", {overflow: "saturate"});
+    compare(unit, "floatPrefix", "obj(Float32[1.5, 100]).convert('Float8', {overflow: 'saturate'})", [float8.type, ...float8.values()], ["Float8Array", 1.5, 7.9375]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRegistrationErrors - invalid or conflicting definitions
+    // expect: TypeError or RangeError
+
+    const validDef = {
+        bytesPerElement: 1,
+        get: (view, byteOffset) => view.getUint8(byteOffset),
+        set: (view, byteOffset, value) => view.setUint8(byteOffset, value)
+    };
+
+    // Creates a copy of the valid definition with one changed key
+    function changedDef(key, value) {
+        const def = {...validDef};
+        def[key] = value;
+        return def;
+    }
+
+    compare(unit, "duplicateName", "Mutar.registerType('Q15', {...})", errorName(() => Mutar.registerType("Q15", validDef)), "TypeError");
+    compare(unit, "duplicateShortcut", "Mutar.registerType('Int8', {...})", errorName(() => Mutar.registerType("Int8", validDef)), "TypeError");
+    compare(unit, "shortcutConflict", "Mutar.registerType('Other', {shortcuts: 'Fixed15'})", errorName(() => Mutar.registerType("Other", changedDef("shortcuts", "Fixed15"))), "TypeError");
+    compare(unit, "invalidName", "Mutar.registerType('1x', {...})", errorName(() => Mutar.registerType("1x", validDef)), "TypeError");
+    compare(unit, "invalidBytes", "Mutar.registerType('Other', {bytesPerElement: 0})", errorName(() => Mutar.registerType("Other", changedDef("bytesPerElement", 0))), "RangeError");
+    compare(unit, "missingGetter", "Mutar.registerType('Other', {get: null})", errorName(() => Mutar.registerType("Other", changedDef("get", null))), "TypeError");
+    compare(unit, "noPartialRegistration", "Mutar.typeFromInput('Other')", errorName(() => Mutar.typeFromInput("Other")), "TypeError");
+
+
+    for (const littleEndian of [true, false]) {
+        const endianness = appendEndiannessStr("", littleEndian);
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testValues - constructor, at and setAt
+        // expect: values according to the getter/setter, bytes in the given endianness
+
+        const obj = new Mutar(new Q15Array([0.5, -0.25, -1]), null, littleEndian, littleEndian !== Mutar.SYS_LITTLE_ENDIAN);
+        compare(unit, `values${endianness}`, "obj(Q15[0.5, -0.25, -1]).values()", [...obj.values()], [0.5, -0.25, -1]);
+
+        const bytes = (littleEndian) ? [0, 64] : [64, 0];
+        compare(unit, `bytes${endianness}`, "obj(Q15[0.5]).array -> bytes", [...obj.array.subarray(0, 1)], bytes);
+
+        obj.setAt(1, 0.75);
+        obj.push(1);
+        compare(unit, `setAtPush${endianness}`, "obj.setAt(1, 0.75).push(1)", [...obj.values()], [0.5, 0.75, -1, 32767 / 32768]);
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testConvert - intMode and regular mode
+        // expect: values are kept if they are representable
+
+        const floats = obj.clone();
+        floats.convert("Float32", true);
+        compare(unit, `intModeFloat32${endianness}`, "obj(Q15).convert('Float32', true)", [...floats.values()], [0.5, 0.75, -1, 32767 / 32768]);
+
+        floats.setAt(0, 2);
+        compare(unit, `intModeError${endianness}`, "obj(Float32[2, ...]).convert('Q15', true)", errorName(() => floats.convert("Q15", true)), "IntegrityError");
+        floats.convert("Fixed15", "force");
+        compare(unit, `intModeForce${endianness}`, "obj(Float32[2, ...]).convert('Fixed15', 'force')", [...floats.values()], [32767 / 32768, 0.75, -1, 32767 / 32768]);
+
+        const int16 = Mutar.convert(obj.array, "Int16", false, false, littleEndian);
+        compare(unit, `convertRegular${endianness}`, "Mutar.convert(Q15, 'Int16')", [...Mutar.from(int16, null, littleEndian).values()], [16384, 24576, -32768, 32767]);
+        const backToQ15 = Mutar.convert(int16, "Q15", false, false, littleEndian);
+        compare(unit, `convertRegularBack${endianness}`, "Mutar.convert(Int16, 'Q15')", [...Mutar.from(backToQ15, null, littleEndian).values()], [0.5, 0.75, -1, 32767 / 32768]);
+
+
+        // ------------------------------------------------------------------------------------------------ //
+        // testConcat - arrays of the registered type and forced conversions
+        // expect: concatenated values
+
+        const concat = Mutar.concat(obj.array, backToQ15.subarray(0, 1), Int16Array.of(0), "force");
+        compare(unit, `concat${endianness}`, "Mutar.concat(Q15, Q15, Int16, 'force')", [...Mutar.from(concat, null, littleEndian).values()], [0.5, 0.75, -1, 32767 / 32768, 0.5, 0]);
+
+        const bools = new Mutar(new Uint8Array([1, 0, 1]), "Bool8", littleEndian);
+        compare(unit, `bool8${endianness}`, "new Mutar(Uint8Array([1, 0, 1]), 'Bool8')", [...bools.values()], [true, false, true]);
+        bools.setAt(1, "yes");
+        bools.convert("Uint16", true);
+        compare(unit, `bool8IntMode${endianness}`, "obj(Bool8).convert('Uint16', true)", [...bools.values()], [1, 1, 1]);
+    }
+}
+
+
+/**
+ * Tests the overflow policies and the report of
+ * the intMode with the following functions:
+ * concat
+ * convert
+ */
+function intModePolicies(littleEndian) {
+    const unit = appendEndiannessStr("intmode-policies", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    const ints = [300, -200, 100, -1];
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testPolicies - Int16 to Int8 and Uint8 with each policy
+    // expect: values according to the policy
+
+    const policies = {
+        wrap: [[44, 56, 100, -1], [44, 56, 100, 255]],
+        saturate: [[127, -128, 100, -1], [255, 0, 100, 0]],
+        truncate: [[44, 56, 100, -1], [44, 56, 100, 255]],
+        force: [[44, 56, 100, -1], [44, 56, 100, 255]]
+    };
+
+    for (const policy of Object.keys(policies)) {
+        const [expectedInt8, expectedUint8] = policies[policy];
+
+        const int8 = from(ints, "Int16");
+        int8.convert("Int8", policy);
+        compare(unit, `${policy}Int8`, `obj(Int16[${ints}]).convert("Int8", "${policy}")`, [...int8.values()], expectedInt8);
+
+        const uint8 = Mutar.convert(from(ints, "Int16").array, "Uint8", policy, false, littleEndian);
+        compare(unit, `${policy}Uint8`, `Mutar.convert(Int16[${ints}], "Uint8", "${policy}")`, [...uint8], expectedUint8);
+    }
+
+    const unchanged = from(ints, "Int16");
+    compare(unit, "throw", `obj(Int16[${ints}]).convert("Int8", "throw")`, errorName(() => unchanged.convert("Int8", "throw")), "IntegrityError");
+    compare(unit, "throwUnchanged", "obj -> after IntegrityError", [...unchanged.values()], ints);
+    compare(unit, "throwWidening", "obj(Int8[-1]).convert('Uint16', true)", errorName(() => from([-1], "Int8").convert("Uint16", true)), "IntegrityError");
+    compare(unit, "unknownPolicy", "obj.convert('Int8', 'round')", errorName(() => unchanged.convert("Int8", "round")), "TypeError");
+    compare(unit, "unknownPolicyObject", "obj.convert('Int8', {overflow: 'round'})", errorName(() => unchanged.convert("Int8", {overflow: "round"})), "TypeError");
+
+    let message = "";
+    try {
+        unchanged.convert("Int8", true);
+    } catch (e) {
+        ({message} = e);
+    }
+    compare(unit, "throwMessage", "IntegrityError message -> includes value and index", message.includes("300 at index 0"), true);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testReport - options object with report
+    // expect: [array, {overflow, affected, total}]
+
+    const reported = from(ints, "Int16");
+    const [array, report] = reported.convert("Uint8", {
+        overflow: "saturate",
+        report: true
+    });
+    compare(unit, "reportArray", "obj.convert('Uint8', {overflow: 'saturate', report: true})[0]", [...array], [255, 0, 100, 0]);
+    compare(unit, "reportObject", "obj.convert('Uint8', {overflow: 'saturate', report: true})[1]", [report.overflow, report.affected, report.total], ["saturate", 3, 4]);
+    compare(unit, "reportUpdatesObject", "obj.array === array", reported.array, array);
+
+    const [, defaultReport] = Mutar.convert(from(ints, "Int16").array, "Int32", {report: true}, false, littleEndian);
+    compare(unit, "reportLossless", "Mutar.convert(Int16, 'Int32', {report: true})[1]", [defaultReport.overflow, defaultReport.affected, defaultReport.total], ["throw", 0, 4]);
+
+    if (Mutar.RESIZABLE_SUPPORT) {
+        const resizable = new Mutar(from(ints, "Int16").array, null, littleEndian, false, {resizable: true});
+        const [, inPlaceReport] = resizable.convert("Int8", {
+            overflow: "wrap",
+            report: true
+        });
+        compare(unit, "reportInPlace", "obj(resizable).convert('Int8', {overflow: 'wrap', report: true})", [...resizable.values(), inPlaceReport.affected], [44, 56, 100, -1, 2]);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testBigInt - conversions from and to BigInt types
+    // expect: wrapped or clamped values without precision loss
+
+    const bigInts = [(2n ** 60n) + 5n, -(2n ** 40n), 7n];
+    const wrapped = Mutar.convert(from(bigInts, "BigInt").array, "Int8", "wrap", false, littleEndian);
+    compare(unit, "bigIntWrap", `Mutar.convert(BigInt64[${bigInts}], "Int8", "wrap")`, [...Mutar.from(wrapped, null, littleEndian).values()], [5, 0, 7]);
+    const saturated = Mutar.convert(from(bigInts, "BigInt").array, "Int32", "saturate", false, littleEndian);
+    compare(unit, "bigIntSaturate", `Mutar.convert(BigInt64[${bigInts}], "Int32", "saturate")`, [...Mutar.from(saturated, null, littleEndian).values()], [2147483647, -2147483648, 7]);
+
+    const floats = [1e30, -Infinity, NaN, 2.9];
+    const bigSaturated = Mutar.convert(from(floats, "Float64").array, "BigUint", "saturate", false, littleEndian);
+    compare(unit, "floatToBigUintSaturate", `Mutar.convert(Float64[${floats}], "BigUint", "saturate")`, [...Mutar.from(bigSaturated, null, littleEndian).values()], [(2n ** 64n) - 1n, 0n, 0n, 2n]);
+    const intSaturated = Mutar.convert(from(floats, "Float64").array, "Uint8ClampedArray", "saturate", false, littleEndian);
+    compare(unit, "floatToClampedSaturate", `Mutar.convert(Float64[${floats}], "Uint8ClampedArray", "saturate")`, [...intSaturated], [255, 0, 0, 2]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testConcat - overflow policy as string argument (system endianness)
+    // expect: values of the second array are clamped
+
+    const concat = Mutar.concat(Int8Array.of(1), Int16Array.from(ints), "saturate");
+    compare(unit, "concatSaturate", "Mutar.concat(Int8[1], Int16[...], 'saturate')", [...concat], [1, 127, -128, 100, -1]);
+    compare(unit, "concatThrow", "Mutar.concat(Int8[1], Int16[...], 'throw')", errorName(() => Mutar.concat(Int8Array.of(1), Int16Array.from(ints), "throw")), "IntegrityError");
+}
+
+
+/**
+ * Tests the rounding modes, the handling of NaN and
+ * ±Infinity and the normalized mode of the intMode
+ * with the following functions:
+ * convert
+ */
+function intModeRounding(littleEndian) {
+    const unit = appendEndiannessStr("intmode-rounding", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    // Converts the values and returns the new values
+    function convertValues(values, curType, type, intMode) {
+        const obj = from(values, curType);
+        obj.convert(type, intMode);
+        return [...obj.values()];
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRounding - Float64 to Int16 with each rounding mode
+    // expect: rounded values, no IntegrityError
+
+    const floats = [2.5, -2.5, 1.7, -1.7, 3.5];
+    const roundings = {
+        trunc: [2, -2, 1, -1, 3],
+        "round-half-even": [2, -2, 2, -2, 4],
+        floor: [2, -3, 1, -2, 3],
+        ceil: [3, -2, 2, -1, 4]
+    };
+
+    for (const rounding of Object.keys(roundings)) {
+        compare(unit, `rounding-${rounding}`, `obj(Float64[${floats}]).convert("Int16", {rounding: "${rounding}"})`, convertValues(floats, "Float64", "Int16", {rounding}), roundings[rounding]);
+    }
+
+    compare(unit, "roundingBigInt", `obj(Float64[${floats}]).convert("BigInt", {rounding: "floor"})`, convertValues(floats, "Float64", "BigInt", {rounding: "floor"}), [2n, -3n, 1n, -2n, 3n]);
+    compare(unit, "noRounding", `obj(Float64[${floats}]).convert("Int16", true)`, errorName(() => from(floats, "Float64").convert("Int16", true)), "IntegrityError");
+    compare(unit, "roundingOutOfRange", "obj(Float64[127.6]).convert('Int8', {rounding: 'ceil'})", errorName(() => from([127.6], "Float64").convert("Int8", {rounding: "ceil"})), "IntegrityError");
+    compare(unit, "unknownRounding", "obj.convert('Int8', {rounding: 'nearest'})", errorName(() => from(floats, "Float64").convert("Int8", {rounding: "nearest"})), "TypeError");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testNonFinite - NaN and ±Infinity with each overflow policy
+    // expect: zero for NaN, policy dependent values for ±Infinity
+
+    const nonFinite = [NaN, Infinity, -Infinity, 1];
+    compare(unit, "nonFiniteWrap", `obj(Float32[${nonFinite}]).convert("Int8", "wrap")`, convertValues(nonFinite, "Float32", "Int8", "wrap"), [0, 0, 0, 1]);
+    compare(unit, "nonFiniteSaturate", `obj(Float32[${nonFinite}]).convert("Int8", "saturate")`, convertValues(nonFinite, "Float32", "Int8", "saturate"), [0, 127, -128, 1]);
+    compare(unit, "nonFiniteRounding", `obj(Float32[${nonFinite}]).convert("Uint8", {overflow: "saturate", rounding: "ceil"})`, convertValues(nonFinite, "Float32", "Uint8", {
+        overflow: "saturate",
+        rounding: "ceil"
+    }), [0, 255, 0, 1]);
+    compare(unit, "nonFiniteThrowNaN", "obj(Float32[NaN]).convert('Int8', {rounding: 'trunc'})", errorName(() => from([NaN], "Float32").convert("Int8", {rounding: "trunc"})), "IntegrityError");
+    compare(unit, "nonFiniteThrowInfinity", "obj(Float32[Infinity]).convert('Int8', true)", errorName(() => from([Infinity], "Float32").convert("Int8", true)), "IntegrityError");
+    compare(unit, "nonFiniteFloat", `obj(Float32[${nonFinite}]).convert("Float16", "saturate")`, convertValues(nonFinite, "Float32", "Float16", "saturate").map(String), nonFinite.map(String));
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testNormalize - [-1, 1] <-> full integer range
+    // expect: scaled values, the limits are mapped exactly
+
+    const normalized = [-1, -0.5, 0, 0.5, 1];
+    const normalizeOptions = {
+        normalize: true,
+        rounding: "round-half-even"
+    };
+    compare(unit, "normalizeInt16", `obj(Float32[${normalized}]).convert("Int16", {normalize: true, rounding: "round-half-even"})`, convertValues(normalized, "Float32", "Int16", normalizeOptions), [-32768, -16384, 0, 16384, 32767]);
+    compare(unit, "normalizeTrunc", `obj(Float32[${normalized}]).convert("Int16", {normalize: true})`, convertValues(normalized, "Float32", "Int16", {normalize: true}), [-32768, -16384, 0, 16383, 32767]);
+    compare(unit, "normalizeFromInt16", "obj(Int16[-32768, -16384, 0, 32767]).convert('Float64', {normalize: true})", convertValues([-32768, -16384, 0, 32767], "Int16", "Float64", {normalize: true}), [-1, -0.5, 0, 1]);
+    compare(unit, "normalizeFromInt8", "obj(Int8[-128, 127]).convert('Float32', {normalize: true})", convertValues([-128, 127], "Int8", "Float32", {normalize: true}), [-1, 1]);
+
+    compare(unit, "normalizeUint8", "obj(Float32[0, 0.5, 1]).convert('Uint8', {normalize: true, rounding: 'round-half-even'})", convertValues([0, 0.5, 1], "Float32", "Uint8", normalizeOptions), [0, 128, 255]);
+    compare(unit, "normalizeFromUint8", "obj(Uint8[0, 51, 255]).convert('Float64', {normalize: true})", convertValues([0, 51, 255], "Uint8", "Float64", {normalize: true}), [0, 0.2, 1]);
+    compare(unit, "normalizeInt24", "obj(Float64[-1, 1]).convert('Int24', {normalize: true})", convertValues([-1, 1], "Float64", "Int24", {normalize: true}), [-8388608, 8388607]);
+
+    compare(unit, "normalizeOutOfRange", "obj(Float64[1.5]).convert('Int8', {normalize: true})", errorName(() => from([1.5], "Float64").convert("Int8", {normalize: true})), "IntegrityError");
+    compare(unit, "normalizeNegativeUnsigned", "obj(Float64[-0.5]).convert('Uint8', {normalize: true})", errorName(() => from([-0.5], "Float64").convert("Uint8", {normalize: true})), "IntegrityError");
+    compare(unit, "normalizeSaturate", "obj(Float64[1.5, -0.5]).convert('Uint8', {normalize: true, overflow: 'saturate'})", convertValues([1.5, -0.5], "Float64", "Uint8", {
+        normalize: true,
+        overflow: "saturate"
+    }), [255, 0]);
+    compare(unit, "normalizeIntToInt", "obj(Int8[-1, 5]).convert('Int16', {normalize: true})", convertValues([-1, 5], "Int8", "Int16", {normalize: true}), [-1, 5]);
+    compare(unit, "normalizeBigInt", "obj(Float64[1]).convert('BigInt', {normalize: true})", errorName(() => from([1], "Float64").convert("BigInt", {normalize: true})), "TypeError");
+}
+
+
+/**
+ * Tests the detection of precision loss, when BigInts
+ * (and other integers) are converted to numbers with
+ * the following functions:
+ * at
+ * convert
+ * entries
+ * values
+ */
+function bigIntPrecision(littleEndian) {
+    const unit = appendEndiannessStr("bigint-precision", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    const bigInts = [(2n ** 53n) + 1n, 2n ** 60n, -(2n ** 60n) - 1n, 5n];
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testConvertThrow - BigInt64 to Float64 in intMode
+    // expect: IntegrityError with index and value, exact big values are accepted
+
+    let message = "";
+    try {
+        from(bigInts, "BigInt").convert("Float64", true);
+    } catch (e) {
+        ({message} = e);
+    }
+    compare(unit, "convertThrow", `obj(BigInt64[${bigInts}]).convert("Float64", true) -> message`, message.includes("9007199254740993 at index 0"), true);
+
+    const exact = from([2n ** 60n, -(2n ** 62n)], "BigInt");
+    exact.convert("Float64", true);
+    compare(unit, "convertExact", "obj(BigInt64[2^60, -2^62]).convert('Float64', true)", [...exact.values()], [2 ** 60, -(2 ** 62)]);
+
+    compare(unit, "convertFloat32", "obj(Int32[16777217]).convert('Float32', true)", errorName(() => from([16777217], "Int32").convert("Float32", true)), "IntegrityError");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testConvertReport - precision option "report"
+    // expect: no error, the values, which lost precision, are listed
+
+    const reported = from(bigInts, "BigInt");
+    const [array, report] = reported.convert("Float64", {precision: "report"});
+    compare(unit, "reportArray", `obj(BigInt64[${bigInts}]).convert("Float64", {precision: "report"})[0]`, [...Mutar.from(array, null, littleEndian).values()], [2 ** 53, 2 ** 60, -(2 ** 60), 5]);
+    compare(unit, "reportIndices", "report.precisionLoss -> index", report.precisionLoss.map((loss) => loss.index), [0, 2]);
+    compare(unit, "reportValues", "report.precisionLoss -> value", report.precisionLoss.map((loss) => loss.value), [bigInts[0], bigInts[2]]);
+    compare(unit, "reportCounts", "report -> [affected, total]", [report.affected, report.total], [2, 4]);
+
+    const [, uintReport] = Mutar.convert(from([(2n ** 64n) - 1n, 3n], "BigUint").array, "Float32", {precision: "report"}, false, littleEndian);
+    compare(unit, "reportBigUint", "Mutar.convert(BigUint64[2^64-1, 3], 'Float32', {precision: 'report'})[1]", uintReport.precisionLoss.map((loss) => loss.index), [0]);
+
+    const [, intReport] = from([16777217, 1], "Int32").convert("Float32", {precision: "report"});
+    compare(unit, "reportInt32", "obj(Int32[16777217, 1]).convert('Float32', {precision: 'report'})[1]", intReport.precisionLoss.map((loss) => loss.value), [16777217]);
+
+    compare(unit, "reportOverflow", "obj(BigInt64[2^60]).convert('Int32', {precision: 'report'})", errorName(() => from([2n ** 60n], "BigInt").convert("Int32", {precision: "report"})), "IntegrityError");
+    compare(unit, "reportFloatOverflow", "obj(Float64[1e300]).convert('Float32', {precision: 'report'})", errorName(() => from([1e300], "Float64").convert("Float32", {precision: "report"})), "IntegrityError");
+    compare(unit, "unknownPrecision", "obj.convert('Float64', {precision: 'ignore'})", errorName(() => from(bigInts, "BigInt").convert("Float64", {precision: "ignore"})), "TypeError");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testAsNumber - at, entries and values with asNumber
+    // expect: numbers or an IntegrityError
+
+    const obj = from(bigInts, "BigInt");
+    compare(unit, "atBigInt", "obj.at(0)", obj.at(0), bigInts[0]);
+    compare(unit, "atAsNumberLoss", "obj.at(0, null, true)", errorName(() => obj.at(0, null, true)), "IntegrityError");
+    compare(unit, "atAsNumber", "obj.at(1, null, true)", obj.at(1, null, true), 2 ** 60);
+    compare(unit, "atAsNumberNegative", "obj.at(-1, null, true)", obj.at(-1, null, true), 5);
+    compare(unit, "staticAtAsNumber", "Mutar.at(obj.array, 3, le, null, true)", Mutar.at(obj.array, 3, littleEndian, null, true), 5);
+
+    message = "";
+    try {
+        Array.from(obj.values(null, true));
+    } catch (e) {
+        ({message} = e);
+    }
+    compare(unit, "valuesAsNumberLoss", "[...obj.values(null, true)] -> message", message.includes("9007199254740993 at index 0"), true);
+
+    const safe = from([-7n, 2n ** 52n], "BigInt");
+    compare(unit, "valuesAsNumber", "[...obj(BigInt64[-7, 2^52]).values(null, true)]", [...safe.values(null, true)], [-7, 2 ** 52]);
+    compare(unit, "entriesAsNumber", "[...obj(BigInt64[-7, 2^52]).entries(null, true)]", [...safe.entries(null, true)].flat(), [0, -7, 1, 2 ** 52]);
+    compare(unit, "valuesRegular", "[...obj(Int16[-7, 3]).values(null, true)]", [...from([-7, 3], "Int16").values(null, true)], [-7, 3]);
+}
+
+
+/**
+ * Tests struct layouts and the reading and writing
+ * of records with the following functions:
+ * struct
+ * struct.encode
+ * struct.read
+ * struct.write
+ */
+function structs(littleEndian) {
+    const unit = appendEndiannessStr("structs", littleEndian);
+    makeUnit(unit);
+
+    const fields = {
+        magic: "Uint32",
+        version: "Uint16",
+        flags: "Uint8",
+        data: ["Float32", 4]
+    };
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testLayout - packed and aligned layouts
+    // expect: byte offsets, byte length and padding like C structs
+
+    const packed = Mutar.struct(fields);
+    compare(unit, "packedOffsets", "Mutar.struct(fields).fields -> byteOffset", packed.fields.map((field) => field.byteOffset), [0, 4, 6, 7]);
+    compare(unit, "packedByteLength", "Mutar.struct(fields).byteLength", packed.byteLength, 23);
+
+    const aligned = Mutar.struct(fields, {align: true});
+    compare(unit, "alignedOffsets", "Mutar.struct(fields, {align: true}).fields -> byteOffset", aligned.fields.map((field) => field.byteOffset), [0, 4, 6, 8]);
+    compare(unit, "alignedByteLength", "Mutar.struct(fields, {align: true}).byteLength", aligned.byteLength, 24);
+
+    const padded = Mutar.struct({
+        a: "Uint8",
+        b: "Float64",
+        c: "Uint16",
+        d: "Int24"
+    }, {align: true});
+    compare(unit, "paddedOffsets", "Mutar.struct({Uint8, Float64, Uint16, Int24}, {align: true}).fields -> byteOffset", padded.fields.map((field) => field.byteOffset), [0, 8, 16, 18]);
+    compare(unit, "paddedByteLength", "Mutar.struct({Uint8, Float64, Uint16, Int24}, {align: true}).byteLength", [padded.byteLength, padded.alignment], [24, 8]);
+    compare(unit, "fieldTypes", "Mutar.struct(fields).fields -> type", packed.fields.map((field) => field.type), ["Uint32Array", "Uint16Array", "Uint8Array", "Float32Array"]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testReadWrite - records in a Mutar object at a byte offset
+    // expect: the same values, bytes in the endianness of the object
+
+    const record = {
+        magic: 0x4D555452,
+        version: 3,
+        flags: 255,
+        data: [0.5, -1, 2, 1024]
+    };
+
+    const obj = new Mutar(new Uint8Array(30), "Uint8", littleEndian);
+    const next = packed.write(obj, record, 2);
+    compare(unit, "writeNextOffset", "struct.write(obj, record, 2)", next, 25);
+
+    const magicBytes = (littleEndian) ? [0x52, 0x54, 0x55, 0x4D] : [0x4D, 0x55, 0x54, 0x52];
+    compare(unit, "writeBytes", "struct.write(obj, record, 2) -> bytes 2-5", [...obj.array.subarray(2, 6)], magicBytes);
+    compare(unit, "writePrefix", "struct.write(obj, record, 2) -> bytes 0-1", [...obj.array.subarray(0, 2)], [0, 0]);
+
+    const read = packed.read(obj, 2);
+    compare(unit, "read", "struct.read(obj, 2)", [read.magic, read.version, read.flags, ...read.data], [record.magic, record.version, record.flags, ...record.data]);
+
+    packed.write(obj, {version: 7}, 2);
+    const partial = packed.read(obj, 2);
+    compare(unit, "writePartial", "struct.write(obj, {version: 7}, 2)", [partial.magic, partial.version, partial.flags], [record.magic, 7, record.flags]);
+
+    packed.write(obj, {data: [9]}, 2);
+    compare(unit, "writeShortArray", "struct.write(obj, {data: [9]}, 2)", packed.read(obj, 2).data, [9, -1, 2, 1024]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testEndianness - settings of the struct and the fields
+    // expect: field > struct > target
+
+    const opposite = Mutar.struct({
+        a: "Uint16",
+        b: {
+            type: "Uint16",
+            littleEndian
+        }
+    }, {littleEndian: !littleEndian});
+    const bytes = opposite.encode({
+        a: 0x0102,
+        b: 0x0102
+    });
+    const expectedBytes = (littleEndian) ? [1, 2, 2, 1] : [2, 1, 1, 2];
+    compare(unit, "endiannessBytes", "struct({a, b: {littleEndian: le}}, {littleEndian: !le}).encode({a: 0x0102, b: 0x0102})", [...bytes], expectedBytes);
+
+    const decoded = opposite.read(bytes.buffer);
+    compare(unit, "endiannessRead", "struct.read(buffer)", [decoded.a, decoded.b], [0x0102, 0x0102]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testTypes - BigInt, Float16 and virtual types
+    // expect: the same values
+
+    const mixed = Mutar.struct({
+        id: "BigUint",
+        half: ["Float16", 2],
+        sample: "Int24",
+        nested: ["Uint48", 1]
+    }, {align: true});
+    const mixedRecord = {
+        id: (2n ** 64n) - 2n,
+        half: [1.5, -65504],
+        sample: -8388608,
+        nested: [2 ** 47]
+    };
+    const mixedRead = mixed.read(new DataView(mixed.encode(mixedRecord).buffer));
+    compare(unit, "mixedLayout", "struct({BigUint, Float16[2], Int24, Uint48[1]}, {align: true}) -> [byteOffsets, byteLength]", [...mixed.fields.map((field) => field.byteOffset), mixed.byteLength], [0, 8, 12, 16, 24]);
+    compare(unit, "mixedValues", "struct.read(struct.encode(record))", [mixedRead.id, ...mixedRead.half, mixedRead.sample, ...mixedRead.nested], [mixedRecord.id, ...mixedRecord.half, mixedRecord.sample, ...mixedRecord.nested]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid definitions and access
+    // expect: TypeError or RangeError
+
+    compare(unit, "unknownType", "Mutar.struct({a: 'Uint7'})", errorName(() => Mutar.struct({a: "Uint7"})), "TypeError");
+    compare(unit, "emptyStruct", "Mutar.struct({})", errorName(() => Mutar.struct({})), "TypeError");
+    compare(unit, "invalidLength", "Mutar.struct({a: ['Uint8', 0]})", errorName(() => Mutar.struct({a: ["Uint8", 0]})), "RangeError");
+    compare(unit, "invalidEndianness", "Mutar.struct({a: ['Uint8', 1, 'le']})", errorName(() => Mutar.struct({a: ["Uint8", 1, "le"]})), "TypeError");
+    compare(unit, "outOfRange", "struct.read(obj, 8)", errorName(() => packed.read(obj, 8)), "RangeError");
+    compare(unit, "negativeOffset", "struct.read(obj, -1)", errorName(() => packed.read(obj, -1)), "RangeError");
+    compare(unit, "invalidTarget", "struct.read([1, 2, 3])", errorName(() => packed.read([1, 2, 3])), "TypeError");
+    compare(unit, "arrayTooLong", "struct.write(obj, {data: [1, 2, 3, 4, 5]})", errorName(() => packed.write(obj, {data: [1, 2, 3, 4, 5]})), "RangeError");
+    compare(unit, "frozen", "Object.isFrozen(struct.fields[0])", Object.isFrozen(packed) && Object.isFrozen(packed.fields[0]), true);
+}
+
+
+/**
+ * Tests arrays of structs (records) with the
+ * following functions:
+ * records
+ * records.column
+ * records.get
+ * records.push
+ * records.set
+ * records.splice
+ */
+function structRecords(littleEndian) {
+    const unit = appendEndiannessStr("struct-records", littleEndian);
+    makeUnit(unit);
+
+    const vertex = Mutar.struct({
+        id: "Uint16",
+        position: ["Float32", 3],
+        color: {
+            type: "Uint32",
+            littleEndian: false
+        }
+    }, {align: true});
+
+    // Extracts the ids of all records
+    function ids(records) {
+        return [...records].map((record) => record.id);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testCreate - records from a count, bytes and a Mutar object
+    // expect: zeroed records or the records of the bytes
+
+    const empty = Mutar.records(vertex);
+    compare(unit, "createEmpty", "Mutar.records(vertex).length", [empty.length, empty.mutar.byteLength], [0, 0]);
+
+    const vertices = Mutar.records(vertex, 3, littleEndian);
+    compare(unit, "createCount", "Mutar.records(vertex, 3)", [vertices.length, vertices.mutar.byteLength, vertices.mutar.littleEndian], [3, 60, littleEndian]);
+    compare(unit, "createZeroed", "Mutar.records(vertex, 3).get(1)", [vertices.get(1).id, ...vertices.get(1).position], [0, 0, 0, 0]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testGetSet - single records
+    // expect: the written values, negative indices count from the end
+
+    vertices.set(0, {
+        id: 1,
+        position: [0.5, 1, 1.5],
+        color: 0xFF0000FF
+    });
+    vertices.set(-1, {
+        id: 3,
+        position: [-1, -2, -3]
+    });
+    vertices.set(1, {id: 2});
+
+    const first = vertices.get(0);
+    compare(unit, "get", "records.get(0)", [first.id, ...first.position, first.color], [1, 0.5, 1, 1.5, 0xFF0000FF]);
+    compare(unit, "getNegative", "records.get(-1).position", vertices.get(-1).position, [-1, -2, -3]);
+    compare(unit, "getOutOfRange", "records.get(3)", typeof(vertices.get(3)), "undefined");
+    compare(unit, "setOutOfRange", "records.set(3, {id: 4})", errorName(() => vertices.set(3, {id: 4})), "RangeError");
+    compare(unit, "iterate", "[...records] -> id", ids(vertices), [1, 2, 3]);
+
+    const idBytes = (littleEndian) ? [1, 0] : [0, 1];
+    compare(unit, "bytes", "records.mutar.array -> bytes of the first id", [...vertices.mutar.array.subarray(0, 2)], idBytes);
+    compare(unit, "fieldEndianness", "records.mutar.array -> bytes of the first color", [...vertices.mutar.array.subarray(16, 20)], [0xFF, 0, 0, 0xFF]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testPushSplice - whole records
+    // expect: records are appended, removed and inserted
+
+    const newLength = vertices.push({id: 4}, {
+        id: 5,
+        position: [5, 5, 5]
+    });
+    compare(unit, "push", "records.push({id: 4}, {id: 5})", [newLength, ...ids(vertices)], [5, 1, 2, 3, 4, 5]);
+
+    const removed = vertices.splice(1, 2, {id: 6});
+    compare(unit, "spliceRemoved", "records.splice(1, 2, {id: 6}) -> removed", ids(removed), [2, 3]);
+    compare(unit, "splice", "records.splice(1, 2, {id: 6})", ids(vertices), [1, 6, 4, 5]);
+    compare(unit, "spliceByteLength", "records.mutar.byteLength", vertices.mutar.byteLength, 80);
+
+    vertices.splice(-1);
+    compare(unit, "spliceNegative", "records.splice(-1)", ids(vertices), [1, 6, 4]);
+    vertices.splice(0, 0, {id: 0});
+    compare(unit, "spliceInsert", "records.splice(0, 0, {id: 0})", ids(vertices), [0, 1, 6, 4]);
+    compare(unit, "spliceKeepsValues", "records.get(1)", [...vertices.get(1).position, vertices.get(1).color], [0.5, 1, 1.5, 0xFF0000FF]);
+
+    const many = Mutar.records(Mutar.struct({
+        a: "Uint32",
+        b: "Float64"
+    }), 0, littleEndian);
+    const manyRecords = Array.from({length: 20000}, (_, i) => ({
+        a: i,
+        b: i / 2
+    }));
+    many.push(...manyRecords);
+    compare(unit, "pushMany", "records.push(...20000 records)", [many.length, many.get(-1).a, many.get(-1).b], [20000, 19999, 9999.5]);
+    many.splice(1, 19998, ...manyRecords.slice(0, 10000));
+    compare(unit, "spliceMany", "records.splice(1, 19998, ...10000 records)", [many.length, many.get(0).a, many.get(1).a, many.get(10000).a, many.get(-1).a], [10002, 0, 0, 9999, 19999]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testColumn - strided iteration of one field
+    // expect: the values of the field of each record
+
+    compare(unit, "column", "[...records.column('id')]", [...vertices.column("id")], [0, 1, 6, 4]);
+    compare(unit, "columnArray", "[...records.column('position')][1]", [...vertices.column("position")][1], [0.5, 1, 1.5]);
+    compare(unit, "columnFieldEndianness", "[...records.column('color')][1]", [...vertices.column("color")][1], 0xFF0000FF);
+    compare(unit, "columnEndianness", "[...records.column('id', !le)][1]", [...vertices.column("id", !littleEndian)][1], 256);
+    compare(unit, "columnUnknown", "records.column('normal').next()", errorName(() => vertices.column("normal").next()), "TypeError");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testInput - existing bytes and Mutar objects
+    // expect: the records share the memory (Mutar) or read the bytes
+
+    const packed = Mutar.struct({
+        a: "Uint8",
+        b: "Int16"
+    }, {littleEndian});
+    const bytes = (littleEndian) ? [1, 0xFF, 0xFF, 2, 2, 0] : [1, 0xFF, 0xFF, 2, 0, 2];
+    const fromBytes = Mutar.records(packed, new Uint8Array(bytes));
+    compare(unit, "inputBytes", "Mutar.records(struct, Uint8Array) -> [a, b]", [...fromBytes].flatMap((record) => [record.a, record.b]), [1, -1, 2, 2]);
+
+    const obj = new Mutar(new Uint8Array(bytes), "Uint8", littleEndian);
+    const fromMutar = Mutar.records(packed, obj);
+    fromMutar.set(0, {a: 9});
+    compare(unit, "inputMutar", "Mutar.records(struct, obj).set(0, {a: 9}) -> obj.at(0)", [fromMutar.mutar === obj, obj.at(0)], [true, 9]);
+
+    const single = Mutar.struct({v: "Uint16"});
+    compare(unit, "encodeEndianness", "Mutar.struct({v: 'Uint16'}).encode({v: 1}, le)", [...single.encode({v: 1}, littleEndian)], idBytes);
+    compare(unit, "readEndianness", "Mutar.struct({v: 'Uint16'}).read(Uint8Array[1, 0], 0, le).v", single.read(Uint8Array.of(1, 0), 0, littleEndian).v, (littleEndian) ? 1 : 256);
+
+    compare(unit, "inputMisaligned", "Mutar.records(struct, Uint8Array(4))", errorName(() => Mutar.records(packed, new Uint8Array(4))), "RangeError");
+    compare(unit, "inputWrongType", "Mutar.records(struct, obj(Uint16))", errorName(() => Mutar.records(packed, new Mutar(new Uint16Array(3)))), "TypeError");
+    compare(unit, "inputNoStruct", "Mutar.records({a: 'Uint8'})", errorName(() => Mutar.records({a: "Uint8"})), "TypeError");
+}
+
+
+/**
+ * Tests the sequential reading and writing of
+ * values with the following functions:
+ * reader
+ * writer
+ * (and the methods of the cursor)
+ */
+function cursor(littleEndian) {
+    const unit = appendEndiannessStr("cursor", littleEndian);
+    makeUnit(unit);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testWriter - writes values of different types to an empty object
+    // expect: the array grows, the bytes are in the endianness of the object
+
+    const obj = new Mutar(new Uint8Array(0), "Uint8", littleEndian);
+    const writer = obj.writer();
+    writer.writeUint8(0xAB);
+    writer.writeInt16(-2);
+    writer.align(4);
+    writer.writeFloat32(1.5);
+    writer.writeBigUint64((2n ** 64n) - 1n);
+    writer.writeUint16(0x0102, !littleEndian);
+    writer.writeBytes([1, 2, 3]);
+    writer.writeInt24(-8388608);
+    compare(unit, "writerChain", "writer.writeFloat16(0.5) === writer", writer.writeFloat16(0.5) === writer, true);
+
+    compare(unit, "writerPosition", "writer.position", [writer.position, obj.byteLength, writer.remaining], [26, 26, 0]);
+
+    const int16Bytes = (littleEndian) ? [0xFE, 0xFF] : [0xFF, 0xFE];
+    compare(unit, "writerBytes", "obj.array -> bytes 0-3", [...obj.array.subarray(0, 4)], [0xAB, ...int16Bytes, 0]);
+    const overriddenBytes = (littleEndian) ? [1, 2] : [2, 1];
+    compare(unit, "writerOverride", "writeUint16(0x0102, !le) -> bytes", [...obj.array.subarray(16, 18)], overriddenBytes);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testReader - reads the values again
+    // expect: the written values, RangeError at the end
+
+    const reader = obj.reader();
+    const values = [
+        reader.readUint8(),
+        reader.readInt16(),
+        reader.align(4).readFloat32(),
+        reader.readBigUint64(),
+        reader.readUint16(!littleEndian),
+        ...reader.readBytes(3),
+        reader.readInt24(),
+        reader.readFloat16()
+    ];
+    compare(unit, "reader", "obj.reader() -> read*", values, [0xAB, -2, 1.5, (2n ** 64n) - 1n, 0x0102, 1, 2, 3, -8388608, 0.5]);
+    compare(unit, "readerEnd", "reader.readUint8() at the end", errorName(() => reader.readUint8()), "RangeError");
+    compare(unit, "readerEndPosition", "reader.position after RangeError", reader.position, 26);
+
+    reader.seek(-4);
+    compare(unit, "seekNegative", "reader.seek(-4).readUint8()", [reader.position, reader.readUint8()], [22, 0]);
+    reader.seek(1).skip(2);
+    compare(unit, "skip", "reader.seek(1).skip(2).position", reader.position, 3);
+    reader.skip(-3);
+    compare(unit, "skipBackwards", "reader.skip(-3).readUint8()", reader.readUint8(), 0xAB);
+    compare(unit, "seekBeyond", "reader.seek(27)", errorName(() => reader.seek(27)), "RangeError");
+    compare(unit, "seekBeforeStart", "reader.seek(-27)", [errorName(() => reader.seek(-27)), reader.position], ["RangeError", 1]);
+    compare(unit, "readGeneric", "reader.seek(4).read('Float32')", reader.seek(4).read("Float32"), 1.5);
+    compare(unit, "readBytesCopy", "reader.seek(0).readBytes(1) -> copy", (() => {
+        const bytes = reader.seek(0).readBytes(1);
+        bytes[0] = 0;
+        return obj.array[0];
+    })(), 0xAB);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testWriterGrowth - positions beyond the end, other element types
+    // expect: zero padding, growth by whole elements
+
+    const padded = new Mutar(new Uint8Array([1]), "Uint8", littleEndian);
+    const paddedWriter = padded.writer(-1);
+    paddedWriter.skip(3);
+    paddedWriter.writeUint8(9);
+    compare(unit, "writerSkip", "obj([1]).writer(-1).skip(3).writeUint8(9)", [...padded.array], [1, 0, 0, 9]);
+
+    const words = new Mutar(new Uint32Array(1), null, littleEndian);
+    const wordWriter = words.writer(4);
+    wordWriter.writeUint16(0xFFFF);
+    compare(unit, "writerElements", "obj(Uint32[1]).writer(4).writeUint16(0xFFFF)", [words.length, wordWriter.position, wordWriter.remaining], [2, 6, 2]);
+
+    const bigInts = new Mutar(new BigInt64Array(0), null, littleEndian);
+    bigInts.writer().writeInt8(-1);
+    compare(unit, "writerBigInt", "obj(BigInt64[]).writer().writeInt8(-1)", bigInts.byteLength, 8);
+
+    const large = new Mutar(new Uint8Array(0), "Uint8", littleEndian);
+    const largeWriter = large.writer();
+    largeWriter.writeBytes(new Uint8Array(300000).fill(1));
+    largeWriter.skip(300000);
+    compare(unit, "writerLarge", "obj.writer().writeBytes(Uint8Array(300000)).skip(300000)", [large.byteLength, large.at(299999), large.at(300000)], [600000, 1, 0]);
+
+    // Q15 is registered by the unit "registered-types"
+    const fixed = new Mutar(new Uint8Array(0), "Uint8", littleEndian);
+    fixed.writer().writeQ15(-0.5);
+    compare(unit, "registeredType", "obj.writer().writeQ15(-0.5) -> readQ15()", [fixed.byteLength, fixed.reader().readQ15(), fixed.reader().read("Fixed15")], [2, -0.5, -0.5]);
+
+    compare(unit, "alignInvalid", "writer.align(0)", errorName(() => wordWriter.align(0)), "RangeError");
+    compare(unit, "seekInvalid", "writer.seek(1.5)", errorName(() => wordWriter.seek(1.5)), "RangeError");
+}
+
+
+/**
+ * Tests the reading and writing of values with
+ * arbitrary bit widths with the following functions:
+ * bitReader
+ * bitWriter
+ * (and the methods of the bit cursor)
+ */
+function bitCursor(littleEndian) {
+    const unit = appendEndiannessStr("bit-cursor", littleEndian);
+    makeUnit(unit);
+
+    // Creates an empty Uint8 object
+    function empty() {
+        return new Mutar(new Uint8Array(0), "Uint8", littleEndian);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testBitOrder - fields of 3 and 5 bits in one byte
+    // expect: MSB first fills the byte from the left, LSB first from the right
+
+    const msbObj = empty();
+    const msbWriter = msbObj.bitWriter(0, "msb");
+    msbWriter.writeBits(0b101, 3);
+    msbWriter.writeBits(0b00011, 5);
+    compare(unit, "msbWrite", "bitWriter('msb').writeBits(0b101, 3).writeBits(0b00011, 5)", [...msbObj.array], [0b10100011]);
+
+    const lsbObj = empty();
+    const lsbWriter = lsbObj.bitWriter(0, "lsb");
+    lsbWriter.writeBits(0b101, 3);
+    lsbWriter.writeBits(0b00011, 5);
+    compare(unit, "lsbWrite", "bitWriter('lsb').writeBits(0b101, 3).writeBits(0b00011, 5)", [...lsbObj.array], [0b00011101]);
+
+    const msbReader = msbObj.bitReader(0, "msb");
+    const lsbReader = lsbObj.bitReader(0, "lsb");
+    compare(unit, "msbRead", "bitReader('msb').readBits(3, 5)", [msbReader.readBits(3), msbReader.readBits(5)], [0b101, 0b00011]);
+    compare(unit, "lsbRead", "bitReader('lsb').readBits(3, 5)", [lsbReader.readBits(3), lsbReader.readBits(5)], [0b101, 0b00011]);
+
+    const neighbors = new Mutar(new Uint8Array([0xFF, 0xFF]), "Uint8", littleEndian);
+    neighbors.bitWriter(6, "msb").writeBits(0, 4);
+    compare(unit, "keepNeighbors", "obj([0xFF, 0xFF]).bitWriter(6, 'msb').writeBits(0, 4)", [...neighbors.array], [0b11111100, 0b00111111]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testEndianness - default bit order of the object
+    // expect: byte aligned reads equal the integers in the endianness of the object
+
+    const obj = new Mutar([0x1234, 0xABCD], "Uint16", littleEndian);
+    if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+    const reader = obj.bitReader();
+    compare(unit, "defaultBitOrder", "obj.bitReader().bitOrder", reader.bitOrder, (littleEndian) ? "lsb" : "msb");
+    compare(unit, "alignedInts", "obj(Uint16[0x1234, 0xABCD]).bitReader().readBits(16) x2", [reader.readBits(16), reader.readBits(16)], [0x1234, 0xABCD]);
+    compare(unit, "alignedInt32", "obj.bitReader().readBits(32) === obj.reader().readUint32()", obj.bitReader().readBits(32), obj.reader().readUint32());
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testWideValues - up to 64 bits, signed values and peek
+    // expect: BigInts for more than 53 bits, two's complement for signed
+
+    const wide = empty();
+    const wideWriter = wide.bitWriter();
+    wideWriter.writeBits(1, 3);
+    wideWriter.writeBits((2n ** 64n) - 5n, 64);
+    wideWriter.writeBits(-3, 5);
+    wideWriter.writeBits((2 ** 53) - 1, 53);
+    wideWriter.writeBits(0x1FF, 8);
+    compare(unit, "wideLength", "bitWriter -> [position, byteLength]", [wideWriter.position, wide.byteLength], [133, 17]);
+
+    const wideReader = wide.bitReader();
+    compare(unit, "wideSkip", "bitReader.skip(3).position", wideReader.skip(3).position, 3);
+    compare(unit, "peek", "bitReader.peekBits(64) -> position", [wideReader.peekBits(64), wideReader.position], [(2n ** 64n) - 5n, 3]);
+    compare(unit, "read64", "bitReader.readBits(64)", wideReader.readBits(64), (2n ** 64n) - 5n);
+    compare(unit, "readSigned", "bitReader.peekBits(5, true)", [wideReader.peekBits(5, true), wideReader.readBits(5)], [-3, 29]);
+    compare(unit, "read53", "bitReader.readBits(53)", wideReader.readBits(53), (2 ** 53) - 1);
+    compare(unit, "writeCut", "bitWriter.writeBits(0x1FF, 8) -> readBits(8)", wideReader.readBits(8), 0xFF);
+    compare(unit, "readEnd", "bitReader.readBits(4) at the end", errorName(() => wideReader.readBits(4)), "RangeError");
+    compare(unit, "readEndPosition", "bitReader.position after RangeError", [wideReader.position, wideReader.remaining], [133, 3]);
+    compare(unit, "seekBeforeStart", "bitReader.seek(-137)", [errorName(() => wideReader.seek(-137)), wideReader.position], ["RangeError", 133]);
+    compare(unit, "seekStart", "bitReader.seek(-136).position", wideReader.seek(-136).position, 0);
+    compare(unit, "readBigIntType", "typeof(bitReader.seek(0).readBits(54))", typeof(wideReader.seek(0).readBits(54)), "bigint");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testAlign - byte alignment and positions
+    // expect: the writer pads with zeros, the reader moves to the boundary
+
+    const aligned = empty();
+    const alignedWriter = aligned.bitWriter(0, "msb");
+    alignedWriter.writeBits(1, 1);
+    alignedWriter.align();
+    alignedWriter.writeBits(0xF, 4);
+    alignedWriter.align();
+    compare(unit, "alignWriter", "bitWriter.writeBits(1, 1).align().writeBits(0xF, 4).align()", [alignedWriter.position, ...aligned.array], [16, 0b10000000, 0b11110000]);
+    const alignedReader = aligned.bitReader(0, "msb");
+    alignedReader.skip(1);
+    compare(unit, "alignReader", "bitReader.skip(1).align().readBits(4)", alignedReader.align().readBits(4), 0xF);
+    compare(unit, "seekNegative", "bitReader.seek(-8).position", aligned.bitReader().seek(-8).position, 8);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid arguments
+    // expect: RangeError or TypeError
+
+    compare(unit, "bitsZero", "bitReader.readBits(0)", errorName(() => aligned.bitReader().readBits(0)), "RangeError");
+    compare(unit, "bits65", "bitWriter.writeBits(1, 65)", errorName(() => aligned.bitWriter().writeBits(1, 65)), "RangeError");
+    compare(unit, "valueFloat", "bitWriter.writeBits(1.5, 4)", errorName(() => aligned.bitWriter().writeBits(1.5, 4)), "TypeError");
+    compare(unit, "bitOrder", "obj.bitReader(0, 'big')", errorName(() => aligned.bitReader(0, "big")), "TypeError");
+}
+
+
+/**
+ * Tests the encoding of arrays as LEB128 varints
+ * (unsigned, signed and ZigZag) with the following
+ * functions:
+ * Mutar.encodeVarint
+ * Mutar.decodeVarint
+ */
+function varints(littleEndian) {
+    const unit = appendEndiannessStr("varints", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testKnownBytes - reference values of the LEB128 specification
+    // expect: the well known byte sequences
+
+    compare(unit, "unsignedBytes", "Mutar.encodeVarint([0, 127, 128, 624485])", [...Mutar.encodeVarint([0, 127, 128, 624485])], [0, 0x7F, 0x80, 0x01, 0xE5, 0x8E, 0x26]);
+    compare(unit, "signedBytes", "Mutar.encodeVarint([63, -64, 64, -123456], 'signed')", [...Mutar.encodeVarint([63, -64, 64, -123456], "signed")], [0x3F, 0x40, 0xC0, 0x00, 0xC0, 0xBB, 0x78]);
+    compare(unit, "zigzagBytes", "Mutar.encodeVarint([0, -1, 1, -2, -64, 64], 'zigzag')", [...Mutar.encodeVarint([0, -1, 1, -2, -64, 64], "zigzag")], [0, 1, 2, 3, 0x7F, 0x80, 0x01]);
+    compare(unit, "maxBytes", "Mutar.encodeVarint([2n**64n - 1n]).length", Mutar.encodeVarint([(2n ** 64n) - 1n]).length, 10);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testBigInt64 - a BigInt64 object to a compact Uint8Array and back
+    // expect: small values take one byte, the values survive
+
+    const bigInts = [0n, 1n, -1n, 300n, -300n, (2n ** 63n) - 1n, -(2n ** 63n)];
+    const bigObj = from(bigInts, "BigInt");
+    const zigzag = Mutar.encodeVarint(bigObj, "zigzag");
+    compare(unit, "compactLength", "Mutar.encodeVarint(BigInt64[7], 'zigzag').length", [zigzag.constructor.name, zigzag.length], ["Uint8Array", 27]);
+    compare(unit, "zigzagBigInt", "Mutar.decodeVarint(zigzag, 'BigInt', 'zigzag')", [...Mutar.decodeVarint(zigzag, "BigInt", "zigzag")], bigInts);
+
+    const signed = Mutar.encodeVarint(bigObj.array, "signed", littleEndian);
+    compare(unit, "signedBigInt", "Mutar.decodeVarint(Mutar.encodeVarint(BigInt64[], 'signed'), 'BigInt', 'signed')", [...Mutar.decodeVarint(signed, "BigInt", "signed")], bigInts);
+
+    const decodedObj = new Mutar(Mutar.decodeVarint(zigzag, "BigInt", "zigzag", littleEndian), null, littleEndian);
+    compare(unit, "decodeEndianness", "new Mutar(Mutar.decodeVarint(..., le)).values()", [...decodedObj.values()], bigInts);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testAllTypes - round trip through every type, that holds integers
+    // expect: the same values
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int24", "Uint24", "Int32", "Uint32", "Int48", "Uint48", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    for (const type of types) {
+        const unsigned = type.includes("Uint") || type.includes("Clamped");
+        const values = (unsigned) ? [0, 1, 127, 128, 255] : [0, 1, -1, 127, -128];
+        const obj = from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+        const encoding = (unsigned) ? "unsigned" : "zigzag";
+        const decoded = Mutar.decodeVarint(Mutar.encodeVarint(obj, encoding), type, encoding, littleEndian);
+        const roundTrip = new Mutar(decoded, null, littleEndian);
+        compare(unit, `roundTrip${type}`, `Mutar.decodeVarint(Mutar.encodeVarint(${type}[${values}], '${encoding}'), '${type}', '${encoding}')`, [...roundTrip.values()].map(Number), values);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testDecodeErrors - broken input and values, that do not fit
+    // expect: DecodingError, IntegrityError
+
+    compare(unit, "truncated", "Mutar.decodeVarint([0x01, 0x80], 'Uint8')", errorName(() => Mutar.decodeVarint([0x01, 0x80], "Uint8")), "DecodingError");
+    compare(unit, "overlongBytes", "Mutar.decodeVarint([0x80 x10, 0x00], 'BigUint')", errorName(() => Mutar.decodeVarint([...new Array(10).fill(0x80), 0], "BigUint")), "DecodingError");
+    compare(unit, "overlongValue", "Mutar.decodeVarint([0xFF x9, 0x02], 'BigUint')", errorName(() => Mutar.decodeVarint([...new Array(9).fill(0xFF), 0x02], "BigUint")), "DecodingError");
+    compare(unit, "noFit", "Mutar.decodeVarint([0xAC, 0x02], 'Uint8')", errorName(() => Mutar.decodeVarint([0xAC, 0x02], "Uint8")), "IntegrityError");
+    compare(unit, "noFitSign", "Mutar.decodeVarint([0x7F], 'Uint8', 'signed')", errorName(() => Mutar.decodeVarint([0x7F], "Uint8", "signed")), "IntegrityError");
+    compare(unit, "paddedZero", "Mutar.decodeVarint([0x80, 0x00], 'Uint8')", [...Mutar.decodeVarint([0x80, 0x00], "Uint8")], [0]);
+    compare(unit, "emptyInput", "Mutar.decodeVarint([], 'Int32').length", Mutar.decodeVarint([], "Int32").length, 0);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testEncodeErrors - values, that cannot be encoded
+    // expect: RangeError, TypeError
+
+    compare(unit, "negativeUnsigned", "Mutar.encodeVarint([-1])", errorName(() => Mutar.encodeVarint([-1])), "RangeError");
+    compare(unit, "signedRange", "Mutar.encodeVarint(BigUint64[2n**64n - 1n], 'signed')", errorName(() => Mutar.encodeVarint(new BigUint64Array([(2n ** 64n) - 1n]), "signed")), "RangeError");
+    compare(unit, "float", "Mutar.encodeVarint(Float32[1.5])", errorName(() => Mutar.encodeVarint(new Float32Array([1.5]))), "TypeError");
+    compare(unit, "encoding", "Mutar.encodeVarint([1], 'sleb')", errorName(() => Mutar.encodeVarint([1], "sleb")), "TypeError");
+}
+
+/**
+ * Tests the formatting and parsing of hex strings
+ * with the following functions:
+ * Mutar.fromHex
+ * Mutar.toHex
+ * toHex
+ */
+function hexStrings(littleEndian) {
+    const unit = appendEndiannessStr("hex-strings", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    const obj = from([400, 0xABCD], "Uint16");
+    const memoryHex = (littleEndian) ? "9001cdab" : "0190abcd";
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFormat - bytes and elements of a Uint16 object
+    // expect: bytes in the order of memory, elements with the most significant byte first
+
+    compare(unit, "bytes", "obj(Uint16[400, 0xABCD]).toHex()", obj.toHex(), memoryHex);
+    const upperBytes = memoryHex.toUpperCase().match(/../gu);
+    const upperHex = obj.toHex({
+        separator: ":",
+        uppercase: true
+    });
+    compare(unit, "separator", "obj.toHex({separator: ':', uppercase: true})", upperHex, upperBytes.join(":"));
+    compare(unit, "elements", "obj.toHex({groupBy: 'element', separator: ' '})", obj.toHex({
+        groupBy: "element",
+        separator: " "
+    }), "0190 abcd");
+    compare(unit, "elementsOtherEndianness", "obj.toHex({groupBy: 'element'}, !le)", obj.toHex({groupBy: "element"}, !littleEndian), "9001cdab");
+    compare(unit, "toolkit", "Mutar.toHex(obj.array, {groupBy: 'element'}, le)", Mutar.toHex(obj.array, {groupBy: "element"}, littleEndian), "0190abcd");
+    compare(unit, "offsetView", "Mutar.toHex(Uint8[1, 2, 3, 4].subarray(1, 3))", Mutar.toHex(new Uint8Array([1, 2, 3, 4]).subarray(1, 3)), "0203");
+    compare(unit, "empty", "Mutar.toHex(Uint8[])", Mutar.toHex(new Uint8Array(0)), "");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testParse - hex dumps and literals with separators and prefixes
+    // expect: the values of the object
+
+    const dump = Mutar.fromHex(memoryHex.match(/../gu).join(":"), "Uint16", littleEndian);
+    compare(unit, "parseBytes", "Mutar.fromHex('xx:xx:xx:xx', 'Uint16', le)", [dump.type, dump.littleEndian, ...dump.values()], ["Uint16Array", littleEndian, 400, 0xABCD]);
+    const literals = Mutar.fromHex("0x190\n\t0XABCD", "Uint16", littleEndian, "element");
+    compare(unit, "parseElements", "Mutar.fromHex('0x190\\n\\t0XABCD', 'Uint16', le, 'element')", [...literals.values()], [400, 0xABCD]);
+    compare(unit, "parseMixedSeparators", "Mutar.fromHex(' 0x01 02:0x03\\n0405 ')", [...Mutar.fromHex(" 0x01 02:0x03\n0405 ").array], [1, 2, 3, 4, 5]);
+    compare(unit, "parseEmpty", "Mutar.fromHex('', 'Int32').length", Mutar.fromHex("", "Int32").length, 0);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRoundTrip - every type, grouped by bytes and by elements
+    // expect: the same bytes
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int24", "Uint24", "Int32", "Uint32", "Int48", "Uint48", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    for (const type of types) {
+        const values = [0, 1, 2, 100];
+        const source = from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+        for (const groupBy of ["byte", "element"]) {
+            const hex = source.toHex({
+                separator: " ",
+                groupBy
+            });
+            const parsed = Mutar.fromHex(hex, type, littleEndian, groupBy);
+            compare(unit, `roundTrip${type}-${groupBy}`, `Mutar.fromHex(obj(${type}).toHex({groupBy: '${groupBy}'}), '${type}', le, '${groupBy}')`, [...parsed.values()].map(Number), values);
+        }
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid digits, odd tokens and incomplete elements
+    // expect: DecodingError, TypeError
+
+    compare(unit, "invalidDigit", "Mutar.fromHex('0g')", errorName(() => Mutar.fromHex("0g")), "DecodingError");
+    compare(unit, "doublePrefix", "Mutar.fromHex('0x120x34')", errorName(() => Mutar.fromHex("0x120x34")), "DecodingError");
+    compare(unit, "oddDigits", "Mutar.fromHex('123')", errorName(() => Mutar.fromHex("123")), "DecodingError");
+    compare(unit, "elementSize", "Mutar.fromHex('0x12345', 'Uint16', le, 'element')", errorName(() => Mutar.fromHex("0x12345", "Uint16", littleEndian, "element")), "DecodingError");
+    compare(unit, "incomplete", "Mutar.fromHex('01 02 03', 'Uint16')", errorName(() => Mutar.fromHex("01 02 03", "Uint16")), "DecodingError");
+    compare(unit, "groupBy", "obj.toHex({groupBy: 'word'})", errorName(() => obj.toHex({groupBy: "word"})), "TypeError");
+    compare(unit, "noString", "Mutar.fromHex(123)", errorName(() => Mutar.fromHex(123)), "TypeError");
+}
+
+/**
+ * Tests the Base64, Base64url and Base32 codecs
+ * with the following functions:
+ * Mutar.fromBase32
+ * Mutar.fromBase64
+ * Mutar.toBase32
+ * Mutar.toBase64
+ * toBase32
+ * toBase64
+ */
+function baseCodecs(littleEndian) {
+    const unit = appendEndiannessStr("base-codecs", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    // Decodes a Base64 or Base32 string to text
+    function text(obj) {
+        return new TextDecoder().decode(obj.array);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testVectors - test vectors of RFC 4648
+    // expect: the encoded strings of the RFC and the original text again
+
+    const vectors = {
+        "": ["", ""],
+        f: ["Zg==", "MY======"],
+        fo: ["Zm8=", "MZXQ===="],
+        foo: ["Zm9v", "MZXW6==="],
+        foob: ["Zm9vYg==", "MZXW6YQ="],
+        fooba: ["Zm9vYmE=", "MZXW6YTB"],
+        foobar: ["Zm9vYmFy", "MZXW6YTBOI======"]
+    };
+    for (const [input, [base64, base32]] of Object.entries(vectors)) {
+        const obj = new Mutar(input, null, littleEndian);
+        compare(unit, `base64-${input}`, `obj('${input}').toBase64()`, obj.toBase64(), base64);
+        compare(unit, `base32-${input}`, `obj('${input}').toBase32()`, obj.toBase32(), base32);
+        compare(unit, `fromBase64-${input}`, `Mutar.fromBase64('${base64}')`, text(Mutar.fromBase64(base64)), input);
+        compare(unit, `fromBase32-${input}`, `Mutar.fromBase32('${base32}')`, text(Mutar.fromBase32(base32)), input);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testOptions - url safe alphabet, padding and relaxed input
+    // expect: the url safe characters, no padding, decoding without padding and with whitespace
+
+    const special = new Uint8Array([0xFB, 0xFF]);
+    compare(unit, "base64Special", "Mutar.toBase64(Uint8[0xFB, 0xFF])", Mutar.toBase64(special), "+/8=");
+    const urlSafe = Mutar.toBase64(special, {
+        alphabet: "base64url",
+        omitPadding: true
+    });
+    compare(unit, "base64url", "Mutar.toBase64(Uint8[0xFB, 0xFF], {alphabet: 'base64url', omitPadding: true})", urlSafe, "-_8");
+    compare(unit, "fromBase64url", "Mutar.fromBase64('-_8', 'Uint8', le, {alphabet: 'base64url'})", [...Mutar.fromBase64("-_8", "Uint8", littleEndian, {alphabet: "base64url"}).array], [0xFB, 0xFF]);
+    compare(unit, "base32NoPadding", "Mutar.toBase32(Uint8[0x66], {omitPadding: true})", Mutar.toBase32(new Uint8Array([0x66]), {omitPadding: true}), "MY");
+    compare(unit, "base32Lowercase", "Mutar.fromBase32('mzxw6')", text(Mutar.fromBase32("mzxw6")), "foo");
+    compare(unit, "base64Whitespace", "Mutar.fromBase64('Zm9v\\r\\nYmFy')", text(Mutar.fromBase64("Zm9v\r\nYmFy")), "foobar");
+    compare(unit, "toolkitBuffer", "Mutar.toBase64(ArrayBuffer)", Mutar.toBase64(new TextEncoder().encode("foo").buffer), "Zm9v");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testTypedPayload - Float32 and BigInt64 payloads
+    // expect: the decoded objects have the type, endianness and values of the source
+
+    const floats = from([1.5, -2.25, 1e10], "Float32");
+    const floatPayload = floats.toBase64();
+    const decodedFloats = Mutar.fromBase64(floatPayload, "Float32", littleEndian);
+    compare(unit, "float32Payload", "Mutar.fromBase64(obj(Float32).toBase64(), 'Float32', le)", [decodedFloats.type, decodedFloats.littleEndian, ...decodedFloats.values()], ["Float32Array", littleEndian, 1.5, -2.25, 1e10]);
+
+    const bigInts = from([-1n, (2n ** 62n) + 1n], "BigInt");
+    const decodedBigInts = Mutar.fromBase32(bigInts.toBase32(), "BigInt", littleEndian);
+    compare(unit, "bigIntPayload", "Mutar.fromBase32(obj(BigInt64).toBase32(), 'BigInt', le)", [...decodedBigInts.values()], [-1n, (2n ** 62n) + 1n]);
+
+    const urlPayload = Mutar.fromBase64(Mutar.toBase64(floats, {alphabet: "base64url"}), "Float32", littleEndian, {alphabet: "base64url"});
+    compare(unit, "urlPayload", "Mutar.fromBase64(Mutar.toBase64(obj, url), 'Float32', le, url)", [...urlPayload.values()], [1.5, -2.25, 1e10]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid characters, padding and length
+    // expect: DecodingError, TypeError
+
+    compare(unit, "invalidChar", "Mutar.fromBase64('Zm9v!')", errorName(() => Mutar.fromBase64("Zm9v!")), "DecodingError");
+    compare(unit, "wrongAlphabet", "Mutar.fromBase64('-_8')", errorName(() => Mutar.fromBase64("-_8")), "DecodingError");
+    compare(unit, "innerPadding", "Mutar.fromBase64('Zg==Zg==')", errorName(() => Mutar.fromBase64("Zg==Zg==")), "DecodingError");
+    compare(unit, "paddingLength", "Mutar.fromBase64('Zg===')", errorName(() => Mutar.fromBase64("Zg===")), "DecodingError");
+    compare(unit, "truncated64", "Mutar.fromBase64('Zm9vY')", errorName(() => Mutar.fromBase64("Zm9vY")), "DecodingError");
+    compare(unit, "truncated32", "Mutar.fromBase32('MZX')", errorName(() => Mutar.fromBase32("MZX")), "DecodingError");
+    compare(unit, "elementSize", "Mutar.fromBase64('Zm9v', 'Uint16')", errorName(() => Mutar.fromBase64("Zm9v", "Uint16")), "DecodingError");
+    compare(unit, "alphabet", "Mutar.toBase64(obj, {alphabet: 'base32'})", errorName(() => Mutar.toBase64(floats, {alphabet: "base32"})), "TypeError");
+    compare(unit, "noString", "Mutar.fromBase32(null)", errorName(() => Mutar.fromBase32(null)), "TypeError");
+}
+
+/**
+ * Tests the Ascii85 (Adobe and Z85) and Base58
+ * codecs with the following functions:
+ * Mutar.fromAscii85
+ * Mutar.fromBase58
+ * Mutar.toAscii85
+ * Mutar.toBase58
+ * toAscii85
+ * toBase58
+ */
+function denseCodecs(littleEndian) {
+    const unit = appendEndiannessStr("dense-codecs", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    const text = new Mutar("Man is d", null, littleEndian);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testAscii85 - reference strings of Adobe Ascii85 and Z85
+    // expect: the reference strings and bytes
+
+    compare(unit, "adobe", "obj('Man is d').toAscii85()", text.toAscii85(), "<~9jqo^BlbD-~>");
+    compare(unit, "adobeZero", "Mutar.toAscii85(Uint8[0, 0, 0, 0, 1])", Mutar.toAscii85(new Uint8Array([0, 0, 0, 0, 1])), "<~z!<~>");
+    compare(unit, "adobePartial", "Mutar.toAscii85('sure.')", Mutar.toAscii85(new TextEncoder().encode("sure.")), "<~F*2M7/c~>");
+    compare(unit, "adobeDecode", "Mutar.fromAscii85(' 9jqo^\\nBlbD- ')", [...Mutar.fromAscii85(" 9jqo^\nBlbD- ").array], [...text.array]);
+    compare(unit, "adobeDecodeZero", "Mutar.fromAscii85('<~z!<~>')", [...Mutar.fromAscii85("<~z!<~>").array], [0, 0, 0, 0, 1]);
+
+    const z85Bytes = [0x86, 0x4F, 0xD2, 0x6F, 0xB5, 0x59, 0xF7, 0x5B];
+    compare(unit, "z85", "Mutar.toAscii85(Uint8[0x86, ...], {variant: 'z85'})", Mutar.toAscii85(new Uint8Array(z85Bytes), {variant: "z85"}), "HelloWorld");
+    compare(unit, "z85Decode", "Mutar.fromAscii85('HelloWorld', 'Uint8', le, {variant: 'z85'})", [...Mutar.fromAscii85("HelloWorld", "Uint8", littleEndian, {variant: "z85"}).array], z85Bytes);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testBase58 - reference strings of the Bitcoin alphabet
+    // expect: leading zero bytes as "1"
+
+    compare(unit, "base58", "Mutar.toBase58('Hello World!')", Mutar.toBase58(new TextEncoder().encode("Hello World!")), "2NEpo7TZRRrLZSi2U");
+    compare(unit, "base58Zeros", "Mutar.toBase58(Uint8[0, 0, 0x28, 0x7F, 0xB4, 0xCD])", Mutar.toBase58(new Uint8Array([0, 0, 0x28, 0x7F, 0xB4, 0xCD])), "11233QC4");
+    compare(unit, "base58OnlyZeros", "Mutar.toBase58(Uint8[0, 0])", Mutar.toBase58(new Uint8Array(2)), "11");
+    compare(unit, "base58Decode", "Mutar.fromBase58('11233QC4')", [...Mutar.fromBase58("11233QC4").array], [0, 0, 0x28, 0x7F, 0xB4, 0xCD]);
+    compare(unit, "base58Empty", "Mutar.fromBase58('').length", Mutar.fromBase58("").length, 0);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRoundTrip - every type with every codec
+    // expect: the same values (zero values exercise "z" and the leading "1")
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int24", "Uint24", "Int32", "Uint32", "Int48", "Uint48", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    const codecs = {
+        adobe: [(obj) => obj.toAscii85(), (str, type) => Mutar.fromAscii85(str, type, littleEndian)],
+        z85: [(obj) => obj.toAscii85({variant: "z85"}), (str, type) => Mutar.fromAscii85(str, type, littleEndian, {variant: "z85"})],
+        base58: [(obj) => obj.toBase58(), (str, type) => Mutar.fromBase58(str, type, littleEndian)]
+    };
+    for (const type of types) {
+        const values = (type.includes("Uint") || type.includes("Clamped")) ? [0, 1, 100, 255] : [0, -1, 100, -128];
+        const source = from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+        for (const [name, [encode, decode]] of Object.entries(codecs)) {
+            const decoded = decode(encode(source), type);
+            compare(unit, `roundTrip${type}-${name}`, `${name}: decode(encode(obj(${type}[${values}])), '${type}', le)`, [decoded.type, ...[...decoded.values()].map(Number)], [source.type, ...values]);
+        }
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid characters, groups and lengths
+    // expect: DecodingError, RangeError, TypeError
+
+    compare(unit, "adobeOverflow", "Mutar.fromAscii85('s8W-\"')", errorName(() => Mutar.fromAscii85("s8W-\"")), "DecodingError");
+    compare(unit, "adobeInnerZ", "Mutar.fromAscii85('ab!z')", errorName(() => Mutar.fromAscii85("ab!z")), "DecodingError");
+    compare(unit, "adobeTruncated", "Mutar.fromAscii85('9jqo^B')", errorName(() => Mutar.fromAscii85("9jqo^B")), "DecodingError");
+    compare(unit, "adobeInvalid", "Mutar.fromAscii85('9jqo^v')", errorName(() => Mutar.fromAscii85("9jqo^v")), "DecodingError");
+    compare(unit, "z85Incomplete", "Mutar.fromAscii85('Hell', 'Uint8', le, {variant: 'z85'})", errorName(() => Mutar.fromAscii85("Hell", "Uint8", littleEndian, {variant: "z85"})), "DecodingError");
+    compare(unit, "z85Length", "Mutar.toAscii85(Uint8[3], {variant: 'z85'})", errorName(() => Mutar.toAscii85(new Uint8Array(3), {variant: "z85"})), "RangeError");
+    compare(unit, "base58Invalid", "Mutar.fromBase58('0OIl')", errorName(() => Mutar.fromBase58("0OIl")), "DecodingError");
+    compare(unit, "elementSize", "Mutar.fromBase58('11233QC4', 'Int32')", errorName(() => Mutar.fromBase58("11233QC4", "Int32")), "DecodingError");
+    compare(unit, "variant", "obj.toAscii85({variant: 'btoa'})", errorName(() => text.toAscii85({variant: "btoa"})), "TypeError");
+}
+
+/**
+ * Tests the hex dump in the layout of xxd with
+ * the following functions:
+ * Mutar.hexdump
+ * hexdump
+ */
+function hexdumps(littleEndian) {
+    const unit = appendEndiannessStr("hexdump", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    const text = new Mutar("Hello World!\n\0\0\0Mutar", null, littleEndian);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testLayout - offset, hex columns and ASCII gutter
+    // expect: the output of xxd, the partial last line is padded
+
+    const expectedText = [
+        "00000000: 4865 6c6c 6f20 576f 726c 6421 0a00 0000  Hello World!....",
+        "00000010: 4d75 7461 72                             Mutar"
+    ];
+    compare(unit, "xxdLayout", "obj('Hello World!...').hexdump()", text.hexdump().split("\n"), expectedText);
+    compare(unit, "toolkit", "Mutar.hexdump(obj.array) === obj.hexdump()", Mutar.hexdump(text.array) === text.hexdump(), true);
+    compare(unit, "empty", "Mutar.hexdump(Uint8[])", Mutar.hexdump(new Uint8Array(0)), "");
+
+    const narrow = text.hexdump({
+        width: 4,
+        offset: 6,
+        length: 7,
+        group: 1,
+        showAscii: false
+    });
+    compare(unit, "options", "obj.hexdump({width: 4, offset: 6, length: 7, group: 1, showAscii: false})", narrow.split("\n"), ["00000006: 57 6f 72 6c", "0000000a: 64 21 0a"]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testCollapse - repeated lines
+    // expect: a single "*" per run, the last line is always shown
+
+    const zeros = new Mutar(new Uint8Array(80), null, littleEndian);
+    zeros.array[70] = 0x41;
+    const collapsed = zeros.hexdump({collapse: true}).split("\n");
+    compare(unit, "collapse", "obj(Uint8[80]).hexdump({collapse: true})", collapsed.map((line) => line.slice(0, 10)), ["00000000: ", "*", "00000040: "]);
+    compare(unit, "collapseLast", "obj(Uint8[64]).hexdump({collapse: true})", Mutar.hexdump(new Uint8Array(64), {collapse: true}).split("\n").length, 3);
+    compare(unit, "noCollapse", "obj(Uint8[80]).hexdump()", zeros.hexdump().split("\n").length, 5);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testValues - values of the elements next to the bytes
+    // expect: the values in the endianness of the object
+
+    const words = from([400, 0xABCD, 1, 2, 3], "Uint16");
+    const wordBytes = (littleEndian) ? "9001 cdab 0100 0200" : "0190 abcd 0001 0002";
+    const wordLines = words.hexdump({
+        width: 8,
+        showValues: true
+    }).split("\n");
+    compare(unit, "values", "obj(Uint16[400, 0xABCD, 1, 2, 3]).hexdump({width: 8, showValues: true})", [wordLines[0].slice(10, 29), wordLines[0].slice(-13), wordLines[1].slice(-1)], [wordBytes, "400 43981 1 2", "3"]);
+
+    const floatLine = from([1.5, -2], "Float32").hexdump({showValues: true});
+    compare(unit, "floatValues", "obj(Float32[1.5, -2]).hexdump({showValues: true})", floatLine.endsWith("1.5 -2"), true);
+
+    const otherValues = words.hexdump({
+        width: 2,
+        length: 2,
+        showValues: true,
+        showAscii: false
+    }, !littleEndian);
+    compare(unit, "valuesOtherEndianness", "obj.hexdump({width: 2, length: 2, showValues: true}, !le)", otherValues.endsWith("36865"), true);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid options
+    // expect: RangeError
+
+    compare(unit, "width", "obj.hexdump({width: 0})", errorName(() => text.hexdump({width: 0})), "RangeError");
+    compare(unit, "offset", "obj.hexdump({offset: 100})", errorName(() => text.hexdump({offset: 100})), "RangeError");
+    compare(unit, "length", "obj.hexdump({length: -1})", errorName(() => text.hexdump({length: -1})), "RangeError");
+    const misaligned = {
+        offset: 1,
+        showValues: true
+    };
+    compare(unit, "valuesAlignment", "obj(Uint16).hexdump({offset: 1, showValues: true})", errorName(() => words.hexdump(misaligned)), "RangeError");
+}
+
+/**
+ * Tests the formatting and parsing of binary strings
+ * with the following functions:
+ * Mutar.fromBinaryString
+ * Mutar.toBinaryString
+ * toBinaryString
+ */
+function binaryStrings(littleEndian) {
+    const unit = appendEndiannessStr("binary-strings", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    const obj = from([400, 5], "Uint16");
+    const memoryBits = (littleEndian) ? ["10010000", "00000001", "00000101", "00000000"] : ["00000001", "10010000", "00000000", "00000101"];
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFormat - bytes and elements of a Uint16 object
+    // expect: bytes in the order of memory, elements with the most significant bit first
+
+    compare(unit, "bytes", "obj(Uint16[400, 5]).toBinaryString()", obj.toBinaryString(), memoryBits.join(" "));
+    compare(unit, "elements", "obj.toBinaryString({grouping: 'element'})", obj.toBinaryString({grouping: "element"}), "0000000110010000 0000000000000101");
+    const joined = obj.toBinaryString({
+        grouping: "element",
+        separator: ""
+    }, !littleEndian);
+    compare(unit, "elementsOtherEndianness", "obj.toBinaryString({grouping: 'element', separator: ''}, !le)", joined, "10010000000000010000010100000000");
+    compare(unit, "toolkit", "Mutar.toBinaryString(Uint8[1, 144], {separator: ':'})", Mutar.toBinaryString(new Uint8Array([1, 144]), {separator: ":"}), "00000001:10010000");
+    compare(unit, "signed", "Mutar.toBinaryString(Int8[-1, -128])", Mutar.toBinaryString(new Int8Array([-1, -128])), "11111111 10000000");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testParse - layouts of the README and literals
+    // expect: the values of the object
+
+    const layout = Mutar.fromBinaryString(`[${memoryBits.join(" ")}]`, "Uint16", littleEndian);
+    compare(unit, "parseBytes", "Mutar.fromBinaryString('[xxxxxxxx ...]', 'Uint16', le)", [layout.type, layout.littleEndian, ...layout.values()], ["Uint16Array", littleEndian, 400, 5]);
+    const literals = Mutar.fromBinaryString("0b110010000, 0B101", "Uint16", littleEndian, "element");
+    compare(unit, "parseElements", "Mutar.fromBinaryString('0b110010000, 0B101', 'Uint16', le, 'element')", [...literals.values()], [400, 5]);
+    compare(unit, "parseJoined", "Mutar.fromBinaryString('0000000110010000')", [...Mutar.fromBinaryString("0000000110010000").array], [1, 144]);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testRoundTrip - every type, grouped by bytes and by elements
+    // expect: the same values
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int24", "Uint24", "Int32", "Uint32", "Int48", "Uint48", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    for (const type of types) {
+        const values = (type.includes("Uint") || type.includes("Clamped")) ? [0, 1, 100, 255] : [0, -1, 100, -128];
+        const source = from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+        for (const grouping of ["byte", "element"]) {
+            const parsed = Mutar.fromBinaryString(source.toBinaryString({grouping}), type, littleEndian, grouping);
+            compare(unit, `roundTrip${type}-${grouping}`, `Mutar.fromBinaryString(obj(${type}).toBinaryString({grouping: '${grouping}'}), '${type}', le, '${grouping}')`, [...parsed.values()].map(Number), values);
+        }
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid digits, incomplete bytes and elements
+    // expect: DecodingError, TypeError
+
+    compare(unit, "invalidDigit", "Mutar.fromBinaryString('00000002')", errorName(() => Mutar.fromBinaryString("00000002")), "DecodingError");
+    compare(unit, "incompleteByte", "Mutar.fromBinaryString('0101')", errorName(() => Mutar.fromBinaryString("0101")), "DecodingError");
+    compare(unit, "elementSize", "Mutar.fromBinaryString('0b111111111', 'Uint8', le, 'element')", errorName(() => Mutar.fromBinaryString("0b111111111", "Uint8", littleEndian, "element")), "DecodingError");
+    compare(unit, "incompleteElement", "Mutar.fromBinaryString('00000001', 'Uint16')", errorName(() => Mutar.fromBinaryString("00000001", "Uint16")), "DecodingError");
+    compare(unit, "grouping", "obj.toBinaryString({grouping: 'bit'})", errorName(() => obj.toBinaryString({grouping: "bit"})), "TypeError");
+}
+
+/**
+ * Tests the encoding and decoding of text with
+ * the following functions:
+ * Mutar.fromText
+ * Mutar.toText
+ * toText
+ */
+function textEncodings(littleEndian) {
+    const unit = appendEndiannessStr("text-encodings", littleEndian);
+    makeUnit(unit);
+
+    const text = "Grüße 😀";
+    const utf16 = (littleEndian) ? "utf-16le" : "utf-16be";
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testUtf16 - code units in a Uint16 object of the matching endianness
+    // expect: the code units as values, the bytes in the order of the encoding, the text again
+
+    const units = Mutar.fromText(text, {encoding: utf16});
+    compare(unit, "utf16Object", `Mutar.fromText(text, {encoding: '${utf16}'})`, [units.type, units.littleEndian, units.length], ["Uint16Array", littleEndian, 8]);
+    compare(unit, "utf16Units", `Mutar.fromText(text, {encoding: '${utf16}'}).values()`, [...units.values()], [0x47, 0x72, 0xFC, 0xDF, 0x65, 0x20, 0xD83D, 0xDE00]);
+    const firstBytes = (littleEndian) ? [0x47, 0x00] : [0x00, 0x47];
+    compare(unit, "utf16Bytes", "bytes of the first code unit", [...new Uint8Array(units.buffer, 0, 2)], firstBytes);
+    compare(unit, "utf16Default", "obj.toText()", units.toText(), text);
+    compare(unit, "utf16Toolkit", `Mutar.toText(obj.array, {encoding: '${utf16}'})`, Mutar.toText(units.array, {encoding: utf16}), text);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testBom - byte order marks
+    // expect: the mark is prepended and removed again
+
+    const bomUnits = Mutar.fromText("A", {
+        encoding: utf16,
+        bom: true
+    });
+    compare(unit, "utf16Bom", `Mutar.fromText('A', {encoding: '${utf16}', bom: true}).values()`, [...bomUnits.values()], [0xFEFF, 0x41]);
+    compare(unit, "utf16BomDecode", "obj.toText()", bomUnits.toText(), "A");
+    const bomBytes = Mutar.fromText("A", {bom: true});
+    compare(unit, "utf8Bom", "Mutar.fromText('A', {bom: true}).array", [...bomBytes.array], [0xEF, 0xBB, 0xBF, 0x41]);
+    compare(unit, "utf8BomDecode", "obj.toText()", bomBytes.toText(), "A");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testSingleByte - UTF-8, Latin-1 and ASCII
+    // expect: the matching bytes, unencodable characters are replaced
+
+    compare(unit, "utf8", "Mutar.fromText(text).toText()", Mutar.fromText(text).toText(), text);
+    compare(unit, "utf8Constructor", "Mutar.fromText(text).array === new Mutar(text).array", [...Mutar.fromText(text).array], [...new Mutar(text).array]);
+    const latin1 = Mutar.fromText("Grüße €", {encoding: "latin1"});
+    compare(unit, "latin1", "Mutar.fromText('Grüße €', {encoding: 'latin1'})", [...latin1.array], [0x47, 0x72, 0xFC, 0xDF, 0x65, 0x20, 0x3F]);
+    compare(unit, "latin1Decode", "obj.toText({encoding: 'latin1'})", latin1.toText({encoding: "latin1"}), "Grüße ?");
+    compare(unit, "latin1AllBytes", "Mutar.toText(Uint8[0-255], {encoding: 'latin1'}).length", Mutar.toText(Uint8Array.from(new Array(256).keys()), {encoding: "Latin1"}).length, 256);
+    compare(unit, "ascii", "Mutar.fromText('Grüße', {encoding: 'ascii'}).toText()", Mutar.fromText("Grüße", {encoding: "ascii"}).toText(), "Gr??e");
+    compare(unit, "asciiReplace", "Mutar.toText(Uint8[0x41, 0xFF], {encoding: 'ascii'})", Mutar.toText(new Uint8Array([0x41, 0xFF]), {encoding: "ascii"}), "A�");
+    compare(unit, "utf8Replace", "Mutar.toText(Uint8[0x41, 0xFF])", Mutar.toText(new Uint8Array([0x41, 0xFF])), "A�");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - errors set to "throw" and invalid options
+    // expect: DecodingError, RangeError, TypeError
+
+    const strict = {errors: "throw"};
+    const loneSurrogate = (littleEndian) ? [0x00, 0xD8, 0x41, 0x00] : [0xD8, 0x00, 0x00, 0x41];
+    compare(unit, "utf8Invalid", "Mutar.toText(Uint8[0xFF], {errors: 'throw'})", errorName(() => Mutar.toText(new Uint8Array([0xFF]), strict)), "DecodingError");
+    compare(unit, "utf16LoneSurrogate", "Mutar.toText(lone surrogate, {errors: 'throw'})", errorName(() => Mutar.toText(new Uint8Array(loneSurrogate), {
+        encoding: utf16,
+        errors: "throw"
+    })), "DecodingError");
+    compare(unit, "utf16LoneSurrogateReplace", "Mutar.toText(lone surrogate)", Mutar.toText(new Uint8Array(loneSurrogate), {encoding: utf16}), "�A");
+    compare(unit, "utf16OddBytes", "Mutar.toText(Uint8[3], {errors: 'throw'})", errorName(() => Mutar.toText(new Uint8Array(3), {
+        encoding: utf16,
+        errors: "throw"
+    })), "DecodingError");
+    compare(unit, "asciiInvalid", "Mutar.toText(Uint8[0x80], {encoding: 'ascii', errors: 'throw'})", errorName(() => Mutar.toText(new Uint8Array([0x80]), {
+        encoding: "ascii",
+        errors: "throw"
+    })), "DecodingError");
+    compare(unit, "latin1Unencodable", "Mutar.fromText('€', {encoding: 'latin1', errors: 'throw'})", errorName(() => Mutar.fromText("€", {
+        encoding: "latin1",
+        errors: "throw"
+    })), "RangeError");
+    compare(unit, "utf8LoneSurrogate", "Mutar.fromText('\\uD800', {errors: 'throw'})", errorName(() => Mutar.fromText("\uD800", strict)), "RangeError");
+    compare(unit, "asciiBom", "Mutar.fromText('A', {encoding: 'ascii', bom: true})", errorName(() => Mutar.fromText("A", {
+        encoding: "ascii",
+        bom: true
+    })), "TypeError");
+    compare(unit, "encoding", "Mutar.fromText('A', {encoding: 'utf-32'})", errorName(() => Mutar.fromText("A", {encoding: "utf-32"})), "TypeError");
+    compare(unit, "errors", "obj.toText({errors: 'ignore'})", errorName(() => units.toText({errors: "ignore"})), "TypeError");
+}
+
+/**
+ * Tests the serialization to JSON with the
+ * following functions:
+ * toJSON
+ * Mutar.fromJSON
+ * Mutar.reviver
+ */
+function jsonSerialization(littleEndian) {
+    const unit = appendEndiannessStr("json", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    // Compares type, endianness and bytes of two objects
+    function identical(a, b) {
+        return a.type === b.type && a.littleEndian === b.littleEndian && a.toHex() === b.toHex();
+    }
+
+    const floats = from([1.5, -0, NaN, Infinity], "Float32");
+    const bigInts = from([(2n ** 63n) - 1n, -5n], "BigInt");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testToJSON - metadata and data of both encodings
+    // expect: type, endianness, the base64 string of the bytes or the list of values
+
+    const json = JSON.parse(JSON.stringify(floats));
+    compare(unit, "stringify", "JSON.parse(JSON.stringify(obj(Float32)))", [json.type, json.littleEndian, json.encoding, json.data], ["Float32Array", littleEndian, "base64", floats.toBase64()]);
+    compare(unit, "values", "obj(Float32[1.5, -0, NaN, Infinity]).toJSON({encoding: 'values'}).data", floats.toJSON({encoding: "values"}).data, [1.5, "-0", "NaN", "Infinity"]);
+    compare(unit, "bigIntValues", "obj(BigInt64).toJSON({encoding: 'values'}).data", bigInts.toJSON({encoding: "values"}).data, ["9223372036854775807", "-5"]);
+    compare(unit, "keyArgument", "obj.toJSON('key').encoding", floats.toJSON("key").encoding, "base64");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFromJSON - strings and parsed objects of both encodings
+    // expect: identical objects
+
+    compare(unit, "fromString", "Mutar.fromJSON(JSON.stringify(obj(Float32)))", identical(Mutar.fromJSON(JSON.stringify(floats)), floats), true);
+    compare(unit, "fromValues", "Mutar.fromJSON(obj(Float32).toJSON({encoding: 'values'}))", identical(Mutar.fromJSON(floats.toJSON({encoding: "values"})), floats), true);
+    compare(unit, "bigIntFromValues", "Mutar.fromJSON(JSON.stringify(obj(BigInt64).toJSON({encoding: 'values'})))", identical(Mutar.fromJSON(JSON.stringify(bigInts.toJSON({encoding: "values"}))), bigInts), true);
+    const negativeZero = Mutar.fromJSON(floats.toJSON({encoding: "values"}));
+    compare(unit, "negativeZero", "Object.is(Mutar.fromJSON(values).at(1), -0)", Object.is(negativeZero.at(1), -0), true);
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int24", "Uint24", "Int32", "Uint32", "Int48", "Uint48", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    for (const type of types) {
+        const values = (type.includes("Uint") || type.includes("Clamped")) ? [0, 1, 100, 255] : [0, -1, 100, -128];
+        const source = from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+        for (const encoding of ["base64", "values"]) {
+            const restored = Mutar.fromJSON(JSON.stringify(source.toJSON({encoding})));
+            compare(unit, `roundTrip${type}-${encoding}`, `Mutar.fromJSON(JSON.stringify(obj(${type}).toJSON({encoding: '${encoding}'})))`, identical(restored, source), true);
+        }
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testReviver - Mutar objects nested in a payload
+    // expect: the objects are restored, other values are kept
+
+    const payload = JSON.stringify({
+        floats,
+        list: [bigInts, {type: "note"}],
+        values: bigInts.toJSON({encoding: "values"})
+    });
+    const revived = JSON.parse(payload, Mutar.reviver);
+    compare(unit, "reviver", "JSON.parse(payload, Mutar.reviver)", [identical(revived.floats, floats), identical(revived.list[0], bigInts), identical(revived.values, bigInts)], [true, true, true]);
+    compare(unit, "reviverOther", "JSON.parse(payload, Mutar.reviver).list[1]", revived.list[1].type, "note");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - broken payloads
+    // expect: DecodingError, IntegrityError, TypeError
+
+    // Creates a serialized Int8 object with the given changes
+    function payloadWith(changes) {
+        return {
+            ...from([1, 2], "Int8").toJSON({encoding: "values"}),
+            ...changes
+        };
+    }
+
+    compare(unit, "invalidJSON", "Mutar.fromJSON('{bad')", errorName(() => Mutar.fromJSON("{bad")), "DecodingError");
+    compare(unit, "endianness", "Mutar.fromJSON({littleEndian: 1, ...})", errorName(() => Mutar.fromJSON(payloadWith({littleEndian: 1}))), "DecodingError");
+    compare(unit, "encoding", "Mutar.fromJSON({encoding: 'hex', ...})", errorName(() => Mutar.fromJSON(payloadWith({encoding: "hex"}))), "DecodingError");
+    compare(unit, "invalidValue", "Mutar.fromJSON({data: ['x'], ...})", errorName(() => Mutar.fromJSON(payloadWith({data: ["x"]}))), "DecodingError");
+    compare(unit, "valueRange", "Mutar.fromJSON({data: [300], ...})", errorName(() => Mutar.fromJSON(payloadWith({data: [300]}))), "IntegrityError");
+    compare(unit, "unknownType", "Mutar.fromJSON({type: 'Int7Array', ...})", errorName(() => Mutar.fromJSON(payloadWith({type: "Int7Array"}))), "TypeError");
+    compare(unit, "toJSONEncoding", "obj.toJSON({encoding: 'hex'})", errorName(() => floats.toJSON({encoding: "hex"})), "TypeError");
+}
+
+
+/**
+ * Tests the binary container with the
+ * following functions:
+ * Mutar.pack
+ * Mutar.unpack
+ */
+function containers(littleEndian) {
+    const unit = appendEndiannessStr("containers", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    // Compares type, endianness and bytes of two objects
+    function identical(a, b) {
+        return a.type === b.type && a.littleEndian === b.littleEndian && a.toHex() === b.toHex();
+    }
+
+    const floats = from([1.5, -2], "Float32");
+    const bigInts = from([1n, -1n], "BigInt");
+    const packed = Mutar.pack(floats, {
+        name: "big",
+        mutar: bigInts
+    });
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testPack - layout of header, entries and checksum
+    // expect: little endian fields, the bytes of the arrays and the Adler-32 checksum
+
+    compare(unit, "header", "Mutar.pack(obj(Float32), {name, mutar: obj(BigInt64)}).subarray(0, 10)", Mutar.toHex(packed.subarray(0, 10)), "4d555452010002000000");
+    compare(unit, "entry", "Mutar.pack(...).subarray(10, 18)", Mutar.toHex(packed.subarray(10, 18)), `0c${(littleEndian) ? "01" : "00"}000008000000`);
+    compare(unit, "data", "Mutar.pack(...).subarray(18, 26)", Mutar.toHex(packed.subarray(18, 26)), Mutar.toHex(floats));
+    compare(unit, "name", "Mutar.pack(...).subarray(34, 37)", Mutar.toText(packed.subarray(34, 37)), "big");
+    compare(unit, "byteLength", "Mutar.pack(...).length", packed.length, 10 + 8 + 8 + 8 + 3 + 16 + 4);
+    compare(unit, "empty", "Mutar.pack()", Mutar.toHex(Mutar.pack()), "4d5554520100000000004a01ed0a");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testUnpack - objects with type, endianness and name
+    // expect: identical objects
+
+    const unpacked = Mutar.unpack(packed);
+    compare(unit, "unpack", "Mutar.unpack(packed)", [identical(unpacked[0], floats), identical(unpacked[1], bigInts)], [true, true]);
+    const named = Mutar.unpack(packed, {names: true});
+    compare(unit, "names", "Mutar.unpack(packed, {names: true}).map(entry => entry.name)", named.map((entry) => entry.name), [null, "big"]);
+    compare(unit, "typedArray", "Mutar.unpack(Mutar.pack(Int16Array)).at(0).littleEndian", Mutar.unpack(Mutar.pack(new Int16Array([7])))[0].littleEndian, Mutar.SYS_LITTLE_ENDIAN);
+    compare(unit, "copy", "Mutar.unpack(packed)[0].buffer !== packed.buffer", unpacked[0].buffer !== packed.buffer, true);
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int24", "Uint24", "Int32", "Uint32", "Int48", "Uint48", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    const sources = types.map((type) => {
+        const values = (type.includes("Uint") || type.includes("Clamped")) ? [0, 1, 100, 255] : [0, -1, 100, -128];
+        return from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+    });
+    const restored = Mutar.unpack(Mutar.pack(...sources));
+    types.forEach((type, i) => {
+        compare(unit, `roundTrip${type}`, `Mutar.unpack(Mutar.pack(obj(${type})))`, identical(restored[i], sources[i]), true);
+    });
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - truncated, corrupt and unsupported input
+    // expect: DecodingError, TypeError
+
+    // Copies the container with one changed byte
+    function changed(index, byte) {
+        const copy = packed.slice();
+        copy[index] = byte;
+        return copy;
+    }
+
+    compare(unit, "tooShort", "Mutar.unpack(packed.subarray(0, 10))", errorName(() => Mutar.unpack(packed.subarray(0, 10))), "DecodingError");
+    compare(unit, "truncated", "Mutar.unpack(packed.subarray(0, -1))", errorName(() => Mutar.unpack(packed.subarray(0, -1))), "DecodingError");
+    compare(unit, "trailingBytes", "Mutar.unpack([...packed, 0])", errorName(() => Mutar.unpack(new Uint8Array([...packed, 0]))), "DecodingError");
+    compare(unit, "checksum", "Mutar.unpack(packed with changed data)", errorName(() => Mutar.unpack(changed(20, packed[20] + 1))), "DecodingError");
+    compare(unit, "magic", "Mutar.unpack(packed with changed magic)", errorName(() => Mutar.unpack(changed(0, 0))), "DecodingError");
+    compare(unit, "version", "Mutar.unpack(packed with version 2)", errorName(() => Mutar.unpack(changed(4, 2))), "DecodingError");
+    compare(unit, "entry", "Mutar.pack([1, 2])", errorName(() => Mutar.pack([1, 2])), "TypeError");
+    compare(unit, "registeredType", "Mutar.pack(obj(Bool8))", errorName(() => Mutar.pack(new Mutar([true], "Bool8"))), "TypeError");
+}
+
+
+/**
+ * Tests the import and export of NumPy .npy
+ * files with the following functions:
+ * toNpy
+ * Mutar.fromNpy
+ */
+function npyFiles(littleEndian) {
+    const unit = appendEndiannessStr("npy", littleEndian);
+    makeUnit(unit);
+
+    // Creates an object with the values in the tested endianness
+    function from(values, type) {
+        const obj = new Mutar(values, type, littleEndian);
+        if (littleEndian !== Mutar.SYS_LITTLE_ENDIAN) obj.flipEndianness(false);
+        return obj;
+    }
+
+    // Compares type, endianness and bytes of two objects
+    function identical(a, b) {
+        return a.type === b.type && a.littleEndian === b.littleEndian && a.toHex() === b.toHex();
+    }
+
+    // Builds a version 1.0 file of a header dictionary and data bytes
+    function npyFile(dict, data) {
+        const header = `${dict}${" ".repeat(117 - dict.length)}\n`;
+        return new Uint8Array([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0, header.length, 0, ...Mutar.fromText(header).array, ...data]);
+    }
+
+    const byteOrder = (littleEndian) ? "<" : ">";
+    const shorts = from([0, 1, 2], "Int16");
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testToNpy - header and data of the file
+    // expect: the layout of numpy.save (header aligned to 64 bytes)
+
+    const npy = shorts.toNpy();
+    compare(unit, "magic", "obj(Int16).toNpy().subarray(0, 10)", Mutar.toHex(npy.subarray(0, 10)), "934e554d505901007600");
+    compare(unit, "header", "obj(Int16).toNpy() (header)", Mutar.toText(npy.subarray(10, 128)), `{'descr': '${byteOrder}i2', 'fortran_order': False, 'shape': (3,), }${" ".repeat(60)}\n`);
+    compare(unit, "data", "obj(Int16).toNpy().subarray(128)", Mutar.toHex(npy.subarray(128)), shorts.toHex());
+    const matrix = from([1, 2, 3, 4, 5, 6], "Uint8").toNpy({shape: [2, 3]});
+    compare(unit, "shape", "obj(Uint8).toNpy({shape: [2, 3]}) (header)", Mutar.toText(matrix.subarray(10, 128)).trimEnd(), "{'descr': '|u1', 'fortran_order': False, 'shape': (2, 3), }");
+    const scalar = from([7], "Float64").toNpy({
+        shape: [],
+        version: 2
+    });
+    compare(unit, "version2", "obj(Float64).toNpy({shape: [], version: 2}).subarray(6, 12)", Mutar.toHex(scalar.subarray(6, 12)), "020074000000");
+    compare(unit, "scalar", "obj(Float64).toNpy({shape: [], version: 2}) (header)", Mutar.toText(scalar.subarray(12, 128)).trimEnd(), `{'descr': '${byteOrder}f8', 'fortran_order': False, 'shape': (), }`);
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testFromNpy - type, endianness, shape and order of the elements
+    // expect: identical objects, C order
+
+    compare(unit, "roundTrip", "Mutar.fromNpy(obj(Int16).toNpy())", identical(Mutar.fromNpy(npy), shorts), true);
+    compare(unit, "withShape", "Mutar.fromNpy(file of shape (2, 3), {withShape: true}).shape", Mutar.fromNpy(matrix, {withShape: true}).shape, [2, 3]);
+    const fortran = Mutar.fromNpy(npyFile("{'descr': '|u1', 'fortran_order': True, 'shape': (2, 3), }", [1, 4, 2, 5, 3, 6]));
+    compare(unit, "fortranOrder", "Mutar.fromNpy(Fortran ordered file of [[1, 2, 3], [4, 5, 6]])", [...fortran.values()], [1, 2, 3, 4, 5, 6]);
+    const bigEndian = Mutar.fromNpy(npyFile("{'descr': '>u2', 'fortran_order': False, 'shape': (1,), }", [1, 2]));
+    compare(unit, "descrEndianness", "Mutar.fromNpy(file with descr '>u2')", [bigEndian.type, bigEndian.littleEndian, bigEndian.at(0)], ["Uint16Array", false, 258]);
+    const bools = Mutar.fromNpy(npyFile("{'descr': '|b1', 'fortran_order': False, 'shape': (2,), }", [1, 0]));
+    compare(unit, "booleans", "Mutar.fromNpy(file with descr '|b1')", [bools.type, ...bools.values()], ["Uint8Array", 1, 0]);
+
+    const types = ["Int8", "Uint8", "Uint8ClampedArray", "Int16", "Uint16", "Int32", "Uint32", "Float16", "Float32", "Float64", "BigInt", "BigUint"];
+    for (const type of types) {
+        const values = (type.includes("Uint") || type.includes("Clamped")) ? [0, 1, 100, 255] : [0, -1, 100, -128];
+        const source = from((type.startsWith("Big")) ? values.map(BigInt) : values, type);
+        const restored = Mutar.fromNpy(source.toNpy());
+        const expected = (type === "Uint8ClampedArray") ? "Uint8Array" : source.type;
+        compare(unit, `roundTrip${type}`, `Mutar.fromNpy(obj(${type}).toNpy())`, [restored.type, restored.littleEndian === source.littleEndian || source.BYTES_PER_ELEMENT === 1, restored.toHex()], [expected, true, source.toHex()]);
+    }
+
+
+    // ------------------------------------------------------------------------------------------------ //
+    // testErrors - invalid files, unsupported types and shapes
+    // expect: DecodingError, TypeError, RangeError
+
+    compare(unit, "magicMissing", "Mutar.fromNpy(new Uint8Array(20))", errorName(() => Mutar.fromNpy(new Uint8Array(20))), "DecodingError");
+    compare(unit, "truncated", "Mutar.fromNpy(npy.subarray(0, -1))", errorName(() => Mutar.fromNpy(npy.subarray(0, -1))), "DecodingError");
+    compare(unit, "malformed", "Mutar.fromNpy(file without shape)", errorName(() => Mutar.fromNpy(npyFile("{'descr': '<i2', 'fortran_order': False, }", []))), "DecodingError");
+    compare(unit, "structured", "Mutar.fromNpy(file with structured descr)", errorName(() => Mutar.fromNpy(npyFile("{'descr': [('x', '<i2')], 'fortran_order': False, 'shape': (1,), }", [0, 0]))), "DecodingError");
+    compare(unit, "unsupportedDescr", "Mutar.fromNpy(file with descr '<c8')", errorName(() => Mutar.fromNpy(npyFile("{'descr': '<c8', 'fortran_order': False, 'shape': (0,), }", []))), "TypeError");
+    compare(unit, "unsupportedType", "obj(Int24).toNpy()", errorName(() => from([1], "Int24").toNpy()), "TypeError");
+    compare(unit, "shapeMismatch", "obj(Int16).toNpy({shape: [2, 2]})", errorName(() => shorts.toNpy({shape: [2, 2]})), "RangeError");
+    compare(unit, "version", "obj(Int16).toNpy({version: 3})", errorName(() => shorts.toNpy({version: 3})), "TypeError");
+}
+
+
+function main() {
+    
+    typeTests();
+    
+
+    for (const littleEndian of [true, false]) {
+        objBuildIns(littleEndian);
+    }
+    
+    objConversionTests();
+    
+    for (const littleEndian of [true, false]) {
+        objAppendDelete(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        objCapacity(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        objDeque(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        objResizable(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        objShared(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        offsetViews(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        float16(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        virtualTypes(littleEndian);
+    }
+
+    registeredTypes();
+
+    for (const littleEndian of [true, false]) {
+        intModePolicies(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        intModeRounding(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        bigIntPrecision(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        structs(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        structRecords(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        cursor(littleEndian);
+        bitCursor(littleEndian);
+    }
+
+    for (const littleEndian of [true, false]) {
+        varints(littleEndian);
+        hexStrings(littleEndian);
+        baseCodecs(littleEndian);
+        denseCodecs(littleEndian);
+        hexdumps(littleEndian);
+        binaryStrings(littleEndian);
+        textEncodings(littleEndian);
+        jsonSerialization(littleEndian);
+        containers(littleEndian);
+        npyFiles(littleEndian);
     }
 
     if (!result.errors) delete result.errorMessages;